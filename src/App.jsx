@@ -79,10 +79,246 @@ const formatTimer = (seconds) => {
   return `${mins.toString().padStart(2, '0')}:${secs.toString().padStart(2, '0')}`;
 };
 
+// --- Units ---
+// Loads are stored in kg and distances in km; the profile's unitSystem only affects input and display.
+const KG_PER_LB = 0.45359237;
+const KM_PER_MI = 1.609344;
+
+const getUnitLabels = (unitSystem) => (
+  unitSystem === 'imperial' ? { weight: 'lb', distance: 'mi' } : { weight: 'kg', distance: 'km' }
+);
+
+// Matches the numeric part of a load plus an optional unit, e.g. "+10kg", "135 lbs"
+const LOAD_PATTERN = /([+-]?\d+(?:\.\d+)?)\s*(kgs?|lbs?|pounds?)?/i;
+
+const formatUnitNumber = (value) => String(Math.round(value * 10) / 10);
+
+// Stored kg keep two decimals so imperial loads survive the round trip (e.g. 135lb -> 61.23kg -> 135lb)
+const formatKgNumber = (value) => String(Math.round(value * 100) / 100);
+
+/**
+ * Converts a load string to the canonical kg form.
+ * Numbers without a unit are read in the user's unit; "Bodyweight", "% 1RM" and "% BW" loads pass through.
+ * @param {string} weight - Load as typed or stored, e.g. "180", "180lb", "+10kg"
+ * @param {string} unitSystem - "metric" or "imperial"
+ * @returns {string} Load in kg, e.g. "81.6kg"
+ */
+const toCanonicalLoad = (weight, unitSystem = 'metric') => {
+  if (typeof weight !== 'string' || parsePercentOfMax(weight) !== null || parsePercentOfBodyweight(weight) !== null) return weight;
+  const match = weight.match(LOAD_PATTERN);
+  if (!match) return weight;
+
+  const unit = (match[2] || getUnitLabels(unitSystem).weight).toLowerCase();
+  const value = parseFloat(match[1]);
+  const kg = unit.startsWith('kg') ? value : value * KG_PER_LB;
+  const sign = match[1].startsWith('+') ? '+' : '';
+  return weight.replace(LOAD_PATTERN, `${sign}${formatKgNumber(kg)}kg`);
+};
+
+/**
+ * Formats a stored (kg) load for display in the user's unit
+ * @param {string} weight - Stored load, e.g. "80kg"
+ * @param {string} unitSystem - "metric" or "imperial"
+ * @returns {string} Display string, e.g. "176.4lb"
+ */
+const formatLoad = (weight, unitSystem = 'metric') => {
+  if (typeof weight !== 'string' || parsePercentOfMax(weight) !== null || parsePercentOfBodyweight(weight) !== null) return weight;
+  const match = weight.match(LOAD_PATTERN);
+  if (!match) return weight;
+
+  const unit = (match[2] || 'kg').toLowerCase();
+  const kg = unit.startsWith('kg') ? parseFloat(match[1]) : parseFloat(match[1]) * KG_PER_LB;
+  const target = getUnitLabels(unitSystem).weight;
+  const value = target === 'kg' ? kg : kg / KG_PER_LB;
+  const sign = match[1].startsWith('+') ? '+' : '';
+  return weight.replace(LOAD_PATTERN, `${sign}${formatUnitNumber(value)}${target}`);
+};
+
+/**
+ * Difference between two stored loads in the user's unit, for change badges
+ * @param {string} weight - Stored load, e.g. "85kg"
+ * @param {string} baselineWeight - Stored load it's compared with, e.g. "80kg"
+ * @param {string} unitSystem - "metric" or "imperial"
+ * @returns {number} Change rounded for display (less assistance counts as heavier), NaN unless both are absolute loads
+ */
+const getLoadChange = (weight, baselineWeight, unitSystem = 'metric') => {
+  const toKg = (load) => {
+    if (typeof load !== 'string' || parsePercentOfMax(load) !== null || parsePercentOfBodyweight(load) !== null) return NaN;
+    const match = toCanonicalLoad(load).match(LOAD_PATTERN);
+    return match ? parseFloat(match[1]) : NaN;
+  };
+  const kg = toKg(weight) - toKg(baselineWeight);
+  return Number(formatUnitNumber(getUnitLabels(unitSystem).weight === 'kg' ? kg : kg / KG_PER_LB));
+};
+
+/**
+ * Converts a distance between km (stored) and the user's unit
+ * @param {number} km - Distance in km
+ * @param {string} unitSystem - "metric" or "imperial"
+ * @returns {number} Distance in km or miles
+ */
+const kmToDisplayDistance = (km, unitSystem = 'metric') => (unitSystem === 'imperial' ? km / KM_PER_MI : km);
+
+const displayDistanceToKm = (value, unitSystem = 'metric') => (unitSystem === 'imperial' ? value * KM_PER_MI : value);
+
+/**
+ * Formats a distance stored in km, e.g. "5.2km" or "3.2mi"
+ * @param {number} km - Distance in km
+ * @param {string} unitSystem - "metric" or "imperial"
+ * @returns {string} Display string
+ */
+const formatDistance = (km, unitSystem = 'metric') => (
+  `${formatUnitNumber(kmToDisplayDistance(km || 0, unitSystem))}${getUnitLabels(unitSystem).distance}`
+);
+
+/**
+ * Formats a pace stored in seconds per km, e.g. "5:30/km" or "8:51/mi"
+ * @param {number} secondsPerKm - Pace in seconds per km
+ * @param {string} unitSystem - "metric" or "imperial"
+ * @returns {string} Display string
+ */
+const formatPace = (secondsPerKm, unitSystem = 'metric') => {
+  const seconds = Math.round(unitSystem === 'imperial' ? secondsPerKm * KM_PER_MI : secondsPerKm);
+  return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}/${getUnitLabels(unitSystem).distance}`;
+};
+
+/**
+ * Parses a clock time such as "25:30" or "1:02:30" into seconds
+ * @param {string} text - Time as typed
+ * @returns {number|null} Seconds, or null if it can't be read
+ */
+const parseClockTime = (text) => {
+  const parts = String(text ?? '').trim().split(':').map(part => parseFloat(part));
+  if (parts.length === 0 || parts.some(part => isNaN(part) || part < 0)) return null;
+  return parts.reduce((total, part) => total * 60 + part, 0);
+};
+
+// --- Equipment & Plate Math ---
+// Defaults follow the profile's unit, since kg and lb gyms stock different plates. Saved equipment is
+// stored in kg so a unit switch keeps the same physical bar and plates; plate math runs in the profile's unit.
+const DEFAULT_EQUIPMENT = {
+  metric: { barWeight: 20, plates: [25, 20, 15, 10, 5, 2.5, 1.25], microplates: [], dumbbellIncrement: 2, machineIncrement: 5 },
+  imperial: { barWeight: 45, plates: [45, 35, 25, 10, 5, 2.5], microplates: [], dumbbellIncrement: 5, machineIncrement: 10 }
+};
+
+const EQUIPMENT_LOAD_FIELDS = ['barWeight', 'dumbbellIncrement', 'machineIncrement'];
+const EQUIPMENT_PLATE_FIELDS = ['plates', 'microplates'];
+
+/**
+ * Converts every load in an equipment record with the given function
+ * @param {Object} equipment - Equipment record
+ * @param {Function} convert - (value) => converted value
+ * @returns {Object} Converted copy
+ */
+const convertEquipment = (equipment, convert) => {
+  const converted = { ...equipment };
+  EQUIPMENT_LOAD_FIELDS.forEach((field) => {
+    if (typeof converted[field] === 'number') converted[field] = convert(converted[field]);
+  });
+  EQUIPMENT_PLATE_FIELDS.forEach((field) => {
+    if (Array.isArray(converted[field])) converted[field] = converted[field].map(convert);
+  });
+  return converted;
+};
+
+/**
+ * Gets the profile's equipment in its own unit, for plate math and display
+ * @param {Object} profile - Active profile
+ * @returns {Object} { barWeight, plates, microplates, dumbbellIncrement, machineIncrement }
+ */
+const getProfileEquipment = (profile) => {
+  const unitSystem = profile?.unitSystem === 'imperial' ? 'imperial' : 'metric';
+  if (!profile?.equipment) return DEFAULT_EQUIPMENT[unitSystem];
+
+  const { unit, ...saved } = profile.equipment;
+  // Equipment saved before it was stored in kg is already in the profile's unit
+  const equipment = unit === 'kg' && unitSystem === 'imperial'
+    ? convertEquipment(saved, kg => Math.round((kg / KG_PER_LB) * 1000) / 1000)
+    : saved;
+  return { ...DEFAULT_EQUIPMENT[unitSystem], ...equipment };
+};
+
+// Name fragments used to guess the equipment when an exercise doesn't say; checked in this order
+const MACHINE_KEYWORDS = ['machine', 'cable', 'pulldown', 'leg press', 'chest press', 'leg curl', 'calf raise', 'extension', 'smith'];
+const DUMBBELL_KEYWORDS = ['curl', 'raise', 'fly', 'flye', 'lunge', 'kettlebell'];
+const BARBELL_KEYWORDS = ['squat', 'deadlift', 'bench press', 'overhead press', 'military press', 'push press', 'barbell', 'clean', 'snatch', 'row'];
+
+/**
+ * Works out how an exercise is loaded. The explicit `equipment` field wins; otherwise it's guessed from the name,
+ * and names that don't clearly say (e.g. "Shoulder Press") fall back to loose plates.
+ * @param {Object} exercise - Exercise from the plan
+ * @returns {string} "barbell", "dumbbell", "machine" or "plates" (loose plates, e.g. a dip belt)
+ */
+const getLoadEquipment = (exercise) => {
+  if (exercise.equipment) return exercise.equipment;
+
+  const name = exercise.name.toLowerCase();
+  const weight = String((exercise.baselineDetails || exercise.details || {}).weight ?? '').trim();
+  if (weight.startsWith('+') || weight.startsWith('-')) return 'plates';
+  if (name.includes('dumbbell')) return 'dumbbell';
+  if (MACHINE_KEYWORDS.some(keyword => name.includes(keyword))) return 'machine';
+  if (DUMBBELL_KEYWORDS.some(keyword => name.includes(keyword))) return 'dumbbell';
+  if (BARBELL_KEYWORDS.some(keyword => name.includes(keyword))) return 'barbell';
+  return 'plates';
+};
+
+/**
+ * Rounds a load to the nearest weight that can actually be loaded
+ * @param {number} loadKg - Calculated load in kg (negative for assistance)
+ * @param {string} equipmentType - Result of getLoadEquipment
+ * @param {Object} profile - Active profile (unit system and equipment)
+ * @returns {number} Achievable load in kg
+ */
+const roundToAchievableLoad = (loadKg, equipmentType, profile) => {
+  const unitFactor = profile?.unitSystem === 'imperial' ? KG_PER_LB : 1;
+  const equipment = getProfileEquipment(profile);
+  const sign = loadKg < 0 ? -1 : 1;
+  const value = Math.abs(loadKg) / unitFactor;
+  const smallestPlate = Math.min(...equipment.plates, ...equipment.microplates);
+  const roundTo = (amount, step) => (step > 0 ? Math.round(amount / step) * step : amount);
+
+  let rounded;
+  if (equipmentType === 'barbell') {
+    // Plates go on in pairs, so the bar moves in steps of two of the smallest plate
+    rounded = value <= equipment.barWeight
+      ? equipment.barWeight
+      : equipment.barWeight + roundTo(value - equipment.barWeight, smallestPlate * 2);
+  } else if (equipmentType === 'dumbbell') {
+    rounded = roundTo(value, equipment.dumbbellIncrement);
+  } else if (equipmentType === 'machine') {
+    rounded = roundTo(value, equipment.machineIncrement);
+  } else {
+    rounded = roundTo(value, smallestPlate);
+  }
+
+  return sign * rounded * unitFactor;
+};
+
+/**
+ * Splits a barbell load into plates per side (greedy, largest first)
+ * @param {number} load - Total load in the profile's unit, bar included
+ * @param {Object} equipment - Result of getProfileEquipment
+ * @returns {Object} { perSide: [plate, ...], remainder } remainder is what couldn't be loaded
+ */
+const calculatePlates = (load, equipment) => {
+  const available = [...equipment.plates, ...equipment.microplates].sort((a, b) => b - a);
+  let perSideRemaining = (load - equipment.barWeight) / 2;
+  const perSide = [];
+
+  available.forEach(plate => {
+    while (perSideRemaining >= plate - 1e-9) {
+      perSide.push(plate);
+      perSideRemaining -= plate;
+    }
+  });
+
+  return { perSide, remainder: Math.max(0, Math.round(perSideRemaining * 2 * 100) / 100) };
+};
+
 /**
  * Maps exercise names to appropriate Lucide icons
  * @param {string} exerciseName - Name of the exercise
- * @param {string} exerciseType - Type of exercise (repsSetsWeight, timer, hangboard)
+ * @param {string} exerciseType - Type of exercise (repsSetsWeight, timer, hangboard, climbing...)
  * @returns {React.Component} Lucide icon component
  */
 const getExerciseIcon = (exerciseName, exerciseType) => {
@@ -93,8 +329,13 @@ const getExerciseIcon = (exerciseName, exerciseType) => {
     return Hand;
   }
 
+  // Circuits, EMOMs, AMRAPs and Tabatas
+  if (exerciseType === 'block') {
+    return Zap;
+  }
+
   // Timer/cardio exercises
-  if (exerciseType === 'timer' || name.includes('run') || name.includes('jog') || name.includes('cardio')) {
+  if (exerciseType === 'timer' || exerciseType === 'interval' || name.includes('run') || name.includes('jog') || name.includes('cardio')) {
     return Timer;
   }
 
@@ -108,8 +349,13 @@ const getExerciseIcon = (exerciseName, exerciseType) => {
     return Bike;
   }
 
+  // Other distance work (rowing, skiing...)
+  if (exerciseType === 'distance') {
+    return Timer;
+  }
+
   // Climbing/bouldering
-  if (name.includes('climb') || name.includes('boulder')) {
+  if (exerciseType === 'climbing' || name.includes('climb') || name.includes('boulder')) {
     return Mountain;
   }
 
@@ -143,6 +389,97 @@ const getExerciseIconColor = (sport) => {
   return sportColors[sport] || 'text-gray-400';
 };
 
+// --- Plan Schedule ---
+
+const WEEK_MS = 1000 * 60 * 60 * 24 * 7;
+
+/**
+ * Formats a date as a local YYYY-MM-DD key
+ * @param {Date} date
+ * @returns {string}
+ */
+const toDateKey = (date) => {
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  return `${date.getFullYear()}-${month}-${day}`;
+};
+
+/**
+ * Reads a stored schedule value (Date, Firestore Timestamp, ISO string or YYYY-MM-DD key)
+ * @param {*} value
+ * @returns {Date|null}
+ */
+const toScheduleDate = (value) => {
+  if (!value) return null;
+  if (value instanceof Date) return value;
+  if (typeof value.toDate === 'function') return value.toDate();
+  // Date-only keys are local midnight, not UTC midnight
+  if (/^\d{4}-\d{2}-\d{2}$/.test(value)) return new Date(`${value}T00:00:00`);
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? null : date;
+};
+
+/**
+ * Gets a plan's schedule timeline. Plans saved before timelines existed start on their createdAt date.
+ * @param {Object} plan
+ * @returns {Object} { startDate: 'YYYY-MM-DD', events: [{ type: 'pause'|'resume', at }], weekOverride: { week, setAt } | null }
+ */
+const getPlanTimeline = (plan) => {
+  const createdAt = toScheduleDate(plan?.createdAt);
+  return {
+    startDate: plan?.timeline?.startDate || toDateKey(createdAt || new Date()),
+    events: plan?.timeline?.events || [],
+    weekOverride: plan?.timeline?.weekOverride || null
+  };
+};
+
+/**
+ * Resolves which plan week a date falls in. Time spent paused does not count, and a manual
+ * week override re-anchors the count at the moment it was set.
+ * @param {Object} plan - Plan with durationWeeks and an optional timeline
+ * @param {Date} date - Date to resolve (defaults to now)
+ * @returns {Object} { week, elapsedWeeks, isCycleComplete, isPaused, pausedSince, hasStarted, startDate }
+ */
+const resolvePlanWeek = (plan, date = new Date()) => {
+  const timeline = getPlanTimeline(plan);
+  const durationWeeks = plan?.durationWeeks || 1;
+  const override = timeline.weekOverride;
+  const anchor = toScheduleDate(override ? override.setAt : timeline.startDate) || date;
+  const weekOffset = override ? Math.max(0, (parseInt(override.week) || 1) - 1) : 0;
+
+  const overlapMs = (from, to) => Math.max(0, Math.min(to, date) - Math.max(from, anchor));
+
+  let pausedMs = 0;
+  let pausedSince = null;
+  timeline.events
+    .map(event => ({ ...event, at: toScheduleDate(event.at) }))
+    .filter(event => event.at && event.at <= date)
+    .sort((a, b) => a.at - b.at)
+    .forEach(event => {
+      if (event.type === 'pause' && !pausedSince) {
+        pausedSince = event.at;
+      } else if (event.type === 'resume' && pausedSince) {
+        pausedMs += overlapMs(pausedSince, event.at);
+        pausedSince = null;
+      }
+    });
+  if (pausedSince) pausedMs += overlapMs(pausedSince, date);
+
+  const activeMs = Math.max(0, date - anchor - pausedMs);
+  const elapsedWeeks = weekOffset + Math.floor(activeMs / WEEK_MS);
+
+  return {
+    // The last week is held once the cycle ends; rolling over is an explicit choice
+    week: Math.min(elapsedWeeks, durationWeeks - 1) + 1,
+    elapsedWeeks,
+    isCycleComplete: elapsedWeeks >= durationWeeks,
+    isPaused: !!pausedSince,
+    pausedSince,
+    hasStarted: date >= anchor,
+    startDate: timeline.startDate
+  };
+};
+
 // --- Progressive Overload Calculation Engine ---
 
 /**
@@ -151,14 +488,18 @@ const getExerciseIconColor = (sport) => {
  * @param {number} weekNumber - Current week number (1-indexed)
  * @param {number} increment - Amount to add per week
  * @param {number} userMultiplier - User adjustment multiplier (0.5-2.0)
- * @param {string} strategy - "linear" or "percentage"
+ * @param {string} strategy - "linear", "percentage" or "double" (double progression is driven by
+ *   logged results rather than the calendar, see resolveDoubleProgression)
  * @param {number} adaptiveFactor - Adaptive adjustment factor (0.8-1.2)
  * @returns {number} The calculated value for the current week
  */
 const calculateProgressiveValue = (baseValue, weekNumber, increment, userMultiplier = 1.0, strategy = 'linear', adaptiveFactor = 1.0) => {
   const weeksProgressed = weekNumber - 1; // Week 1 = baseline
 
-  if (strategy === 'percentage') {
+  if (strategy === 'double') {
+    // Double progression never advances with the calendar
+    return baseValue;
+  } else if (strategy === 'percentage') {
     // Percentage-based: baseValue * (1 + (increment/100))^weeks
     const percentIncrease = increment / 100;
     return baseValue * Math.pow(1 + percentIncrease, weeksProgressed * userMultiplier * adaptiveFactor);
@@ -168,15 +509,176 @@ const calculateProgressiveValue = (baseValue, weekNumber, increment, userMultipl
   }
 };
 
+// Lowest share of the progressed load a wave week can drop to
+const MIN_PHASE_INTENSITY = 0.5;
+
+// Default weekly rotation for undulating periodization (percentages of the progressed values)
+const DEFAULT_UNDULATING_PATTERN = [
+  { label: 'Heavy', intensity: 100, volume: 80 },
+  { label: 'Light', intensity: 85, volume: 110 },
+  { label: 'Medium', intensity: 92.5, volume: 100 }
+];
+
+/**
+ * Resolves the periodization phase for a given plan week
+ * @param {number} weekNumber - Current week number (1-indexed)
+ * @param {Object} periodization - Periodization settings from progressionSettings
+ * @returns {Object} Phase info: { model, phase, label, progressionWeek, intensity, volume, duration }
+ *   - progressionWeek: week number to feed into calculateProgressiveValue
+ *   - intensity: multiplier applied to load (weight)
+ *   - volume: multiplier applied to sets and reps
+ *   - duration: multiplier applied to hold and timer durations
+ */
+const getPeriodizationPhase = (weekNumber, periodization) => {
+  const model = periodization?.model || 'none';
+
+  if (model === 'block') {
+    // N loading weeks followed by one deload week, repeated
+    const loadingWeeks = Math.max(1, periodization.loadingWeeks || 3);
+    const cycleLength = loadingWeeks + 1;
+    const positionInCycle = (weekNumber - 1) % cycleLength; // 0-indexed
+    const completedCycles = Math.floor((weekNumber - 1) / cycleLength);
+
+    if (positionInCycle === loadingWeeks) {
+      // Deload: hold the last loading week's progression and back off
+      // Plans saved while a field was blank can hold NaN
+      const deloadFactor = (Number.isFinite(periodization.deloadPercent) ? periodization.deloadPercent : 60) / 100;
+      return {
+        model,
+        phase: 'deload',
+        label: 'Deload',
+        progressionWeek: (completedCycles + 1) * loadingWeeks,
+        intensity: deloadFactor,
+        volume: 1.0,
+        // A deload shortens holds like it lightens loads, but keeps the sets and reps
+        duration: deloadFactor
+      };
+    }
+
+    return {
+      model,
+      phase: 'loading',
+      label: `Loading ${positionInCycle + 1}/${loadingWeeks}`,
+      // Deload weeks don't advance progression
+      progressionWeek: completedCycles * loadingWeeks + positionInCycle + 1,
+      intensity: 1.0,
+      volume: 1.0,
+      duration: 1.0
+    };
+  }
+
+  if (model === 'wave') {
+    // Intensity climbs through each wave, then steps back at the start of the next one
+    const waveLength = Math.max(2, periodization.waveLength || 3);
+    const step = (Number.isFinite(periodization.waveStep) ? periodization.waveStep : 5) / 100;
+    const positionInWave = (weekNumber - 1) % waveLength;
+    const stepsBelowPeak = waveLength - 1 - positionInWave;
+    const volume = 1 + step * stepsBelowPeak;
+
+    return {
+      model,
+      phase: positionInWave === waveLength - 1 ? 'peak' : 'build',
+      label: `Wave ${Math.floor((weekNumber - 1) / waveLength) + 1} · ${positionInWave + 1}/${waveLength}`,
+      progressionWeek: weekNumber,
+      // Long waves or big steps would otherwise take the first week's load to nothing
+      intensity: Math.max(MIN_PHASE_INTENSITY, 1 - step * stepsBelowPeak),
+      volume,
+      duration: volume
+    };
+  }
+
+  if (model === 'undulating') {
+    // Rotate through heavy/light/medium style weeks
+    const pattern = periodization.pattern?.length ? periodization.pattern : DEFAULT_UNDULATING_PATTERN;
+    const patternIndex = (weekNumber - 1) % pattern.length;
+    const entry = pattern[patternIndex];
+    const label = entry.label || `Week ${patternIndex + 1}`;
+    const volume = (entry.volume ?? 100) / 100;
+
+    return {
+      model,
+      phase: label.toLowerCase(),
+      label,
+      progressionWeek: weekNumber,
+      intensity: (entry.intensity ?? 100) / 100,
+      volume,
+      duration: volume
+    };
+  }
+
+  return { model: 'none', phase: 'linear', label: null, progressionWeek: weekNumber, intensity: 1.0, volume: 1.0, duration: 1.0 };
+};
+
+/**
+ * Counts the non-rest days in a plan's base week
+ * @param {Object} plan - Training plan
+ * @returns {number} Number of days with at least one exercise
+ */
+const countTrainingDays = (plan) => {
+  const days = plan?.baseWeek?.days || [];
+  return days.filter(day => day.exercises?.length > 0).length;
+};
+
+/**
+ * Summarises logged performance for a set of exercise logs
+ * @param {Array} exerciseLogs - Exercise logs from history entries
+ * @returns {Object|null} { setCompletion, workCompletion, avgEffort } or null if nothing was logged per set
+ */
+const summarizeExercisePerformance = (exerciseLogs) => {
+  let prescribedSets = 0;
+  let completedSets = 0;
+  let targetWork = 0;
+  let achievedWork = 0;
+  const efforts = [];
+
+  exerciseLogs.forEach(exLog => {
+    // Limit climbing is mostly failed attempts by design, so it says nothing about missed targets
+    if (!exLog.sets || exLog.type === 'climbing') return;
+    // Skipped and substituted exercises weren't attempted; they count against consistency instead
+    const { status } = getExerciseOutcome(exLog);
+    if (status === 'skipped' || status === 'substituted') return;
+    const prescribed = exLog.prescribed || {};
+    prescribedSets += typeof prescribed.sets === 'number' ? prescribed.sets : exLog.sets.length;
+    completedSets += exLog.sets.filter(setLog => setLog.completed).length;
+
+    // Work = reps for rep-based sets, seconds for timed sets, km for distance; capped at target so extra reps don't mask misses
+    const targetReps = parseFloat(prescribed.reps);
+    exLog.sets.forEach(setLog => {
+      if (typeof setLog.distance === 'number' && prescribed.distance) {
+        targetWork += prescribed.distance;
+        achievedWork += Math.min(setLog.distance, prescribed.distance);
+      } else if (typeof setLog.duration === 'number' && prescribed.duration) {
+        targetWork += prescribed.duration;
+        achievedWork += Math.min(setLog.duration, prescribed.duration);
+      } else if (typeof setLog.reps === 'number' && targetReps > 0) {
+        targetWork += targetReps;
+        achievedWork += Math.min(setLog.reps, targetReps);
+      }
+    });
+
+    if (typeof exLog.effort === 'number') efforts.push(exLog.effort);
+  });
+
+  if (prescribedSets === 0) return null;
+
+  return {
+    setCompletion: Math.min(1, completedSets / prescribedSets),
+    workCompletion: targetWork > 0 ? achievedWork / targetWork : 1,
+    avgEffort: efforts.length ? efforts.reduce((sum, e) => sum + e, 0) / efforts.length : null
+  };
+};
+
 /**
  * Calculates adaptive factor based on user's recent performance
- * @param {Array} history - User's workout history
+ * @param {Array} history - User's workout history; only the plan's current cycle is looked at
  * @param {number} currentWeek - Current week number
+ * @param {Object} plan - Training plan (its name and cycle, and the number of training days per week)
+ * @param {string} [exerciseName] - Limit the performance analysis to one exercise
  * @returns {number} Adaptive factor (0.8 = slower, 1.0 = normal, 1.2 = faster)
  */
-const calculateAdaptiveFactor = (history, currentWeek) => {
-  // Look at last 3 weeks of workouts
-  const recentWorkouts = history.filter(log =>
+const calculateAdaptiveFactor = (history, currentWeek, plan, exerciseName) => {
+  // Look at last 3 weeks of workouts; week numbers restart with every plan and cycle
+  const recentWorkouts = getCycleHistory(plan, history).filter(log =>
     log.weekNumber >= currentWeek - 3 && log.weekNumber < currentWeek
   );
 
@@ -184,21 +686,429 @@ const calculateAdaptiveFactor = (history, currentWeek) => {
     return 1.0; // Not enough data, use normal progression
   }
 
-  // Calculate completion rate (completed workouts per week)
+  // Consistency: work done vs sessions the plan actually schedules; a session skipped half-way counts as half
   const weeksCovered = Math.min(3, currentWeek - 1);
-  const expectedWorkouts = weeksCovered * 4; // Assuming ~4 workouts per week
-  const completionRate = recentWorkouts.length / expectedWorkouts;
-
-  // Adjust based on completion rate
-  if (completionRate >= 0.9) {
-    return 1.1; // User is consistent, slightly increase progression
-  } else if (completionRate >= 0.7) {
-    return 1.0; // Normal progression
-  } else if (completionRate >= 0.5) {
-    return 0.95; // Slightly reduce progression
+  const expectedWorkouts = weeksCovered * Math.max(1, countTrainingDays(plan));
+  const sessionsDone = recentWorkouts.reduce((sum, log) => sum + getWorkoutCompletion(log), 0);
+  const completionRate = Math.min(1, sessionsDone / expectedWorkouts);
+
+  let consistencyFactor = 1.0;
+  if (completionRate < 0.5) {
+    consistencyFactor = 0.9; // User is missing most sessions
+  } else if (completionRate < 0.7) {
+    consistencyFactor = 0.95;
+  }
+
+  // Performance: did the logged sets hit the prescription?
+  const allLogs = recentWorkouts.flatMap(log => log.exerciseLogs || []);
+  const exerciseLogs = exerciseName ? allLogs.filter(exLog => exLog.name === exerciseName) : [];
+  // Fall back to the whole plan when this exercise has too little data
+  const performance = summarizeExercisePerformance(exerciseLogs.length >= 2 ? exerciseLogs : allLogs);
+
+  if (!performance) {
+    // Legacy history without per-set logs: consistency is all we have
+    return completionRate >= 0.9 ? 1.1 : consistencyFactor;
+  }
+
+  const score = performance.setCompletion * performance.workCompletion;
+  let performanceFactor;
+  if (score >= 0.95) {
+    performanceFactor = 1.1; // Hitting every target, progress a bit faster
+  } else if (score >= 0.85) {
+    performanceFactor = 1.0;
+  } else if (score >= 0.7) {
+    performanceFactor = 0.95;
   } else {
-    return 0.9; // User is struggling, reduce progression
+    performanceFactor = 0.85; // Missing a lot of work, slow down
+  }
+
+  // Reported effort (RPE 1-10): grinding sessions slow progression, easy ones speed it up
+  if (performance.avgEffort !== null) {
+    if (performance.avgEffort >= 9.5) {
+      performanceFactor -= 0.1;
+    } else if (performance.avgEffort >= 9) {
+      performanceFactor -= 0.05;
+    } else if (performance.avgEffort <= 6) {
+      performanceFactor += 0.05;
+    }
+  }
+
+  return Math.min(1.2, Math.max(0.8, performanceFactor * consistencyFactor));
+};
+
+/**
+ * Parses a rep range such as "8-12"
+ * @param {string|number} reps - Reps value from baselineDetails
+ * @returns {Object|null} { min, max } or null if reps isn't a range
+ */
+const parseRepRange = (reps) => {
+  const match = String(reps ?? '').match(/^\s*(\d+)\s*[-–]\s*(\d+)\s*$/);
+  if (!match) return null;
+  const min = parseInt(match[1]);
+  const max = parseInt(match[2]);
+  return min <= max ? { min, max } : { min: max, max: min };
+};
+
+/**
+ * Double progression: climb through the rep range at a fixed load, then add load and
+ * return to the bottom of the range. Moves up only when the last logged session hit the target.
+ * @param {Object} baselineDetails - Baseline details with a rep range, e.g. { reps: "8-12", weight: "60kg" }
+ * @param {string} exerciseName - Exercise name used to find logged sessions
+ * @param {Array} history - Workout history
+ * @param {Object} increments - Effective increments (weight = load jump, reps = reps added per success)
+ * @returns {Object|null} { reps, weight } targets before periodization, or null without a rep range
+ */
+const resolveDoubleProgression = (baselineDetails, exerciseName, history, increments = {}) => {
+  const range = parseRepRange(baselineDetails.reps);
+  if (!range) return null;
+
+  const baseWeight = parseFloat(String(baselineDetails.weight ?? '').match(/([+-]?\d+(?:\.\d+)?)/)?.[1]);
+  const startingState = { reps: range.min, weight: isNaN(baseWeight) ? null : baseWeight };
+
+  // Most recent session of this exercise written against the same rep range
+  let lastLog = null;
+  let lastDate = null;
+  history.forEach(log => {
+    (log.exerciseLogs || []).forEach(exLog => {
+      if (exLog.name !== exerciseName || exLog.prescribed?.repRange !== baselineDetails.reps || !exLog.prescribed?.doubleProgression) return;
+      if (!lastDate || log.completedAt > lastDate) {
+        lastLog = exLog;
+        lastDate = log.completedAt;
+      }
+    });
+  });
+
+  if (!lastLog) return startingState;
+
+  const { reps: targetReps, weight: targetWeight } = lastLog.prescribed.doubleProgression;
+  const prescribedSets = typeof lastLog.prescribed.sets === 'number' ? lastLog.prescribed.sets : 1;
+  const sets = lastLog.sets || [];
+  const hitTarget = sets.length >= prescribedSets &&
+    sets.every(setLog => setLog.completed && setLog.reps >= targetReps);
+
+  if (!hitTarget) {
+    return { reps: targetReps, weight: targetWeight };
+  }
+
+  if (targetReps >= range.max) {
+    // Top of the range on every set: add load, back to the bottom of the range
+    const loadStep = increments.weight || 2.5;
+    return { reps: range.min, weight: targetWeight === null ? null : targetWeight + loadStep };
+  }
+
+  const repStep = Math.max(1, Math.round(increments.reps || 1));
+  return { reps: Math.min(range.max, targetReps + repStep), weight: targetWeight };
+};
+
+/**
+ * Parses a load written as a percentage of a max, e.g. "75% 1RM" or "80% TM"
+ * @param {string} weight - Weight string from baselineDetails
+ * @returns {number|null} Percentage (e.g. 75) or null if the weight is absolute
+ */
+const parsePercentOfMax = (weight) => {
+  const match = String(weight ?? '').match(/(\d+(?:\.\d+)?)\s*%\s*(?:of\s*)?(?:1\s*RM|TM|training\s*max)/i);
+  return match ? parseFloat(match[1]) : null;
+};
+
+/**
+ * Parses a load written as a percentage of bodyweight, e.g. "+10% BW" (added) or "-20% BW" (removed with a pulley)
+ * @param {string} weight - Weight string from baselineDetails
+ * @returns {number|null} Signed percentage (e.g. -20) or null if the weight isn't relative to bodyweight
+ */
+const parsePercentOfBodyweight = (weight) => {
+  const match = String(weight ?? '').match(/([+-]?\d+(?:\.\d+)?)\s*%\s*(?:of\s*)?(?:BW|body\s*weight)\b/i);
+  return match ? parseFloat(match[1]) : null;
+};
+
+/**
+ * Estimates a one-rep max from a set
+ * @param {number} weight - Load lifted
+ * @param {number} reps - Reps completed
+ * @param {string} formula - "epley" or "brzycki"
+ * @returns {number} Estimated 1RM
+ */
+const estimateOneRepMax = (weight, reps, formula = 'epley') => {
+  if (reps <= 1) return weight;
+  if (formula === 'brzycki') {
+    return weight * 36 / (37 - Math.min(reps, 36));
+  }
+  return weight * (1 + reps / 30);
+};
+
+/**
+ * Finds the best estimated 1RM per lift from logged sets
+ * Only completed sets with an absolute load and 1-12 reps are used (estimates get unreliable beyond that).
+ * @param {Array} history - Workout history
+ * @param {string} formula - "epley" or "brzycki"
+ * @returns {Object} { [liftName]: { estimate, weight, reps, date } }
+ */
+const getEstimatedMaxes = (history, formula = 'epley') => {
+  const maxes = {};
+  history.forEach(log => {
+    (log.exerciseLogs || []).forEach(exLog => {
+      // Rep max tests count too (link them to the lift with `lift`)
+      if (exLog.type !== 'repsSetsWeight' && exLog.test?.metric !== 'repMax') return;
+      const liftName = exLog.lift || exLog.name;
+      (exLog.sets || []).forEach(setLog => {
+        const weight = String(setLog.weight ?? '');
+        if (!setLog.completed || weight.trim().startsWith('+') || parsePercentOfMax(weight) !== null) return;
+        const load = parseFloat(weight.match(/(\d+(?:\.\d+)?)/)?.[1]);
+        if (isNaN(load) || !(setLog.reps >= 1 && setLog.reps <= 12)) return;
+
+        const estimate = estimateOneRepMax(load, setLog.reps, formula);
+        if (!maxes[liftName] || estimate > maxes[liftName].estimate) {
+          maxes[liftName] = { estimate, weight: load, reps: setLog.reps, date: log.completedAt };
+        }
+      });
+    });
+  });
+  return maxes;
+};
+
+/**
+ * Resolves the max a percentage-based load is calculated from.
+ * A training max set on the profile wins; otherwise the best estimated 1RM from history is used.
+ * @param {string} liftName - Lift name (exercise.lift or exercise.name)
+ * @param {Object} profile - Active profile (may hold trainingMaxes)
+ * @param {Object} estimatedMaxes - Result of getEstimatedMaxes
+ * @returns {number|null} Max in kg, or null if unknown
+ */
+const resolveTrainingMax = (liftName, profile, estimatedMaxes = {}) => {
+  const trainingMax = profile?.trainingMaxes?.[liftName];
+  if (typeof trainingMax === 'number' && trainingMax > 0) return trainingMax;
+  return estimatedMaxes[liftName]?.estimate ?? null;
+};
+
+// Fields that progress for each exercise type (used by per-exercise progression rules)
+const PROGRESSION_FIELDS_BY_TYPE = {
+  repsSetsWeight: ['sets', 'reps', 'weight'],
+  timer: ['sets', 'duration'],
+  // Hangs can progress by time, added load or a smaller edge (mm, negative increment)
+  hangboard: ['sets', 'duration', 'weight', 'edge'],
+  // Intervals: reps = work bouts per set, duration = seconds on per bout
+  interval: ['sets', 'reps', 'duration'],
+  // Blocks: sets = rounds, duration = AMRAP time cap
+  block: ['sets', 'duration'],
+  // Distance in km; pace in seconds per km, so a negative increment is a faster target
+  distance: ['distance', 'pace'],
+  // Climbing sessions progress in length; the target grade moves with the cycle rollover
+  climbing: ['duration']
+};
+
+/**
+ * Merges an exercise's own progression block over the plan-wide settings
+ * @param {Object} planSettings - progressionSettings from the plan
+ * @param {Object} exerciseProgression - Optional `progression` block on the exercise
+ * @returns {Object} Effective progression settings for the exercise
+ */
+const resolveProgressionSettings = (planSettings, exerciseProgression) => {
+  const base = planSettings || { strategy: 'linear', increments: {}, userMultiplier: 1.0 };
+  if (!exerciseProgression) return base;
+
+  return {
+    ...base,
+    strategy: exerciseProgression.strategy || base.strategy,
+    increments: { ...base.increments, ...exerciseProgression.increments },
+    min: { ...base.min, ...exerciseProgression.min },
+    max: { ...base.max, ...exerciseProgression.max },
+    roundingStep: exerciseProgression.roundingStep ?? base.roundingStep
+  };
+};
+
+// Imperial progression values to kg/km; pace is per mile, so a change per mile is a smaller change per km
+const IMPERIAL_PROGRESSION_FACTORS = { weight: KG_PER_LB, distance: KM_PER_MI, pace: 1 / KM_PER_MI };
+
+/**
+ * Scales the weight, distance and pace values in a progression block (increments, caps and rounding).
+ * Only fields that are set are touched, since Firestore rejects undefined values.
+ * @param {Object} progressionSettings - Plan-wide settings or an exercise's progression block
+ * @param {Function} convert - (value, field) => converted value
+ * @returns {Object} Converted settings
+ */
+const convertProgressionUnits = (progressionSettings, convert) => {
+  if (!progressionSettings) return progressionSettings;
+  const converted = { ...progressionSettings };
+  ['increments', 'min', 'max'].forEach((section) => {
+    if (!converted[section]) return;
+    converted[section] = { ...converted[section] };
+    Object.keys(IMPERIAL_PROGRESSION_FACTORS).forEach((field) => {
+      if (typeof converted[section][field] === 'number') converted[section][field] = convert(converted[section][field], field);
+    });
+  });
+  if (typeof converted.roundingStep === 'number') converted.roundingStep = convert(converted.roundingStep, 'weight');
+  return converted;
+};
+
+/**
+ * Converts progression values entered in the user's unit to kg/km
+ * @param {Object} progressionSettings - Progression settings in the user's unit
+ * @param {string} unitSystem - "metric" or "imperial"
+ * @returns {Object} Settings with weight values in kg, distance in km and pace per km
+ */
+const toCanonicalProgressionSettings = (progressionSettings, unitSystem) => {
+  if (unitSystem !== 'imperial') return progressionSettings;
+  return convertProgressionUnits(progressionSettings, (value, field) => value * IMPERIAL_PROGRESSION_FACTORS[field]);
+};
+
+/**
+ * Converts stored (kg/km) progression values to the user's unit for editing
+ * @param {Object} progressionSettings - Progression settings in kg/km
+ * @param {string} unitSystem - "metric" or "imperial"
+ * @returns {Object} Settings in the user's unit
+ */
+const toDisplayProgressionSettings = (progressionSettings, unitSystem) => {
+  if (unitSystem !== 'imperial') return progressionSettings;
+  return convertProgressionUnits(progressionSettings, (value, field) => Math.round(value / IMPERIAL_PROGRESSION_FACTORS[field] * 100) / 100);
+};
+
+/**
+ * Applies a conversion to a plan's progression settings and every exercise's own progression block
+ * @param {Object} plan - Training plan
+ * @param {Function} convertSettings - (progressionSettings) => converted settings
+ * @returns {Object} Plan copy with converted progression values
+ */
+const convertPlanProgression = (plan, convertSettings) => {
+  const converted = { ...plan };
+  if (plan.progressionSettings) converted.progressionSettings = convertSettings(plan.progressionSettings);
+  if (plan.baseWeek?.days) {
+    converted.baseWeek = {
+      ...plan.baseWeek,
+      days: plan.baseWeek.days.map(day => ({
+        ...day,
+        exercises: (day.exercises || []).map(ex => (ex.progression ? { ...ex, progression: convertSettings(ex.progression) } : ex))
+      }))
+    };
+  }
+  return converted;
+};
+
+/**
+ * Stores a plan's progression values in kg/km, whatever unit they were written in
+ * @param {Object} plan - Plan with progression values in the user's unit
+ * @param {string} unitSystem - "metric" or "imperial"
+ * @returns {Object} Plan ready to save, marked with progressionUnits: 'metric'
+ */
+const toCanonicalPlanProgression = (plan, unitSystem) => ({
+  ...convertPlanProgression(plan, settings => toCanonicalProgressionSettings(settings, unitSystem)),
+  progressionUnits: 'metric'
+});
+
+/**
+ * Effective progression settings for an exercise, with weight, distance and pace values in kg/km.
+ * Plans saved before progressionUnits existed hold these values in the profile's unit.
+ * @param {Object} plan - Training plan
+ * @param {Object} exercise - Exercise from the base week
+ * @param {string} unitSystem - Profile's "metric" or "imperial"
+ * @returns {Object} Progression settings for applyProgression
+ */
+const getExerciseProgressionSettings = (plan, exercise, unitSystem) => {
+  const settings = resolveProgressionSettings(plan.progressionSettings, exercise.progression);
+  return plan.progressionUnits === 'metric' ? settings : toCanonicalProgressionSettings(settings, unitSystem);
+};
+
+/**
+ * Keeps a progressed value within the configured min/max for its field
+ * @param {number} value - Calculated value
+ * @param {string} field - Field name (sets, reps, weight, duration)
+ * @param {Object} progressionSettings - Effective progression settings
+ * @returns {number} Clamped value
+ */
+const clampProgressedValue = (value, field, progressionSettings) => {
+  const min = progressionSettings.min?.[field];
+  const max = progressionSettings.max?.[field];
+  let clamped = value;
+  if (typeof min === 'number' && !isNaN(min)) clamped = Math.max(min, clamped);
+  if (typeof max === 'number' && !isNaN(max)) clamped = Math.min(max, clamped);
+  return clamped;
+};
+
+// Stall handling defaults: flag for review after two missed sessions in a row
+const DEFAULT_STALL_SETTINGS = { sessions: 2, action: 'flag', resetPercent: 10 };
+
+/**
+ * Scans logged sessions of an exercise for plateaus. A session is a miss when fewer sets were completed
+ * than prescribed or the completed work fell short; every `sessions` misses in a row count as one stall.
+ * Skipped exercises (no sets logged) neither break nor extend a streak.
+ * @param {string} exerciseName - Exercise to check
+ * @param {Array} history - History entries to scan (usually the current cycle)
+ * @param {Object} stallSettings - { sessions, action, resetPercent }
+ * @param {string} [reviewedAt] - ISO date; sessions up to here were reviewed and are ignored
+ * @returns {Object} { stallCount, missStreak, lastStallAt, isPlateaued }
+ */
+const detectStall = (exerciseName, history, stallSettings, reviewedAt) => {
+  const reviewedDate = reviewedAt ? new Date(reviewedAt) : null;
+  const threshold = Math.max(1, stallSettings.sessions || DEFAULT_STALL_SETTINGS.sessions);
+  const sessions = history
+    .filter(log => !reviewedDate || log.completedAt > reviewedDate)
+    .flatMap(log => (log.exerciseLogs || [])
+      .filter(exLog => exLog.name === exerciseName && exLog.sets?.length > 0)
+      .map(exLog => ({ exLog, completedAt: log.completedAt })))
+    .sort((a, b) => a.completedAt - b.completedAt);
+
+  let stallCount = 0;
+  let missStreak = 0;
+  let lastStallAt = null;
+  let hitSinceStall = false;
+
+  sessions.forEach(({ exLog, completedAt }) => {
+    const performance = summarizeExercisePerformance([exLog]);
+    if (!performance) return;
+
+    if (performance.setCompletion >= 1 && performance.workCompletion >= 1) {
+      missStreak = 0;
+      hitSinceStall = true;
+      return;
+    }
+
+    missStreak += 1;
+    if (missStreak >= threshold) {
+      stallCount += 1;
+      missStreak = 0;
+      lastStallAt = completedAt;
+      hitSinceStall = false;
+    }
+  });
+
+  return { stallCount, missStreak, lastStallAt, isPlateaued: stallCount > 0 && !hitSinceStall };
+};
+
+/**
+ * Turns a detected stall into an adjustment for applyProgression
+ * "reset" drops the main driver (load, duration, or reps for bodyweight work) by resetPercent per stall,
+ * "changeScheme" switches to more sets of fewer reps, "flag" changes nothing and only surfaces it for review.
+ * @param {Object} stall - Result of detectStall
+ * @param {Object} stallSettings - { sessions, action, resetPercent }
+ * @returns {Object|null} { loadFactor, changeScheme } or null when nothing changes
+ */
+const getStallAdjustment = (stall, stallSettings) => {
+  if (!stall || stall.stallCount === 0) return null;
+  if (stallSettings.action === 'reset') {
+    const resetPercent = stallSettings.resetPercent ?? DEFAULT_STALL_SETTINGS.resetPercent;
+    return { loadFactor: Math.pow(1 - resetPercent / 100, stall.stallCount), changeScheme: false };
+  }
+  if (stallSettings.action === 'changeScheme') {
+    return { loadFactor: 1, changeScheme: true };
   }
+  return null;
+};
+
+/**
+ * Lists the plan's exercises that have stalled in the current cycle, for the dashboard
+ * @param {Object} plan - Training plan
+ * @param {Array} history - Workout history for the profile
+ * @returns {Array} [{ name, stall, adjustment, action }] for exercises with at least one stall
+ */
+const getPlanStalls = (plan, history) => {
+  const stallSettings = { ...DEFAULT_STALL_SETTINGS, ...plan.progressionSettings?.stall };
+  const cycleHistory = getCycleHistory(plan, history);
+  const names = [...new Set((plan.baseWeek?.days || []).flatMap(day => day.exercises.map(ex => ex.name)))];
+
+  return names
+    .map(name => {
+      const stall = detectStall(name, cycleHistory, stallSettings, plan.stallReviews?.[name]);
+      return { name, stall, adjustment: getStallAdjustment(stall, stallSettings), action: stallSettings.action };
+    })
+    .filter(entry => entry.stall.stallCount > 0);
 };
 
 /**
@@ -207,54 +1117,1233 @@ const calculateAdaptiveFactor = (history, currentWeek) => {
  * @param {number} currentWeek - Current week number
  * @param {Object} progressionSettings - Progression settings from plan
  * @param {number} adaptiveFactor - Adaptive factor based on performance
+ * @param {Object} options - Extra context: { exerciseName, history } (needed for double progression)
+ *   and { trainingMax } (needed for loads written as "75% 1RM"), { bodyweight } (kg, needed for "+10% BW"), { roundLoad } (kg -> achievable kg),
+ *   { stallAdjustment } (from getStallAdjustment), { baselineWeek } (week a test last recalibrated the baseline),
+ *   { distanceScale } (from getMileageScale)
  * @returns {Object} Calculated details for current week
  */
-const applyProgression = (baselineDetails, currentWeek, progressionSettings, adaptiveFactor = 1.0) => {
-  const { strategy, increments, userMultiplier } = progressionSettings;
+const applyProgression = (rawBaselineDetails, currentWeek, progressionSettings, adaptiveFactor = 1.0, options = {}) => {
+  const { strategy, increments = {}, userMultiplier, periodization } = progressionSettings;
+
+  // Percentage-of-max and percentage-of-bodyweight loads are resolved to a concrete week 1 load
+  // before progressing; absolute loads are normalised to kg so progression always works in one unit
+  const percentOfMax = parsePercentOfMax(rawBaselineDetails.weight);
+  const percentOfBodyweight = parsePercentOfBodyweight(rawBaselineDetails.weight);
+  let baselineDetails = { ...rawBaselineDetails, weight: toCanonicalLoad(rawBaselineDetails.weight) };
+  if (percentOfMax !== null && options.trainingMax) {
+    baselineDetails = { ...rawBaselineDetails, weight: `${formatKgNumber(options.trainingMax * percentOfMax / 100)}kg` };
+  } else if (percentOfBodyweight !== null && options.bodyweight) {
+    const addedKg = options.bodyweight * percentOfBodyweight / 100;
+    baselineDetails = { ...rawBaselineDetails, weight: `${addedKg >= 0 ? '+' : ''}${formatKgNumber(addedKg)}kg` };
+  }
+  if (baselineDetails.weight === undefined) delete baselineDetails.weight;
   const result = { ...baselineDetails };
+  if (percentOfMax !== null) {
+    result.percentOfMax = percentOfMax;
+    result.weightSpec = rawBaselineDetails.weight;
+  }
+  if (percentOfBodyweight !== null) {
+    result.percentOfBodyweight = percentOfBodyweight;
+    result.weightSpec = rawBaselineDetails.weight;
+  }
+
+  // Double progression replaces calendar-based reps/weight with results-based targets
+  const doubleProgression = strategy === 'double'
+    ? resolveDoubleProgression(baselineDetails, options.exerciseName, options.history || [], increments)
+    : null;
+  // Double progression only drives a rep range and its load; everything else still progresses by the calendar
+  const calendarStrategy = strategy === 'double' ? 'linear' : strategy;
+
+  // Periodization decides how far along the progression curve this week sits
+  // and how much to scale volume/intensity (e.g. deload weeks)
+  const phase = getPeriodizationPhase(currentWeek, periodization);
+  // Baselines recalibrated by a test in a later week progress from that week, not from week 1
+  const baselinePhase = options.baselineWeek > 1 ? getPeriodizationPhase(options.baselineWeek, periodization) : null;
+  const progressionWeek = baselinePhase
+    ? Math.max(1, phase.progressionWeek - baselinePhase.progressionWeek + 1)
+    : phase.progressionWeek;
+
+  // A stall reset scales whichever field drives the exercise: load, then duration, distance, then reps
+  const stallAdjustment = options.stallAdjustment;
+  const stallFactor = stallAdjustment?.loadFactor ?? 1;
+  // Percentages still unresolved here (no training max or bodyweight) are left as written, so they can't be reset
+  const isUnresolvedPercent = parsePercentOfMax(baselineDetails.weight) !== null || parsePercentOfBodyweight(baselineDetails.weight) !== null;
+  const hasAbsoluteLoad = /\d/.test(String(baselineDetails.weight ?? '')) && !isUnresolvedPercent;
+  const stallField = hasAbsoluteLoad
+    ? 'weight'
+    : (typeof baselineDetails.duration === 'number' ? 'duration' : (typeof baselineDetails.distance === 'number' ? 'distance' : 'reps'));
+  const stallScale = (field) => (field === stallField ? stallFactor : 1);
 
   // Apply progression to numeric fields
-  if (typeof baselineDetails.sets === 'number' && increments.sets) {
-    result.sets = Math.round(calculateProgressiveValue(
-      baselineDetails.sets, currentWeek, increments.sets, userMultiplier, strategy, adaptiveFactor
-    ));
+  if (typeof baselineDetails.sets === 'number') {
+    const newSets = increments.sets
+      ? calculateProgressiveValue(baselineDetails.sets, progressionWeek, increments.sets, userMultiplier, calendarStrategy, adaptiveFactor)
+      : baselineDetails.sets;
+    result.sets = Math.max(1, Math.round(clampProgressedValue(newSets * phase.volume, 'sets', progressionSettings)));
+  }
+
+  if (doubleProgression) {
+    result.repRange = baselineDetails.reps;
+    result.reps = String(doubleProgression.reps);
+    result.doubleProgression = doubleProgression;
   }
 
   // Handle reps (can be number or string like "10s")
-  if (baselineDetails.reps) {
+  if (baselineDetails.reps && !doubleProgression) {
     const repsNum = parseFloat(baselineDetails.reps);
-    if (!isNaN(repsNum) && increments.reps) {
-      const newReps = calculateProgressiveValue(
-        repsNum, currentWeek, increments.reps, userMultiplier, strategy, adaptiveFactor
-      );
+    if (!isNaN(repsNum) && (increments.reps || phase.volume !== 1.0 || stallScale('reps') !== 1)) {
+      const newReps = increments.reps
+        ? calculateProgressiveValue(repsNum, progressionWeek, increments.reps, userMultiplier, calendarStrategy, adaptiveFactor)
+        : repsNum;
       // Preserve unit if present (e.g., "10s" -> "12s")
       const unit = String(baselineDetails.reps).replace(/[0-9.-]/g, '');
-      result.reps = Math.round(newReps) + unit;
+      result.reps = Math.max(1, Math.round(clampProgressedValue(newReps * phase.volume, 'reps', progressionSettings) * stallScale('reps'))) + unit;
     }
   }
 
-  // Handle weight (parse numeric part)
-  if (baselineDetails.weight && typeof baselineDetails.weight === 'string') {
+  // Handle weight (parse numeric part); unresolved percentages are left as written
+  if (baselineDetails.weight && typeof baselineDetails.weight === 'string' && !isUnresolvedPercent) {
     const weightMatch = baselineDetails.weight.match(/([+-]?\d+(?:\.\d+)?)/);
-    if (weightMatch && increments.weight) {
+    const hasWeightRules = progressionSettings.roundingStep || options.roundLoad || progressionSettings.min?.weight !== undefined || progressionSettings.max?.weight !== undefined;
+    if (weightMatch && (increments.weight || phase.intensity !== 1.0 || hasWeightRules || doubleProgression || stallScale('weight') !== 1)) {
       const baseWeight = parseFloat(weightMatch[1]);
-      const newWeight = calculateProgressiveValue(
-        baseWeight, currentWeek, increments.weight, userMultiplier, strategy, adaptiveFactor
-      );
-      // Replace numeric part, keep units
-      result.weight = baselineDetails.weight.replace(/([+-]?\d+(?:\.\d+)?)/, newWeight.toFixed(1));
+      // A percentage of the training max already rises as heavier sets are logged, so it gets no weekly increment
+      const loadFollowsMax = percentOfMax !== null && !!options.trainingMax;
+      let newWeight = increments.weight && !doubleProgression && !loadFollowsMax
+        ? calculateProgressiveValue(baseWeight, progressionWeek, increments.weight, userMultiplier, calendarStrategy, adaptiveFactor)
+        : baseWeight;
+      if (doubleProgression?.weight !== null && doubleProgression?.weight !== undefined) {
+        newWeight = doubleProgression.weight;
+      }
+      // Removed weight (assisted hangs, band pull-ups) is assistance: easier weeks get more of it, not less
+      const scaleLoad = (kg, factor) => (kg < 0 ? kg / factor : kg * factor);
+      let finalWeight = scaleLoad(clampProgressedValue(scaleLoad(newWeight, phase.intensity), 'weight', progressionSettings), stallScale('weight'));
+      if (progressionSettings.roundingStep > 0) {
+        finalWeight = Math.round(finalWeight / progressionSettings.roundingStep) * progressionSettings.roundingStep;
+      }
+      // Snap to something that can actually be loaded with the available equipment
+      if (options.roundLoad) {
+        finalWeight = options.roundLoad(finalWeight);
+      }
+      // Replace numeric part, keep units and an explicit "+" for added weight
+      const sign = weightMatch[1].startsWith('+') ? '+' : '';
+      result.weight = baselineDetails.weight.replace(/([+-]?\d+(?:\.\d+)?)/, sign + formatKgNumber(finalWeight));
     }
   }
 
   // Handle duration for timer exercises
-  if (typeof baselineDetails.duration === 'number' && increments.duration) {
-    result.duration = Math.round(calculateProgressiveValue(
-      baselineDetails.duration, currentWeek, increments.duration, userMultiplier, strategy, adaptiveFactor
-    ));
+  if (typeof baselineDetails.duration === 'number') {
+    const newDuration = increments.duration
+      ? calculateProgressiveValue(baselineDetails.duration, progressionWeek, increments.duration, userMultiplier, calendarStrategy, adaptiveFactor)
+      : baselineDetails.duration;
+    result.duration = Math.round(clampProgressedValue(newDuration * phase.duration, 'duration', progressionSettings) * stallScale('duration'));
   }
 
-  return result;
-};
+  // Deloads shorten distance whether they cut volume or intensity;
+  // the weekly mileage cap scales it on top of everything else
+  if (typeof baselineDetails.distance === 'number') {
+    const newDistance = increments.distance
+      ? calculateProgressiveValue(baselineDetails.distance, progressionWeek, increments.distance, userMultiplier, calendarStrategy, adaptiveFactor)
+      : baselineDetails.distance;
+    const cappedDistance = clampProgressedValue(newDistance * phase.volume * phase.intensity, 'distance', progressionSettings) * stallScale('distance') * (options.distanceScale ?? 1);
+    result.distance = Math.round(cappedDistance * 100) / 100;
+  }
+
+  // Pace only moves with its own increment; deloads cut distance, not speed
+  if (typeof baselineDetails.pace === 'number' && increments.pace) {
+    const newPace = calculateProgressiveValue(baselineDetails.pace, progressionWeek, increments.pace, userMultiplier, calendarStrategy, adaptiveFactor);
+    result.pace = Math.round(clampProgressedValue(newPace, 'pace', progressionSettings));
+  }
+
+  // Hangboard edges shrink with a negative increment (mm); like pace they ignore deloads
+  if (typeof baselineDetails.edge === 'number' && increments.edge) {
+    const newEdge = calculateProgressiveValue(baselineDetails.edge, progressionWeek, increments.edge, userMultiplier, calendarStrategy, adaptiveFactor);
+    result.edge = Math.max(MIN_EDGE_MM, Math.round(clampProgressedValue(newEdge, 'edge', progressionSettings)));
+  }
+
+  // Rep scheme change after a stall: same total work as more sets of fewer reps (e.g. 3x5 -> 5x3)
+  if (stallAdjustment?.changeScheme && !doubleProgression && typeof result.sets === 'number') {
+    const repsNum = parseFloat(result.reps);
+    if (!isNaN(repsNum) && repsNum > 1) {
+      const newReps = Math.max(1, Math.round(repsNum * 0.6));
+      result.sets = Math.ceil((result.sets * repsNum) / newReps);
+      result.reps = String(result.reps).replace(/[0-9.]+/, String(newReps));
+    } else if (typeof result.duration === 'number' && result.duration > 1) {
+      const newDuration = Math.max(1, Math.round(result.duration * 0.6));
+      result.sets = Math.ceil((result.sets * result.duration) / newDuration);
+      result.duration = newDuration;
+    }
+  }
+
+  return result;
+};
+
+// Weekly mileage may grow by at most this percentage over the biggest week before it (the "10% rule")
+const DEFAULT_MILEAGE_CAP = 10;
+
+/**
+ * Works out how much each week's planned distances must shrink to respect the weekly mileage cap.
+ * Weeks are compared on their planned totals, so deload weeks don't lower the bar for the week after.
+ * @param {Object} plan - Training plan
+ * @param {number} lastWeek - Last week to calculate
+ * @param {Object} profile - Active profile (unit system)
+ * @returns {Array} Factor (<= 1) to apply to each week's distances, indexed from week 1
+ */
+const getMileageScales = (plan, lastWeek, profile = null) => {
+  const progressionSettings = plan.progressionSettings || { strategy: 'linear', increments: {}, userMultiplier: 1.0 };
+  const capPercent = progressionSettings.mileageCap ?? DEFAULT_MILEAGE_CAP;
+  const distanceExercises = (plan.baseWeek?.days || [])
+    .flatMap(day => day.exercises)
+    .filter(ex => ex.type === 'distance' && typeof ex.baselineDetails?.distance === 'number');
+  const scales = [1];
+  if (!capPercent || lastWeek <= 1 || distanceExercises.length === 0) {
+    return Array.from({ length: Math.max(1, lastWeek) }, () => 1);
+  }
+
+  const plannedDistance = (week) => distanceExercises.reduce((total, ex) => total + applyProgression(
+    ex.baselineDetails,
+    week,
+    getExerciseProgressionSettings(plan, ex, profile?.unitSystem),
+    1.0,
+    { baselineWeek: ex.baselineWeek }
+  ).distance, 0);
+
+  let previousPlanned = plannedDistance(1);
+  let biggestWeek = previousPlanned;
+  let scale = 1;
+  for (let week = 2; week <= lastWeek; week++) {
+    const planned = plannedDistance(week);
+    const capScale = planned > 0 ? Math.min(1, (biggestWeek * (1 + capPercent / 100)) / planned) : 1;
+    // A lighter week (deload) keeps the previous week's scaling so it stays lighter than the week before
+    scale = planned < previousPlanned ? Math.min(capScale, scale) : capScale;
+    biggestWeek = Math.max(biggestWeek, planned * scale);
+    previousPlanned = planned;
+    scales.push(scale);
+  }
+  return scales;
+};
+
+/**
+ * Mileage cap factor for a single week (see getMileageScales)
+ * @param {Object} plan - Training plan
+ * @param {number} weekNumber - Week to calculate
+ * @param {Object} profile - Active profile (unit system)
+ * @returns {number} Factor (<= 1) to apply to the week's distances
+ */
+const getMileageScale = (plan, weekNumber, profile = null) => getMileageScales(plan, weekNumber, profile)[weekNumber - 1] ?? 1;
+
+/**
+ * Totals the planned distance of a built week
+ * @param {Object} week - Result of buildWeekWorkouts
+ * @returns {number} Distance in km
+ */
+const getPlannedWeekDistance = (week) => week.days.reduce((total, day) => total + day.exercises
+  .filter(ex => ex.type === 'distance')
+  .reduce((dayTotal, ex) => dayTotal + (ex.details?.distance || 0), 0), 0);
+
+/**
+ * Totals the distance logged in each plan week of the current cycle
+ * @param {Object} plan - Training plan
+ * @param {Array} history - Workout history for the profile
+ * @returns {Object} { [weekNumber]: km }
+ */
+const getLoggedMileageByWeek = (plan, history) => {
+  const totals = {};
+  getCycleHistory(plan, history).forEach(log => {
+    const distance = (log.exerciseLogs || []).flatMap(exLog => exLog.sets || [])
+      .reduce((total, setLog) => total + (typeof setLog.distance === 'number' ? setLog.distance : 0), 0);
+    if (distance > 0) totals[log.weekNumber] = (totals[log.weekNumber] || 0) + distance;
+  });
+  return totals;
+};
+
+/**
+ * Works out the history-derived inputs of buildWeekWorkouts once, so building many weeks doesn't rescan history for each
+ * @param {Object} plan - Training plan
+ * @param {Array} history - Workout history
+ * @param {Object} profile - Active profile
+ * @param {Object} cached - { estimatedMaxes, cycleHistory } already worked out by the caller, reused as they are
+ * @returns {Object} { estimatedMaxes, cycleHistory, stallAdjustments, mileageScales }
+ */
+const buildProgressionContext = (plan, history = [], profile = null, cached = {}) => {
+  const stallSettings = { ...DEFAULT_STALL_SETTINGS, ...plan.progressionSettings?.stall };
+  const cycleHistory = cached.cycleHistory || getCycleHistory(plan, history);
+  const stallAdjustments = {};
+  (plan.baseWeek?.days || []).forEach(day => (day.exercises || []).forEach((ex) => {
+    if (ex.name in stallAdjustments) return;
+    stallAdjustments[ex.name] = getStallAdjustment(
+      detectStall(ex.name, cycleHistory, stallSettings, plan.stallReviews?.[ex.name]),
+      stallSettings
+    );
+  }));
+
+  return {
+    estimatedMaxes: cached.estimatedMaxes || getEstimatedMaxes(history, profile?.oneRepMaxFormula),
+    cycleHistory,
+    stallAdjustments,
+    mileageScales: getMileageScales(plan, plan.durationWeeks || 1, profile)
+  };
+};
+
+/**
+ * Applies progression to every exercise in the plan's base week
+ * @param {Object} plan - Training plan
+ * @param {number} weekNumber - Week to calculate
+ * @param {Array} history - Workout history (for adaptive progression and estimated maxes)
+ * @param {Object} profile - Active profile (training maxes)
+ * @param {Object} context - Result of buildProgressionContext, when building several weeks
+ * @returns {Object} { weekNumber, days } with calculated `details` on each exercise
+ */
+const buildWeekWorkouts = (plan, weekNumber, history = [], profile = null, context = buildProgressionContext(plan, history, profile)) => {
+  const progressionSettings = plan.progressionSettings || { strategy: 'linear', increments: {}, userMultiplier: 1.0 };
+  const adaptiveEnabled = progressionSettings.adaptiveEnabled;
+  const { estimatedMaxes, stallAdjustments } = context;
+  const distanceScale = context.mileageScales[weekNumber - 1] ?? getMileageScale(plan, weekNumber, profile);
+
+  return {
+    weekNumber,
+    days: plan.baseWeek.days.map(day => ({
+      ...day,
+      // Test sessions only appear in the weeks they're scheduled for
+      exercises: day.exercises.filter(ex => ex.type !== 'test' || isTestScheduled(ex, weekNumber)).map(ex => ({
+        ...ex,
+        details: (ex.details || ex.baselineDetails)
+          ? applyProgression(
+              ex.baselineDetails || ex.details,
+              weekNumber,
+              getExerciseProgressionSettings(plan, ex, profile?.unitSystem),
+              adaptiveEnabled ? calculateAdaptiveFactor(history, weekNumber, plan, ex.name) : 1.0,
+              {
+                exerciseName: ex.name,
+                history,
+                trainingMax: resolveTrainingMax(ex.lift || ex.name, profile, estimatedMaxes),
+                bodyweight: profile?.bodyweight,
+                roundLoad: (kg) => roundToAchievableLoad(kg, getLoadEquipment(ex), profile),
+                stallAdjustment: stallAdjustments[ex.name],
+                baselineWeek: ex.baselineWeek,
+                distanceScale
+              }
+            )
+          : undefined
+      }))
+    }))
+  };
+};
+
+// --- Workout Logging Helpers ---
+
+/**
+ * Builds the prescribed set list for an exercise, assuming every set was done as written.
+ * Used when a workout is logged without running it (e.g. "Mark as Done").
+ * @param {Object} exercise - Exercise with current-week details
+ * @returns {Array} Set logs
+ */
+const buildPrescribedSetLogs = (exercise) => {
+  // There is no prescribed list of problems to fill in for a climbing session
+  if (exercise.type === 'climbing') return [];
+  const details = exercise.details || exercise.baselineDetails || {};
+  const setCount = typeof details.sets === 'number' ? details.sets : 1;
+
+  return Array.from({ length: setCount }).map((_, idx) => {
+    if (exercise.type === 'timer' || exercise.type === 'hangboard') {
+      return { set: idx + 1, duration: details.duration || 0, completed: true };
+    }
+    if (exercise.type === 'interval') {
+      return { set: idx + 1, reps: parseInt(details.reps) || 0, work: details.duration || 0, completed: true };
+    }
+    if (exercise.type === 'block') {
+      return { set: idx + 1, completed: true };
+    }
+    if (exercise.type === 'distance') {
+      const distance = details.distance || 0;
+      return { set: idx + 1, distance, time: details.pace ? Math.round(distance * details.pace) : 0, completed: true };
+    }
+    const setLog = { set: idx + 1, reps: parseFloat(details.reps) || 0, completed: true };
+    if (details.weight) setLog.weight = details.weight;
+    return setLog;
+  });
+};
+
+/**
+ * Whether a day holds a benchmark test. Tests need a measured result to recalibrate anything,
+ * so such a day can't be marked as done without running it.
+ * @param {Object} dayData - Day with its exercises
+ * @returns {boolean}
+ */
+const hasBenchmarkTest = (dayData) => (dayData?.exercises || []).some(ex => ex.type === 'test');
+
+// How an exercise went: done as prescribed, ended part-way, skipped, or replaced by another exercise
+const EXERCISE_STATUSES = {
+  completed: { label: 'Completed', className: 'text-green-400' },
+  partial: { label: 'Partial', className: 'text-yellow-400' },
+  skipped: { label: 'Skipped', className: 'text-red-400' },
+  substituted: { label: 'Substituted', className: 'text-blue-400' }
+};
+
+const SKIP_REASONS = ['Short on time', 'Pain or injury', 'Equipment unavailable', 'Too fatigued', 'Other'];
+
+/**
+ * Works out an exercise's outcome from its logged sets. Skips and substitutions are recorded explicitly;
+ * older logs without a status are classified the same way (no sets logged means it was skipped, except for
+ * climbing sessions and blocks, which can legitimately log none).
+ * @param {Object} exLog - Exercise log from a history entry
+ * @returns {Object} { status, setsCompleted, completion } - completion is the share of prescribed sets completed (0-1)
+ */
+const getExerciseOutcome = (exLog) => {
+  const sets = exLog.sets || [];
+  const setsCompleted = sets.filter(setLog => setLog.completed).length;
+
+  if (exLog.status === 'substituted') return { status: 'substituted', setsCompleted, completion: 1 };
+  if (exLog.status === 'skipped') return { status: 'skipped', setsCompleted, completion: 0 };
+  // A climbing session logs whatever was tried, possibly nothing (e.g. marked as done); there's no prescribed
+  // number of problems to fall short of
+  if (exLog.type === 'climbing') return { status: 'completed', setsCompleted, completion: 1 };
+  // A block is judged on its rounds; an AMRAP has no prescribed count, so running it out is the whole job
+  if (exLog.block) {
+    const { rounds = 0, prescribedRounds } = exLog.block;
+    const completion = prescribedRounds > 0 ? Math.min(1, rounds / prescribedRounds) : 1;
+    return { status: completion >= 1 ? 'completed' : 'partial', setsCompleted, completion };
+  }
+  if (sets.length === 0) return { status: 'skipped', setsCompleted, completion: 0 };
+
+  const prescribedSets = typeof exLog.prescribed?.sets === 'number' ? exLog.prescribed.sets : sets.length;
+  const completion = prescribedSets > 0 ? Math.min(1, setsCompleted / prescribedSets) : 1;
+  return { status: completion >= 1 ? 'completed' : 'partial', setsCompleted, completion };
+};
+
+/**
+ * Share of a logged workout that was done, averaged over its exercises
+ * @param {Object} log - History entry
+ * @returns {number} 0-1; entries without per-exercise logs count as fully done
+ */
+const getWorkoutCompletion = (log) => {
+  const exerciseLogs = log.exerciseLogs || [];
+  if (exerciseLogs.length === 0) return 1;
+  return exerciseLogs.reduce((sum, exLog) => sum + getExerciseOutcome(exLog).completion, 0) / exerciseLogs.length;
+};
+
+/**
+ * Finds an existing history entry for the same scheduled day on the same calendar date
+ * @param {Array} history - Workout history for the profile
+ * @param {string} day - Scheduled day name, e.g. "Monday"
+ * @param {Date} date - Date the workout is being logged for
+ * @param {string} ignoreId - Entry to leave out, e.g. the one being edited
+ * @returns {Object|null} The matching history entry
+ */
+const findDuplicateLog = (history, day, date = new Date(), ignoreId = null) => {
+  const dateKey = toDateKey(date);
+  return history.find(log => (
+    log.id !== ignoreId && log.day === day && log.completedAt && toDateKey(log.completedAt) === dateKey
+  )) || null;
+};
+
+const WEEKDAY_NAMES = ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday'];
+
+// How far to look for the edges of a plan week; pauses can stretch one well past seven days
+const MAX_PLAN_WEEK_DAYS = 366;
+
+/**
+ * Date a plan day falls on in the plan week containing the given date. Plan weeks follow the timeline
+ * (start date, pauses, week overrides), so they needn't run Monday to Sunday or last exactly seven days.
+ * Lets a make-up session record which calendar day it was originally scheduled for.
+ * @param {Object} plan - Plan with an optional timeline
+ * @param {string} day - Scheduled day name, e.g. "Monday"
+ * @param {Date} date - Any date in the plan week
+ * @returns {string|null} YYYY-MM-DD key of the first such weekday in the plan week, or null if it has none
+ */
+const getScheduledDateKey = (plan, day, date = new Date()) => {
+  if (!WEEKDAY_NAMES.includes(day)) return null;
+  // Days are compared at midday, clear of the midnight boundaries plan weeks usually start on
+  const middayOf = (offset) => {
+    const midday = new Date(date);
+    midday.setDate(date.getDate() + offset);
+    midday.setHours(12, 0, 0, 0);
+    return midday;
+  };
+  const { elapsedWeeks } = resolvePlanWeek(plan, middayOf(0));
+  const isInWeek = (offset) => {
+    const resolved = resolvePlanWeek(plan, middayOf(offset));
+    return resolved.hasStarted && resolved.elapsedWeeks === elapsedWeeks;
+  };
+
+  let first = 0;
+  while (first > -MAX_PLAN_WEEK_DAYS && isInWeek(first - 1)) first--;
+  for (let offset = first; offset < first + MAX_PLAN_WEEK_DAYS && (offset <= 0 || isInWeek(offset)); offset++) {
+    const candidate = middayOf(offset);
+    if (candidate.toLocaleDateString('en-US', { weekday: 'long' }) === day) return toDateKey(candidate);
+  }
+  return null;
+};
+
+/**
+ * Matches each scheduled day of a plan week to the session that fulfilled it, whenever it was done
+ * @param {Object} plan - Current plan
+ * @param {Array} history - Workout history for the profile
+ * @param {number} weekNumber - Plan week
+ * @returns {Object} Map of scheduled day name to its most recent history entry
+ */
+const getWeekFulfilment = (plan, history, weekNumber) => {
+  const fulfilled = {};
+  history.forEach((log) => {
+    if (log.planName !== plan.planName || log.weekNumber !== weekNumber || (log.cycle || 1) !== (plan.cycle || 1)) return;
+    const existing = fulfilled[log.day];
+    if (!existing || log.completedAt > existing.completedAt) fulfilled[log.day] = log;
+  });
+  return fulfilled;
+};
+
+/**
+ * Whether a logged session was done on a different weekday than the one it was scheduled for
+ * @param {Object} log - History entry
+ * @returns {boolean}
+ */
+const isMakeUpSession = (log) => (
+  !!log.completedAt && WEEKDAY_NAMES.includes(log.day)
+    && log.completedAt.toLocaleDateString('en-US', { weekday: 'long' }) !== log.day
+);
+
+/**
+ * Builds the history record for a single exercise
+ * @param {Object} exercise - Exercise with current-week details
+ * @param {Array} setLogs - What was actually done, one entry per set
+ * @param {Object} outcome - { status: 'skipped' | 'substituted', skipReason, substitute } when it wasn't simply done,
+ *   { block } with a block's result, which its outcome is judged on
+ * @returns {Object} Exercise log for the history document
+ */
+const buildExerciseLog = (exercise, setLogs = [], outcome = {}) => {
+  const prescribed = {};
+  // Firestore rejects undefined values, so only copy fields that are set
+  Object.entries(exercise.details || exercise.baselineDetails || {}).forEach(([key, value]) => {
+    if (value !== undefined) prescribed[key] = value;
+  });
+
+  const exerciseLog = {
+    name: exercise.name,
+    type: exercise.type,
+    prescribed,
+    sets: setLogs
+  };
+  if (exercise.lift) exerciseLog.lift = exercise.lift;
+  if (outcome.status) exerciseLog.status = outcome.status;
+  if (outcome.skipReason) exerciseLog.skipReason = outcome.skipReason;
+  if (outcome.substitute) exerciseLog.substitute = outcome.substitute;
+  if (outcome.block) exerciseLog.block = outcome.block;
+  return { ...exerciseLog, ...getExerciseOutcome(exerciseLog) };
+};
+
+/**
+ * Formats a logged set for display, e.g. "8 × 80kg", "10s", "6 × 7s" for interval sets or "5km in 27:30"
+ * @param {Object} setLog - A single set log
+ * @param {string} unitSystem - "metric" or "imperial"
+ * @returns {string} Human readable summary
+ */
+const formatSetLog = (setLog, unitSystem = 'metric') => {
+  if (typeof setLog.distance === 'number') {
+    return setLog.time > 0
+      ? `${formatDistance(setLog.distance, unitSystem)} in ${formatTimer(Math.round(setLog.time))}`
+      : formatDistance(setLog.distance, unitSystem);
+  }
+  if (typeof setLog.work === 'number') {
+    return `${setLog.reps} × ${setLog.work}s`;
+  }
+  if (typeof setLog.duration === 'number') {
+    return `${setLog.duration}s`;
+  }
+  return setLog.weight ? `${setLog.reps} × ${formatLoad(setLog.weight, unitSystem)}` : `${setLog.reps} reps`;
+};
+
+// --- Readiness ---
+// A short check-in before a workout. Answers are 1-5; for soreness and stress a high answer is bad.
+
+const READINESS_QUESTIONS = [
+  { key: 'sleep', label: 'Sleep', low: 'Poor', high: 'Great' },
+  { key: 'soreness', label: 'Soreness', low: 'None', high: 'Very sore', inverted: true },
+  { key: 'stress', label: 'Stress', low: 'Calm', high: 'Very stressed', inverted: true },
+  { key: 'motivation', label: 'Motivation', low: 'Low', high: 'Raring to go' }
+];
+
+const READINESS_ADJUSTMENTS = {
+  none: { label: 'As planned', description: 'Run today\'s prescription unchanged' },
+  volume: { label: 'Less volume', description: 'One set fewer per exercise, 10% shorter runs' },
+  intensity: { label: 'Less intensity', description: 'Loads, hold times and paces eased by 10%' },
+  both: { label: 'Both', description: 'One set fewer and 10% easier' }
+};
+
+const READINESS_INTENSITY_FACTOR = 0.9;
+
+/**
+ * Scores a readiness check-in. A resting heart rate well above the athlete's usual one costs points.
+ * @param {Object} answers - { sleep, soreness, stress, motivation, restingHr }
+ * @param {Array} history - Workout history, for the usual resting heart rate
+ * @returns {Object} { score (0-100), usualRestingHr }
+ */
+const scoreReadiness = (answers, history = []) => {
+  const points = READINESS_QUESTIONS.reduce((sum, question) => {
+    const value = answers[question.key] || 3;
+    return sum + (question.inverted ? 6 - value : value) - 1;
+  }, 0);
+  let score = Math.round((points / (READINESS_QUESTIONS.length * 4)) * 100);
+
+  const recentHeartRates = history
+    .map(log => log.readiness?.restingHr)
+    .filter(hr => typeof hr === 'number')
+    .slice(0, 10);
+  const usualRestingHr = recentHeartRates.length >= 3
+    ? Math.round(recentHeartRates.reduce((sum, hr) => sum + hr, 0) / recentHeartRates.length)
+    : null;
+  if (usualRestingHr && answers.restingHr) {
+    const elevation = answers.restingHr - usualRestingHr;
+    if (elevation >= 10) {
+      score -= 20;
+    } else if (elevation >= 5) {
+      score -= 10;
+    }
+  }
+
+  return { score: Math.max(0, Math.min(100, score)), usualRestingHr };
+};
+
+/**
+ * Suggests how to adjust the day's prescription for a readiness score
+ * @param {number} score - Result of scoreReadiness
+ * @returns {string} Key of READINESS_ADJUSTMENTS
+ */
+const getReadinessRecommendation = (score) => {
+  if (score >= 70) return 'none';
+  if (score >= 50) return 'volume';
+  return 'both';
+};
+
+/**
+ * Eases one exercise of today's workout after a poor check-in. Tests and climbing sessions are left alone.
+ * @param {Object} exercise - Exercise with current-week details
+ * @param {string} adjustment - Key of READINESS_ADJUSTMENTS
+ * @param {Object} profile - Active profile (for rounding loads to the available equipment)
+ * @returns {Object} Exercise with adjusted details
+ */
+const applyReadinessAdjustment = (exercise, adjustment, profile) => {
+  if (!exercise.details || !adjustment || adjustment === 'none' || exercise.type === 'test' || exercise.type === 'climbing') return exercise;
+  const details = { ...exercise.details };
+
+  if (adjustment === 'volume' || adjustment === 'both') {
+    if (typeof details.sets === 'number' && details.sets > 1) details.sets -= 1;
+    if (exercise.type === 'distance' && details.distance) {
+      details.distance = Math.round(details.distance * READINESS_INTENSITY_FACTOR * 100) / 100;
+    }
+  }
+
+  if (adjustment === 'intensity' || adjustment === 'both') {
+    const isPercent = parsePercentOfMax(details.weight) !== null || parsePercentOfBodyweight(details.weight) !== null;
+    const weightMatch = typeof details.weight === 'string' && !isPercent ? details.weight.match(/([+-]?\d+(?:\.\d+)?)/) : null;
+    if (weightMatch && parseFloat(weightMatch[1]) !== 0) {
+      const kg = parseFloat(weightMatch[1]);
+      // Assistance (negative load) grows on an easier day
+      const eased = kg < 0 ? kg / READINESS_INTENSITY_FACTOR : kg * READINESS_INTENSITY_FACTOR;
+      const sign = weightMatch[1].startsWith('+') ? '+' : '';
+      details.weight = details.weight.replace(/([+-]?\d+(?:\.\d+)?)/, sign + formatKgNumber(roundToAchievableLoad(eased, getLoadEquipment(exercise), profile)));
+    } else if (['timer', 'hangboard', 'interval'].includes(exercise.type) && typeof details.duration === 'number') {
+      details.duration = Math.max(1, Math.round(details.duration * READINESS_INTENSITY_FACTOR));
+    }
+    if (exercise.type === 'distance' && details.pace) {
+      details.pace = Math.round(details.pace / READINESS_INTENSITY_FACTOR);
+    }
+  }
+
+  return { ...exercise, details };
+};
+
+// --- Supersets ---
+
+const SUPERSET_GROUPS = ['A', 'B', 'C', 'D'];
+
+/**
+ * Groups a day's exercises into the steps of a workout. Reps/sets exercises sharing a `supersetGroup`
+ * become one step at the position of the group's first exercise; everything else is a step of its own.
+ * @param {Array} exercises - The day's exercises, in plan order
+ * @returns {Array} Steps, each an array of one or more exercises
+ */
+const groupSupersets = (exercises) => {
+  const steps = [];
+  const stepsByGroup = {};
+
+  exercises.forEach(exercise => {
+    const group = exercise.type === 'repsSetsWeight' ? exercise.supersetGroup : null;
+    if (group && stepsByGroup[group]) {
+      stepsByGroup[group].push(exercise);
+      return;
+    }
+    const step = [exercise];
+    if (group) stepsByGroup[group] = step;
+    steps.push(step);
+  });
+
+  return steps;
+};
+
+/**
+ * Labels an exercise (and optionally a set) within a superset: "A", "B1", "A2"...
+ * @param {number} memberIndex - Position of the exercise in the superset
+ * @param {number} [setNumber] - 1-based set number
+ * @returns {string} Label
+ */
+const getSupersetLabel = (memberIndex, setNumber) => `${String.fromCharCode(65 + memberIndex)}${setNumber ?? ''}`;
+
+// --- Workout Blocks ---
+
+// Grouped conditioning formats. A block keeps its rounds in `sets` so they progress like sets,
+// and its movements in `exercise.movements` ([{ name, reps }], reps as written, e.g. "10" or "30s").
+const BLOCK_FORMATS = {
+  circuit: { label: 'Circuit', defaults: { format: 'circuit', sets: 3, rest: 60 } },
+  // interval = seconds per round (60 for a classic EMOM)
+  emom: { label: 'EMOM', defaults: { format: 'emom', sets: 10, interval: 60 } },
+  // duration = time cap in seconds
+  amrap: { label: 'AMRAP', defaults: { format: 'amrap', duration: 600 } },
+  // work/rest = seconds per round, movements rotate each round
+  tabata: { label: 'Tabata', defaults: { format: 'tabata', sets: 8, work: 20, rest: 10 } }
+};
+
+const DEFAULT_BLOCK_MOVEMENTS = [
+  { name: 'Burpees', reps: '10' },
+  { name: 'Air Squats', reps: '15' }
+];
+
+/**
+ * Describes a block's structure, e.g. "Circuit · 3 rounds, 60s rest" or "AMRAP · 10:00 cap"
+ * @param {Object} details - Block details (baselineDetails or the current week's details)
+ * @returns {string} Short description
+ */
+const describeBlock = (details = {}) => {
+  const format = BLOCK_FORMATS[details.format] ? details.format : 'circuit';
+  const label = BLOCK_FORMATS[format].label;
+  if (format === 'amrap') return `${label} · ${formatTimer(details.duration || 0)} cap`;
+  if (format === 'emom') return `${label} · ${details.sets || 0} rounds every ${details.interval || 60}s`;
+  if (format === 'tabata') return `${label} · ${details.sets || 0} × ${details.work || 20}s on / ${details.rest || 10}s off`;
+  return `${label} · ${details.sets || 0} rounds, ${details.rest || 0}s rest`;
+};
+
+/**
+ * Formats a logged block, e.g. "AMRAP: 5 rounds + 7 reps" or "Circuit: 3/4 rounds".
+ * Blocks marked as done without running them are counted from their round entries.
+ * @param {Object} exLog - Exercise log of type "block"
+ * @returns {string} Human readable result
+ */
+const formatBlockResult = (exLog) => {
+  const format = exLog.block?.format || exLog.prescribed?.format || 'circuit';
+  const label = BLOCK_FORMATS[format]?.label || BLOCK_FORMATS.circuit.label;
+  const rounds = exLog.block?.rounds ?? (exLog.sets || []).filter(setLog => setLog.completed).length;
+
+  if (format === 'amrap') {
+    const extraReps = exLog.block?.extraReps;
+    return `${label}: ${rounds} rounds${extraReps ? ` + ${extraReps} reps` : ''}`;
+  }
+  const prescribedRounds = exLog.block?.prescribedRounds ?? exLog.prescribed?.sets;
+  return `${label}: ${rounds}${prescribedRounds ? `/${prescribedRounds}` : ''} rounds`;
+};
+
+// --- Climbing Grades ---
+// A climbing session logs one entry per problem: { set, grade, gradeValue, style, attempts, angle, completed }.
+// Grades are kept as written (V-scale or Font) and compared by their V-scale value (VB = -1, V0 = 0...).
+
+const V_GRADES = ['VB', ...Array.from({ length: 18 }, (_, idx) => `V${idx}`)];
+
+// Font grade and its V-scale value. Several Font grades share a V grade; converting to Font picks the first.
+const FONT_GRADE_TABLE = [
+  ['3', -1], ['4', 0], ['4+', 0], ['5', 1], ['5+', 2], ['6A', 3], ['6A+', 3], ['6B', 4], ['6B+', 4],
+  ['6C', 5], ['6C+', 5], ['7A', 6], ['7A+', 7], ['7B', 8], ['7B+', 8], ['7C', 9], ['7C+', 10],
+  ['8A', 11], ['8A+', 12], ['8B', 13], ['8B+', 14], ['8C', 15], ['8C+', 16], ['9A', 17]
+];
+
+const GRADE_SCALES = {
+  v: { label: 'V-scale', grades: V_GRADES },
+  font: { label: 'Font', grades: FONT_GRADE_TABLE.map(([grade]) => grade) }
+};
+
+// Sent styles first; "attempt" is a problem that wasn't topped
+const CLIMB_STYLES = {
+  onsight: 'Onsight',
+  flash: 'Flash',
+  redpoint: 'Redpoint',
+  attempt: 'Attempt'
+};
+
+// Degrees past vertical
+const WALL_ANGLES = [
+  { value: -10, label: 'Slab' },
+  { value: 0, label: 'Vertical' },
+  { value: 15, label: '15°' },
+  { value: 30, label: '30°' },
+  { value: 45, label: '45°' },
+  { value: 90, label: 'Roof' }
+];
+
+/**
+ * Converts a boulder grade to its V-scale value, e.g. "V5" → 5, "6c+" → 5, "VB" → -1
+ * @param {string} grade - Grade as written, V-scale or Font
+ * @returns {number|null} V-scale value, or null if the grade isn't recognised
+ */
+const getGradeValue = (grade) => {
+  const normalized = String(grade ?? '').trim().toUpperCase();
+  if (normalized === 'VB') return -1;
+  const vGrade = normalized.match(/^V(\d{1,2})$/);
+  if (vGrade) return parseInt(vGrade[1]);
+  const fontGrade = FONT_GRADE_TABLE.find(([font]) => font === normalized);
+  return fontGrade ? fontGrade[1] : null;
+};
+
+/**
+ * Formats a V-scale value in the climber's scale, e.g. 5 → "V5" or "6C"
+ * @param {number} value - V-scale value
+ * @param {string} scale - "v" or "font"
+ * @returns {string} Grade
+ */
+const formatGrade = (value, scale = 'v') => {
+  if (scale === 'font') {
+    return FONT_GRADE_TABLE.find(([, fontValue]) => fontValue === value)?.[0] ?? `V${value}`;
+  }
+  return value < 0 ? 'VB' : `V${value}`;
+};
+
+/**
+ * Shows a grade in the climber's scale, keeping it as written when it is already in that scale
+ * @param {string} grade - Grade as written
+ * @param {string} scale - "v" or "font"
+ * @returns {string} Grade
+ */
+const toGradeScale = (grade, scale = 'v') => {
+  const value = getGradeValue(grade);
+  if (value === null) return grade;
+  const isVGrade = /^V/i.test(String(grade).trim());
+  return isVGrade === (scale !== 'font') ? String(grade).trim().toUpperCase() : formatGrade(value, scale);
+};
+
+/**
+ * Formats a logged climbing session, e.g. "9 climbs, 6 sends · best V6"
+ * @param {Object} exLog - Exercise log of type "climbing"
+ * @param {string} scale - "v" or "font"
+ * @returns {string} Human readable summary
+ */
+const formatClimbingSession = (exLog, scale = 'v') => {
+  const climbs = exLog.sets || [];
+  const sends = climbs.filter(climb => climb.completed);
+  const best = sends.reduce((max, climb) => Math.max(max, climb.gradeValue ?? -Infinity), -Infinity);
+  return `${climbs.length} climbs, ${sends.length} sends${sends.length ? ` · best ${formatGrade(best, scale)}` : ''}`;
+};
+
+/**
+ * Derives the grade pyramid and max-grade trend from logged climbing sessions
+ * @param {Array} history - Workout history for the profile (newest first)
+ * @returns {Object} { pyramid: [{ value, sends, attempts }] hardest first, trend: [{ date, value }] oldest first, best }
+ */
+const getClimbingStats = (history) => {
+  const byGrade = {};
+  const trend = [];
+
+  [...history].reverse().forEach(log => {
+    let sessionBest = null;
+    (log.exerciseLogs || []).forEach(exLog => {
+      if (exLog.type !== 'climbing') return;
+      (exLog.sets || []).forEach(climb => {
+        if (typeof climb.gradeValue !== 'number') return;
+        const bucket = byGrade[climb.gradeValue] || { value: climb.gradeValue, sends: 0, attempts: 0 };
+        if (climb.completed) {
+          bucket.sends += 1;
+          sessionBest = Math.max(sessionBest ?? -Infinity, climb.gradeValue);
+        } else {
+          bucket.attempts += 1;
+        }
+        byGrade[climb.gradeValue] = bucket;
+      });
+    });
+    if (sessionBest !== null) trend.push({ date: log.completedAt, value: sessionBest });
+  });
+
+  const pyramid = Object.values(byGrade).sort((a, b) => b.value - a.value);
+  return {
+    pyramid,
+    trend,
+    best: trend.length ? Math.max(...trend.map(point => point.value)) : null
+  };
+};
+
+// --- Hangboard ---
+// Hangboard exercises carry { edge (mm), grip, arms (1 or 2), weight } next to sets/duration/rest.
+// weight is the load added ("+10kg", "+10% BW") or removed with a pulley ("-15kg", "-20% BW").
+
+// Progression never shrinks an edge below this
+const MIN_EDGE_MM = 6;
+
+const HANG_GRIPS = {
+  halfCrimp: 'Half Crimp',
+  openHand: 'Open Hand',
+  fullCrimp: 'Full Crimp',
+  threeFingerDrag: '3-Finger Drag',
+  frontTwo: 'Front Two',
+  middleTwo: 'Middle Two',
+  pinch: 'Pinch',
+  sloper: 'Sloper'
+};
+
+/**
+ * Added load of a hang in kg; bodyweight hangs are 0, assisted hangs negative
+ * @param {string} weight - Stored load, e.g. "+10kg", "-15kg" or "Bodyweight"
+ * @returns {number} Added load in kg
+ */
+const getAddedHangLoad = (weight) => {
+  if (parsePercentOfBodyweight(weight) !== null) return 0;
+  const match = String(weight ?? '').match(LOAD_PATTERN);
+  if (!match) return 0;
+  const value = parseFloat(match[1]);
+  return (match[2] || 'kg').toLowerCase().startsWith('kg') ? value : value * KG_PER_LB;
+};
+
+/**
+ * Describes a hang setup, e.g. "20mm · Half Crimp · One arm · +5kg"
+ * @param {Object} details - Hangboard details (baselineDetails or the current week's details)
+ * @param {string} unitSystem - "metric" or "imperial"
+ * @returns {string} Short description
+ */
+const describeHang = (details = {}, unitSystem = 'metric') => {
+  const parts = [];
+  if (details.edge) parts.push(`${details.edge}mm`);
+  if (details.grip) parts.push(HANG_GRIPS[details.grip] || details.grip);
+  if (details.arms === 1) parts.push('One arm');
+  if (details.weight && /\d/.test(String(details.weight))) parts.push(formatLoad(details.weight, unitSystem));
+  return parts.join(' · ');
+};
+
+/**
+ * Builds the max-hang strength history per grip from logged hangboard sessions.
+ * Strength is the heaviest load held for a completed hang: bodyweight plus added load when the
+ * profile's bodyweight is known (also as % of bodyweight), otherwise the added load alone.
+ * @param {Array} history - Workout history for the profile (newest first)
+ * @param {number} [bodyweight] - Profile bodyweight in kg
+ * @returns {Array} [{ key, grip, arms, sessions: [{ date, load, percent, edge, duration }], best }] one per grip and arm count
+ */
+const getMaxHangHistory = (history, bodyweight) => {
+  const byGrip = {};
+
+  [...history].reverse().forEach(log => {
+    (log.exerciseLogs || []).forEach(exLog => {
+      if (exLog.type !== 'hangboard' || !exLog.sets?.some(setLog => setLog.completed)) return;
+      const prescribed = exLog.prescribed || {};
+      const arms = prescribed.arms === 1 ? 1 : 2;
+      const grip = prescribed.grip || 'other';
+      const key = `${grip}-${arms}`;
+      const added = getAddedHangLoad(prescribed.weight);
+      const load = bodyweight ? bodyweight + added : added;
+      const entry = byGrip[key] || { key, grip, arms, sessions: [] };
+
+      // One point per session: the heaviest hang of that day
+      const sameDay = entry.sessions.find(session => session.date === log.completedAt);
+      if (sameDay && sameDay.load >= load) return;
+      const session = {
+        date: log.completedAt,
+        load,
+        percent: bodyweight ? Math.round((load / bodyweight) * 100) : null,
+        edge: prescribed.edge ?? null,
+        duration: Math.max(...exLog.sets.filter(setLog => setLog.completed).map(setLog => setLog.duration || 0))
+      };
+      entry.sessions = sameDay
+        ? entry.sessions.map(existing => (existing === sameDay ? session : existing))
+        : [...entry.sessions, session];
+      byGrip[key] = entry;
+    });
+  });
+
+  return Object.values(byGrip).map(entry => ({
+    ...entry,
+    best: entry.sessions.reduce((best, session) => (!best || session.load > best.load ? session : best), null)
+  }));
+};
+
+// --- Benchmark Tests ---
+// A test exercise ({ type: 'test', test: { metric, weeks, distance, drives } }) measures one number and
+// recalibrates the baselines of the exercises it drives: drives = [{ exercise, field, percent }].
+
+const TEST_METRICS = {
+  maxDuration: { label: 'Max time', inputs: ['duration'] },
+  maxReps: { label: 'Max reps', inputs: ['reps'] },
+  maxLoad: { label: 'Max load', inputs: ['weight'] },
+  repMax: { label: 'Rep max', inputs: ['weight', 'reps'] },
+  timeTrial: { label: 'Time trial', inputs: ['time'] }
+};
+
+// Fields a test can drive on linked exercises
+const TEST_DRIVE_FIELDS = ['weight', 'reps', 'duration', 'pace'];
+
+/**
+ * Checks whether a test exercise is scheduled for a week (tests default to week 1 only)
+ * @param {Object} exercise - Test exercise
+ * @param {number} weekNumber - Plan week
+ * @returns {boolean}
+ */
+const isTestScheduled = (exercise, weekNumber) => (exercise.test?.weeks || [1]).includes(weekNumber);
+
+/**
+ * Reduces a test result to the number linked exercises are scaled from:
+ * seconds (maxDuration), reps (maxReps), kg (maxLoad), estimated 1RM in kg (repMax)
+ * or pace in seconds per km (timeTrial)
+ * @param {Object} test - Test definition
+ * @param {Object} result - { duration, reps, weight (kg string), time (seconds) }
+ * @param {string} formula - 1RM formula for repMax tests
+ * @returns {number|null} Test value, or null if the result is incomplete
+ */
+const getTestValue = (test, result, formula = 'epley') => {
+  const load = parseFloat(String(result.weight ?? '').match(/(\d+(?:\.\d+)?)/)?.[1]);
+  switch (test?.metric) {
+    case 'maxDuration':
+      return result.duration > 0 ? result.duration : null;
+    case 'maxReps':
+      return result.reps > 0 ? result.reps : null;
+    case 'maxLoad':
+      return isNaN(load) ? null : load;
+    case 'repMax':
+      return !isNaN(load) && result.reps > 0 ? estimateOneRepMax(load, result.reps, formula) : null;
+    case 'timeTrial':
+      return result.time > 0 && test.distance > 0 ? result.time / test.distance : null;
+    default:
+      return null;
+  }
+};
+
+/**
+ * Sets one baseline field from a test value
+ * @param {Object} baselineDetails - Baseline of the driven exercise
+ * @param {Object} drive - { field, percent }
+ * @param {number} value - Result of getTestValue
+ * @returns {Object} New baseline details
+ */
+const driveBaselineDetails = (baselineDetails, drive, value) => {
+  const scaled = value * (drive.percent ?? 100) / 100;
+  const details = { ...baselineDetails };
+
+  if (drive.field === 'weight') {
+    const sign = String(baselineDetails.weight ?? '').trim().startsWith('+') ? '+' : '';
+    details.weight = `${sign}${formatKgNumber(scaled)}kg`;
+  } else if (drive.field === 'reps' && !parseRepRange(baselineDetails.reps)) {
+    const repsSuffix = String(baselineDetails.reps ?? '').replace(/^[\d.]+/, '');
+    details.reps = `${Math.max(1, Math.round(scaled))}${repsSuffix}`;
+  } else if (drive.field === 'duration') {
+    details.duration = Math.max(1, Math.round(scaled));
+  } else if (drive.field === 'pace') {
+    details.pace = Math.round(scaled);
+  }
+  return details;
+};
+
+/**
+ * Recalibrates every exercise a test drives. Driven exercises remember the week so
+ * progression restarts from there instead of stacking weeks of increments on the new baseline.
+ * @param {Object} baseWeek - Plan baseWeek
+ * @param {Object} test - Test definition
+ * @param {number} value - Result of getTestValue
+ * @param {number} weekNumber - Week the test was done in
+ * @returns {Object} New baseWeek
+ */
+const applyTestResult = (baseWeek, test, value, weekNumber) => ({
+  ...baseWeek,
+  days: baseWeek.days.map(day => ({
+    ...day,
+    exercises: day.exercises.map(exercise => {
+      const drives = (test.drives || []).filter(drive => drive.exercise === exercise.name);
+      if (drives.length === 0) return exercise;
+      return {
+        ...exercise,
+        baselineDetails: drives.reduce((details, drive) => driveBaselineDetails(details, drive, value), exercise.baselineDetails),
+        baselineWeek: weekNumber
+      };
+    })
+  }))
+});
+
+/**
+ * Formats a logged test result, e.g. "14s", "3 × 100kg (e1RM 110kg)" or "25:30 for 5km (5:06/km)"
+ * @param {Object} testLog - { metric, result, value, distance } saved on the exercise log
+ * @param {string} unitSystem - "metric" or "imperial"
+ * @returns {string} Human readable result
+ */
+const formatTestResult = (testLog, unitSystem = 'metric') => {
+  const { metric, result = {}, value } = testLog;
+  switch (metric) {
+    case 'maxDuration':
+      return `${result.duration}s`;
+    case 'maxReps':
+      return `${result.reps} reps`;
+    case 'maxLoad':
+      return formatLoad(result.weight, unitSystem);
+    case 'repMax':
+      return `${result.reps} × ${formatLoad(result.weight, unitSystem)} (e1RM ${formatLoad(`${formatKgNumber(value)}kg`, unitSystem)})`;
+    case 'timeTrial': {
+      const distance = formatUnitNumber(kmToDisplayDistance(testLog.distance || 0, unitSystem));
+      return `${formatTimer(Math.round(result.time))} for ${distance}${getUnitLabels(unitSystem).distance} (${formatPace(value, unitSystem)})`;
+    }
+    default:
+      return '';
+  }
+};
+
+// --- Cycle Rollover ---
+
+/**
+ * Gets the history entries logged during the plan's current cycle
+ * Entries logged before cycles were tracked count as cycle 1.
+ * @param {Object} plan - Current plan
+ * @param {Array} history - Workout history for the profile
+ * @returns {Array} History entries for this plan and cycle
+ */
+const getCycleHistory = (plan, history) => {
+  const cycle = plan?.cycle || 1;
+  return history.filter(log => log.planName === plan?.planName && (log.cycle || 1) === cycle);
+};
+
+/**
+ * Finds the best completed performance of an exercise across a set of history entries
+ * @param {Object} exercise - Exercise from baseWeek
+ * @param {Array} cycleHistory - History entries to search
+ * @returns {Object|null} { weight, reps, duration, distance } in stored units ({ rounds } for blocks, { grade } for climbing), or null if never completed
+ */
+const getAchievedDetails = (exercise, cycleHistory) => {
+  const baseReps = parseRepRange(exercise.baselineDetails?.reps)?.min ?? (parseFloat(exercise.baselineDetails?.reps) || 0);
+  let achieved = null;
+
+  cycleHistory.forEach(log => {
+    (log.exerciseLogs || []).forEach(exLog => {
+      if (exLog.name !== exercise.name) return;
+      // Blocks are measured in rounds; they keep their prescription when rebased
+      if (exercise.type === 'block') {
+        const rounds = exLog.block?.rounds ?? (exLog.sets || []).filter(setLog => setLog.completed).length;
+        if (rounds > 0) achieved = { rounds: Math.max(achieved?.rounds || 0, rounds) };
+        return;
+      }
+      // Climbing sessions are measured by the hardest send (V-scale value)
+      if (exercise.type === 'climbing') {
+        (exLog.sets || []).filter(climb => climb.completed && typeof climb.gradeValue === 'number').forEach(climb => {
+          achieved = { grade: Math.max(achieved?.grade ?? -Infinity, climb.gradeValue) };
+        });
+        return;
+      }
+      (exLog.sets || []).filter(setLog => setLog.completed).forEach(setLog => {
+        achieved = achieved || {};
+        if (typeof setLog.distance === 'number') {
+          achieved.distance = Math.max(achieved.distance || 0, setLog.distance);
+          return;
+        }
+        if (typeof setLog.duration === 'number') {
+          achieved.duration = Math.max(achieved.duration || 0, setLog.duration);
+          return;
+        }
+        achieved.reps = Math.max(achieved.reps || 0, setLog.reps || 0);
+        // Heaviest load that was moved for at least the baseline reps; for assisted work (negative loads)
+        // that's the least assistance
+        const load = parseFloat(String(setLog.weight ?? '').match(/([+-]?\d+(?:\.\d+)?)/)?.[1]);
+        if (!isNaN(load) && (setLog.reps || 0) >= baseReps) {
+          achieved.weight = Math.max(achieved.weight ?? -Infinity, load);
+        }
+      });
+    });
+  });
+
+  return achieved;
+};
+
+/**
+ * Rebases an exercise's baseline on what was achieved in the last cycle.
+ * Absolute loads move to the best load lifted, bodyweight exercises to the best rep count, timed
+ * exercises to the longest completed duration and distance exercises to the longest completed distance.
+ * Climbing sessions aim one grade above the hardest send, in the scale the target was written in.
+ * Sets stay as written, and percentage-of-1RM loads are left alone because the training max already
+ * carries the progress. Loads relative to bodyweight stay relative, so their reps move instead.
+ * @param {Object} baselineDetails - Current baseline details
+ * @param {Object|null} achieved - Result of getAchievedDetails
+ * @returns {Object} New baseline details
+ */
+const rebaseBaselineDetails = (baselineDetails, achieved) => {
+  if (!achieved) return baselineDetails;
+  const rebased = { ...baselineDetails };
+  const weight = String(baselineDetails.weight ?? '');
+  const hasAbsoluteLoad = /\d/.test(weight) && parsePercentOfMax(weight) === null && parsePercentOfBodyweight(weight) === null;
+
+  if (typeof achieved.grade === 'number') {
+    const targetValue = getGradeValue(baselineDetails.targetGrade);
+    const scale = /^V/i.test(String(baselineDetails.targetGrade ?? 'V').trim()) ? 'v' : 'font';
+    if (targetValue === null || achieved.grade >= targetValue) {
+      rebased.targetGrade = formatGrade(Math.min(achieved.grade + 1, V_GRADES.length - 2), scale);
+    }
+  } else if (typeof baselineDetails.duration === 'number' && achieved.duration) {
+    rebased.duration = achieved.duration;
+  } else if (typeof baselineDetails.distance === 'number') {
+    // Pace targets come from time trials, so only the distance moves
+    if (achieved.distance) rebased.distance = achieved.distance;
+  } else if (hasAbsoluteLoad && typeof achieved.weight === 'number') {
+    // formatKgNumber keeps the minus sign of assistance; added load keeps its explicit "+"
+    const sign = weight.trim().startsWith('+') && achieved.weight >= 0 ? '+' : '';
+    rebased.weight = `${sign}${formatKgNumber(achieved.weight)}kg`;
+  } else if (!hasAbsoluteLoad && parsePercentOfMax(weight) === null && !parseRepRange(baselineDetails.reps) && achieved.reps) {
+    const repsSuffix = String(baselineDetails.reps ?? '').replace(/^[\d.]+/, '');
+    rebased.reps = `${achieved.reps}${repsSuffix}`;
+  }
+  return rebased;
+};
+
+/**
+ * Summarises the current cycle and works out the rebased baseline for each exercise
+ * @param {Object} plan - Current plan
+ * @param {Array} history - Workout history for the profile
+ * @returns {Object} { cycle, workoutsLogged, workoutsPlanned, exercises: [{ name, type, baseline, achieved, rebased }] }
+ */
+const summarizeCycle = (plan, history) => {
+  const cycleHistory = getCycleHistory(plan, history);
+  const seen = new Set();
+  const exercises = [];
+
+  (plan.baseWeek?.days || []).forEach(day => {
+    day.exercises.forEach(exercise => {
+      if (exercise.type === 'test' || seen.has(exercise.name)) return;
+      seen.add(exercise.name);
+      const achieved = getAchievedDetails(exercise, cycleHistory);
+      exercises.push({
+        name: exercise.name,
+        type: exercise.type,
+        baseline: exercise.baselineDetails,
+        achieved,
+        rebased: rebaseBaselineDetails(exercise.baselineDetails, achieved)
+      });
+    });
+  });
+
+  return {
+    cycle: plan.cycle || 1,
+    workoutsLogged: cycleHistory.length,
+    workoutsPlanned: countTrainingDays(plan) * plan.durationWeeks,
+    exercises
+  };
+};
+
+/**
+ * Builds the baseWeek for the next cycle with every exercise rebased on the last one
+ * @param {Object} plan - Current plan
+ * @param {Array} history - Workout history for the profile
+ * @returns {Object} New baseWeek
+ */
+const buildRebasedBaseWeek = (plan, history) => {
+  const cycleHistory = getCycleHistory(plan, history);
+  return {
+    ...plan.baseWeek,
+    days: plan.baseWeek.days.map(day => ({
+      ...day,
+      exercises: day.exercises.map(exercise => {
+        if (exercise.type === 'test') return exercise;
+        // The new cycle starts at week 1, so test recalibration offsets no longer apply
+        const { baselineWeek, ...rest } = exercise;
+        return {
+          ...rest,
+          baselineDetails: rebaseBaselineDetails(exercise.baselineDetails, getAchievedDetails(exercise, cycleHistory))
+        };
+      })
+    }))
+  };
+};
 
 // --- Sport Templates ---
 const TEMPLATES = {
@@ -272,8 +2361,31 @@ const TEMPLATES = {
             focus: 'Finger Strength',
             exercises: [
               { name: 'Warm-up', type: 'timer', baselineDetails: { sets: 1, duration: 600, rest: 0, description: '10-min easy climbing warm-up' } },
-              { name: 'Hangboard - Half Crimp', type: 'repsSetsWeight', baselineDetails: { sets: 3, reps: '10s', weight: 'Bodyweight', rest: 180 } },
-              { name: 'Hangboard - Open Hand', type: 'repsSetsWeight', baselineDetails: { sets: 3, reps: '10s', weight: 'Bodyweight', rest: 180 } },
+              {
+                name: 'Max Hang Test',
+                type: 'test',
+                baselineDetails: { sets: 1, description: 'Half crimp on a 20mm edge: one all-out hang for as long as you can' },
+                test: {
+                  metric: 'maxDuration',
+                  weeks: [1, 7],
+                  drives: [
+                    { exercise: 'Hangboard - Half Crimp', field: 'duration', percent: 70 },
+                    { exercise: 'Hangboard - Open Hand', field: 'duration', percent: 70 }
+                  ]
+                }
+              },
+              {
+                name: 'Hangboard - Half Crimp',
+                type: 'hangboard',
+                baselineDetails: { sets: 3, duration: 10, rest: 180, edge: 20, grip: 'halfCrimp', arms: 2, weight: 'Bodyweight' },
+                progression: { increments: { duration: 0, edge: -1 }, min: { edge: 15 } }
+              },
+              {
+                name: 'Hangboard - Open Hand',
+                type: 'hangboard',
+                baselineDetails: { sets: 3, duration: 10, rest: 180, edge: 20, grip: 'openHand', arms: 2, weight: 'Bodyweight' },
+                progression: { increments: { duration: 1 }, max: { duration: 15 } }
+              },
               { name: 'Campus Board Ladders', type: 'repsSetsWeight', baselineDetails: { sets: 4, reps: '5', weight: 'Bodyweight', rest: 120 } }
             ]
           },
@@ -287,7 +2399,7 @@ const TEMPLATES = {
             focus: 'Power & Technique',
             exercises: [
               { name: 'Warm-up', type: 'timer', baselineDetails: { sets: 1, duration: 900, rest: 0, description: '15-min easy climbing' } },
-              { name: 'Limit Bouldering', type: 'timer', baselineDetails: { sets: 6, duration: 300, rest: 300, description: '5-min hard attempts, 5-min rest' } },
+              { name: 'Limit Bouldering', type: 'climbing', baselineDetails: { duration: 1800, targetGrade: 'V5', angle: 30, description: 'Hard attempts on V4-V5 problems, full rest between goes' } },
               { name: 'Volume Climbing', type: 'timer', baselineDetails: { sets: 1, duration: 1800, rest: 0, description: '30-min moderate climbing' } }
             ]
           },
@@ -295,9 +2407,9 @@ const TEMPLATES = {
             day: 'Thursday',
             focus: 'Antagonist Training',
             exercises: [
-              { name: 'Push-ups', type: 'repsSetsWeight', baselineDetails: { sets: 3, reps: '15', weight: 'Bodyweight', rest: 60 } },
-              { name: 'Dips', type: 'repsSetsWeight', baselineDetails: { sets: 3, reps: '10', weight: 'Bodyweight', rest: 90 } },
-              { name: 'Shoulder Press', type: 'repsSetsWeight', baselineDetails: { sets: 3, reps: '10', weight: '10kg', rest: 90 } }
+              { name: 'Push-ups', type: 'repsSetsWeight', supersetGroup: 'A', baselineDetails: { sets: 3, reps: '15', weight: 'Bodyweight', rest: 60 } },
+              { name: 'Dips', type: 'repsSetsWeight', supersetGroup: 'A', baselineDetails: { sets: 3, reps: '10', weight: 'Bodyweight', rest: 90 } },
+              { name: 'Shoulder Press', type: 'repsSetsWeight', equipment: 'dumbbell', supersetGroup: 'A', baselineDetails: { sets: 3, reps: '10', weight: '10kg', rest: 90 } }
             ]
           },
           {
@@ -348,8 +2460,30 @@ const TEMPLATES = {
             focus: 'Max Finger Strength',
             exercises: [
               { name: 'Warm-up', type: 'timer', baselineDetails: { sets: 1, duration: 900, rest: 0, description: '15-min progressive warm-up' } },
-              { name: 'Weighted Hangboard', type: 'repsSetsWeight', baselineDetails: { sets: 5, reps: '7s', weight: '+10kg', rest: 240 } },
-              { name: 'One-Arm Hangs', type: 'repsSetsWeight', baselineDetails: { sets: 4, reps: '5s', weight: 'Bodyweight', rest: 180 } },
+              {
+                name: 'Weighted Hang Test',
+                type: 'test',
+                baselineDetails: { sets: 1, description: 'Work up to the most added weight you can hold for 7s on a 20mm edge' },
+                test: { metric: 'maxLoad', weeks: [1, 7], drives: [{ exercise: 'Weighted Hangboard', field: 'weight', percent: 85 }] }
+              },
+              {
+                name: 'One-Arm Hang Test',
+                type: 'test',
+                baselineDetails: { sets: 1, description: 'Longest one-arm hang on your weaker arm' },
+                test: { metric: 'maxDuration', weeks: [1, 7], drives: [{ exercise: 'One-Arm Hangs', field: 'duration', percent: 60 }] }
+              },
+              {
+                name: 'Weighted Hangboard',
+                type: 'hangboard',
+                baselineDetails: { sets: 5, duration: 7, rest: 240, edge: 20, grip: 'halfCrimp', arms: 2, weight: '+10kg' },
+                progression: { increments: { duration: 0, weight: 1.25 } }
+              },
+              {
+                name: 'One-Arm Hangs',
+                type: 'hangboard',
+                baselineDetails: { sets: 4, duration: 5, rest: 180, edge: 20, grip: 'halfCrimp', arms: 1, weight: '-10% BW' },
+                progression: { increments: { duration: 0, weight: 1 }, max: { weight: 0 } }
+              },
               { name: 'Campus Board Max', type: 'repsSetsWeight', baselineDetails: { sets: 5, reps: '3', weight: 'Bodyweight', rest: 180 } }
             ]
           },
@@ -372,32 +2506,215 @@ const TEMPLATES = {
             focus: 'Limit Bouldering',
             exercises: [
               { name: 'Warm-up', type: 'timer', baselineDetails: { sets: 1, duration: 1200, rest: 0, description: '20-min progressive warm-up' } },
-              { name: 'Project Attempts', type: 'timer', baselineDetails: { sets: 8, duration: 360, rest: 360, description: '6-min work, 6-min rest on limit problems' } }
+              { name: 'Project Attempts', type: 'climbing', baselineDetails: { duration: 2700, targetGrade: 'V7', angle: 30, description: 'Limit problems, 3-4 attempts each with full rest' } }
+            ]
+          },
+          {
+            day: 'Friday',
+            focus: 'Antagonist & Mobility',
+            exercises: [
+              { name: 'Weighted Push-ups', type: 'repsSetsWeight', supersetGroup: 'A', baselineDetails: { sets: 4, reps: '12', weight: '+10kg', rest: 90 } },
+              { name: 'Ring Dips', type: 'repsSetsWeight', supersetGroup: 'A', baselineDetails: { sets: 4, reps: '8', weight: 'Bodyweight', rest: 90 } },
+              { name: 'Mobility Work', type: 'timer', baselineDetails: { sets: 1, duration: 1200, rest: 0, description: '20-min stretching' } }
+            ]
+          },
+          {
+            day: 'Saturday',
+            focus: 'Power Endurance',
+            exercises: [
+              { name: 'Warm-up', type: 'timer', baselineDetails: { sets: 1, duration: 900, rest: 0, description: '15-min warm-up' } },
+              { name: 'Linked Boulder Problems', type: 'timer', baselineDetails: { sets: 5, duration: 300, rest: 300, description: 'Link 3-4 problems, 5-min rest' } },
+              { name: 'Volume Climbing', type: 'timer', baselineDetails: { sets: 1, duration: 1200, rest: 0, description: '20-min moderate climbing' } }
+            ]
+          },
+          {
+            day: 'Sunday',
+            focus: 'Active Recovery',
+            exercises: [
+              { name: 'Easy Climbing', type: 'timer', baselineDetails: { sets: 1, duration: 2400, rest: 0, description: '40-min easy climbing or hiking' } }
+            ]
+          }
+        ]
+      },
+      progressionSettings: {
+        strategy: 'linear',
+        increments: {
+          sets: 0,
+          reps: 0.3,
+          weight: 2.5,
+          duration: 20
+        },
+        userMultiplier: 1.0,
+        adaptiveEnabled: true
+      }
+    }
+  ],
+  running: [
+    {
+      id: 'running-5k',
+      name: 'Couch to 5K',
+      sport: 'running',
+      description: '8-week plan to run your first 5K',
+      durationWeeks: 8,
+      baseWeek: {
+        days: [
+          {
+            day: 'Monday',
+            focus: 'Interval Training',
+            exercises: [
+              { name: 'Walk Warm-up', type: 'timer', baselineDetails: { sets: 1, duration: 300, rest: 0, description: '5-min brisk walk' } },
+              {
+                name: 'Run Test',
+                type: 'test',
+                baselineDetails: { sets: 1, description: 'Run at an easy, conversational pace for as long as you comfortably can (stop at 20 minutes)' },
+                test: {
+                  metric: 'maxDuration',
+                  weeks: [1, 5],
+                  drives: [
+                    { exercise: 'Run/Walk Intervals', field: 'duration', percent: 25 },
+                    { exercise: 'Easy Run', field: 'duration', percent: 60 },
+                    { exercise: 'Long Easy Run', field: 'duration', percent: 90 }
+                  ]
+                }
+              },
+              { name: 'Run/Walk Intervals', type: 'timer', baselineDetails: { sets: 5, duration: 60, rest: 120, description: '1-min run, 2-min walk' } },
+              { name: 'Cool-down Walk', type: 'timer', baselineDetails: { sets: 1, duration: 300, rest: 0, description: '5-min easy walk' } }
+            ]
+          },
+          {
+            day: 'Tuesday',
+            focus: 'Rest or Cross-train',
+            exercises: [
+              { name: 'Optional: Cycling or Swimming', type: 'timer', baselineDetails: { sets: 1, duration: 1800, rest: 0, description: '30-min low-intensity cardio' } }
+            ]
+          },
+          {
+            day: 'Wednesday',
+            focus: 'Easy Run',
+            exercises: [
+              { name: 'Warm-up Walk', type: 'timer', baselineDetails: { sets: 1, duration: 300, rest: 0, description: '5-min walk' } },
+              { name: 'Easy Run', type: 'timer', baselineDetails: { sets: 1, duration: 600, rest: 0, description: '10-min easy pace run' } },
+              { name: 'Cool-down Walk', type: 'timer', baselineDetails: { sets: 1, duration: 300, rest: 0, description: '5-min walk' } }
+            ]
+          },
+          {
+            day: 'Thursday',
+            focus: 'Rest',
+            exercises: []
+          },
+          {
+            day: 'Friday',
+            focus: 'Interval Training',
+            exercises: [
+              { name: 'Warm-up Walk', type: 'timer', baselineDetails: { sets: 1, duration: 300, rest: 0, description: '5-min walk' } },
+              { name: 'Run/Walk Intervals', type: 'timer', baselineDetails: { sets: 5, duration: 60, rest: 120, description: '1-min run, 2-min walk' } },
+              { name: 'Cool-down Walk', type: 'timer', baselineDetails: { sets: 1, duration: 300, rest: 0, description: '5-min walk' } }
+            ]
+          },
+          {
+            day: 'Saturday',
+            focus: 'Long Run',
+            exercises: [
+              { name: 'Warm-up Walk', type: 'timer', baselineDetails: { sets: 1, duration: 300, rest: 0, description: '5-min walk' } },
+              { name: 'Long Easy Run', type: 'timer', baselineDetails: { sets: 1, duration: 900, rest: 0, description: '15-min easy run' } },
+              { name: 'Cool-down Walk', type: 'timer', baselineDetails: { sets: 1, duration: 300, rest: 0, description: '5-min walk' } }
+            ]
+          },
+          {
+            day: 'Sunday',
+            focus: 'Rest or Yoga',
+            exercises: [
+              { name: 'Stretching & Mobility', type: 'timer', baselineDetails: { sets: 1, duration: 1200, rest: 0, description: '20-min stretching' } }
+            ]
+          }
+        ]
+      },
+      progressionSettings: {
+        strategy: 'linear',
+        increments: {
+          sets: 0.5,
+          reps: 0,
+          weight: 0,
+          duration: 60
+        },
+        userMultiplier: 1.0,
+        adaptiveEnabled: true
+      }
+    },
+    {
+      id: 'running-10k',
+      name: '10K Training Plan',
+      sport: 'running',
+      description: '10-week plan to complete a 10K race',
+      durationWeeks: 10,
+      baseWeek: {
+        days: [
+          {
+            day: 'Monday',
+            focus: 'Rest or Easy Run',
+            exercises: [
+              {
+                name: '5K Time Trial',
+                type: 'test',
+                baselineDetails: { sets: 1, description: 'Warm up, then run 5K as fast as you can hold an even pace' },
+                test: {
+                  metric: 'timeTrial',
+                  distance: 5,
+                  weeks: [1, 6],
+                  drives: [
+                    { exercise: 'Tempo Intervals', field: 'pace', percent: 108 },
+                    { exercise: 'Speed Intervals', field: 'pace', percent: 100 },
+                    { exercise: 'Easy Run', field: 'pace', percent: 125 },
+                    { exercise: 'Long Run', field: 'pace', percent: 125 },
+                    { exercise: 'Recovery Run', field: 'pace', percent: 135 }
+                  ]
+                }
+              },
+              { name: 'Optional Easy Run', type: 'distance', baselineDetails: { distance: 5, pace: 380, description: 'Easy, conversational pace' } }
+            ]
+          },
+          {
+            day: 'Tuesday',
+            focus: 'Tempo Run',
+            exercises: [
+              { name: 'Warm-up', type: 'timer', baselineDetails: { sets: 1, duration: 600, rest: 0, description: '10-min easy jog' } },
+              { name: 'Tempo Intervals', type: 'timer', baselineDetails: { sets: 3, duration: 600, rest: 180, description: '10-min at tempo pace, 3-min recovery' } },
+              { name: 'Cool-down', type: 'timer', baselineDetails: { sets: 1, duration: 600, rest: 0, description: '10-min easy jog' } }
+            ]
+          },
+          {
+            day: 'Wednesday',
+            focus: 'Easy Run',
+            exercises: [
+              { name: 'Easy Run', type: 'distance', baselineDetails: { distance: 6, pace: 380, zone: 'Z2', description: 'Easy, conversational pace' } }
+            ]
+          },
+          {
+            day: 'Thursday',
+            focus: 'Intervals',
+            exercises: [
+              { name: 'Warm-up', type: 'timer', baselineDetails: { sets: 1, duration: 600, rest: 0, description: '10-min easy jog' } },
+              { name: 'Speed Intervals', type: 'timer', baselineDetails: { sets: 6, duration: 240, rest: 120, description: '4-min hard, 2-min recovery' } },
+              { name: 'Cool-down', type: 'timer', baselineDetails: { sets: 1, duration: 600, rest: 0, description: '10-min easy jog' } }
             ]
           },
           {
             day: 'Friday',
-            focus: 'Antagonist & Mobility',
-            exercises: [
-              { name: 'Weighted Push-ups', type: 'repsSetsWeight', baselineDetails: { sets: 4, reps: '12', weight: '+10kg', rest: 90 } },
-              { name: 'Ring Dips', type: 'repsSetsWeight', baselineDetails: { sets: 4, reps: '8', weight: 'Bodyweight', rest: 90 } },
-              { name: 'Mobility Work', type: 'timer', baselineDetails: { sets: 1, duration: 1200, rest: 0, description: '20-min stretching' } }
-            ]
+            focus: 'Rest',
+            exercises: []
           },
           {
             day: 'Saturday',
-            focus: 'Power Endurance',
+            focus: 'Long Run',
             exercises: [
-              { name: 'Warm-up', type: 'timer', baselineDetails: { sets: 1, duration: 900, rest: 0, description: '15-min warm-up' } },
-              { name: 'Linked Boulder Problems', type: 'timer', baselineDetails: { sets: 5, duration: 300, rest: 300, description: 'Link 3-4 problems, 5-min rest' } },
-              { name: 'Volume Climbing', type: 'timer', baselineDetails: { sets: 1, duration: 1200, rest: 0, description: '20-min moderate climbing' } }
+              { name: 'Long Run', type: 'distance', baselineDetails: { distance: 9, pace: 380, zone: 'Z2', description: 'Long run at easy pace' }, progression: { increments: { distance: 0.75 } } }
             ]
           },
           {
             day: 'Sunday',
-            focus: 'Active Recovery',
+            focus: 'Recovery Run',
             exercises: [
-              { name: 'Easy Climbing', type: 'timer', baselineDetails: { sets: 1, duration: 2400, rest: 0, description: '40-min easy climbing or hiking' } }
+              { name: 'Recovery Run', type: 'distance', baselineDetails: { distance: 5, pace: 410, zone: 'Z1', description: 'Very easy pace' } }
             ]
           }
         ]
@@ -406,47 +2723,47 @@ const TEMPLATES = {
         strategy: 'linear',
         increments: {
           sets: 0,
-          reps: 0.3,
-          weight: 2.5,
-          duration: 20
+          reps: 0,
+          weight: 0,
+          duration: 120,
+          distance: 0.25
         },
+        mileageCap: 10,
         userMultiplier: 1.0,
         adaptiveEnabled: true
       }
     }
   ],
-  running: [
+  strength: [
     {
-      id: 'running-5k',
-      name: 'Couch to 5K',
-      sport: 'running',
-      description: '8-week plan to run your first 5K',
-      durationWeeks: 8,
+      id: 'strength-beginner',
+      name: 'Starting Strength',
+      sport: 'strength training',
+      description: 'Classic beginner strength program',
+      durationWeeks: 12,
       baseWeek: {
         days: [
           {
             day: 'Monday',
-            focus: 'Interval Training',
+            focus: 'Full Body A',
             exercises: [
-              { name: 'Walk Warm-up', type: 'timer', baselineDetails: { sets: 1, duration: 300, rest: 0, description: '5-min brisk walk' } },
-              { name: 'Run/Walk Intervals', type: 'timer', baselineDetails: { sets: 5, duration: 60, rest: 120, description: '1-min run, 2-min walk' } },
-              { name: 'Cool-down Walk', type: 'timer', baselineDetails: { sets: 1, duration: 300, rest: 0, description: '5-min easy walk' } }
+              { name: 'Squat', type: 'repsSetsWeight', baselineDetails: { sets: 3, reps: '5', weight: '75% 1RM', rest: 180 } },
+              { name: 'Bench Press', type: 'repsSetsWeight', baselineDetails: { sets: 3, reps: '5', weight: '75% 1RM', rest: 180 } },
+              { name: 'Deadlift', type: 'repsSetsWeight', baselineDetails: { sets: 1, reps: '5', weight: '75% 1RM', rest: 240 } }
             ]
           },
           {
             day: 'Tuesday',
-            focus: 'Rest or Cross-train',
-            exercises: [
-              { name: 'Optional: Cycling or Swimming', type: 'timer', baselineDetails: { sets: 1, duration: 1800, rest: 0, description: '30-min low-intensity cardio' } }
-            ]
+            focus: 'Rest',
+            exercises: []
           },
           {
             day: 'Wednesday',
-            focus: 'Easy Run',
+            focus: 'Full Body B',
             exercises: [
-              { name: 'Warm-up Walk', type: 'timer', baselineDetails: { sets: 1, duration: 300, rest: 0, description: '5-min walk' } },
-              { name: 'Easy Run', type: 'timer', baselineDetails: { sets: 1, duration: 600, rest: 0, description: '10-min easy pace run' } },
-              { name: 'Cool-down Walk', type: 'timer', baselineDetails: { sets: 1, duration: 300, rest: 0, description: '5-min walk' } }
+              { name: 'Squat', type: 'repsSetsWeight', baselineDetails: { sets: 3, reps: '5', weight: '75% 1RM', rest: 180 } },
+              { name: 'Overhead Press', type: 'repsSetsWeight', baselineDetails: { sets: 3, reps: '5', weight: '75% 1RM', rest: 180 } },
+              { name: 'Barbell Row', type: 'repsSetsWeight', baselineDetails: { sets: 3, reps: '5', weight: '70% 1RM', rest: 180 } }
             ]
           },
           {
@@ -456,27 +2773,23 @@ const TEMPLATES = {
           },
           {
             day: 'Friday',
-            focus: 'Interval Training',
+            focus: 'Full Body A',
             exercises: [
-              { name: 'Warm-up Walk', type: 'timer', baselineDetails: { sets: 1, duration: 300, rest: 0, description: '5-min walk' } },
-              { name: 'Run/Walk Intervals', type: 'timer', baselineDetails: { sets: 5, duration: 60, rest: 120, description: '1-min run, 2-min walk' } },
-              { name: 'Cool-down Walk', type: 'timer', baselineDetails: { sets: 1, duration: 300, rest: 0, description: '5-min walk' } }
+              { name: 'Squat', type: 'repsSetsWeight', baselineDetails: { sets: 3, reps: '5', weight: '75% 1RM', rest: 180 } },
+              { name: 'Bench Press', type: 'repsSetsWeight', baselineDetails: { sets: 3, reps: '5', weight: '75% 1RM', rest: 180 } },
+              { name: 'Deadlift', type: 'repsSetsWeight', baselineDetails: { sets: 1, reps: '5', weight: '75% 1RM', rest: 240 } }
             ]
           },
           {
             day: 'Saturday',
-            focus: 'Long Run',
-            exercises: [
-              { name: 'Warm-up Walk', type: 'timer', baselineDetails: { sets: 1, duration: 300, rest: 0, description: '5-min walk' } },
-              { name: 'Long Easy Run', type: 'timer', baselineDetails: { sets: 1, duration: 900, rest: 0, description: '15-min easy run' } },
-              { name: 'Cool-down Walk', type: 'timer', baselineDetails: { sets: 1, duration: 300, rest: 0, description: '5-min walk' } }
-            ]
+            focus: 'Rest',
+            exercises: []
           },
           {
             day: 'Sunday',
-            focus: 'Rest or Yoga',
+            focus: 'Active Recovery',
             exercises: [
-              { name: 'Stretching & Mobility', type: 'timer', baselineDetails: { sets: 1, duration: 1200, rest: 0, description: '20-min stretching' } }
+              { name: 'Walking or Light Cardio', type: 'timer', baselineDetails: { sets: 1, duration: 1800, rest: 0, description: '30-min easy activity' } }
             ]
           }
         ]
@@ -484,73 +2797,98 @@ const TEMPLATES = {
       progressionSettings: {
         strategy: 'linear',
         increments: {
-          sets: 0.5,
+          sets: 0,
           reps: 0,
-          weight: 0,
-          duration: 60
+          weight: 2.5,
+          duration: 0
         },
         userMultiplier: 1.0,
-        adaptiveEnabled: true
+        adaptiveEnabled: true,
+        periodization: {
+          model: 'block',
+          loadingWeeks: 3,
+          deloadPercent: 60
+        }
       }
     },
     {
-      id: 'running-10k',
-      name: '10K Training Plan',
-      sport: 'running',
-      description: '10-week plan to complete a 10K race',
-      durationWeeks: 10,
+      id: 'strength-ppl',
+      name: 'Push/Pull/Legs',
+      sport: 'strength training',
+      description: '6-day split for intermediate lifters',
+      durationWeeks: 12,
       baseWeek: {
         days: [
           {
             day: 'Monday',
-            focus: 'Rest or Easy Run',
+            focus: 'Push',
             exercises: [
-              { name: 'Optional Easy Run', type: 'timer', baselineDetails: { sets: 1, duration: 1800, rest: 0, description: '30-min easy pace' } }
+              { name: 'Bench Press', type: 'repsSetsWeight', baselineDetails: { sets: 4, reps: '6', weight: '80% 1RM', rest: 180 } },
+              { name: 'Overhead Press', type: 'repsSetsWeight', baselineDetails: { sets: 3, reps: '8', weight: '72.5% 1RM', rest: 120 } },
+              { name: 'Incline Dumbbell Press', type: 'repsSetsWeight', baselineDetails: { sets: 3, reps: '10', weight: '20kg', rest: 90 } },
+              { name: 'Tricep Dips', type: 'repsSetsWeight', baselineDetails: { sets: 3, reps: '12', weight: 'Bodyweight', rest: 90 } },
+              { name: 'Lateral Raises', type: 'repsSetsWeight', baselineDetails: { sets: 3, reps: '15', weight: '8kg', rest: 60 }, progression: { increments: { weight: 0.5 }, max: { weight: 14 }, roundingStep: 1 } }
             ]
           },
           {
             day: 'Tuesday',
-            focus: 'Tempo Run',
+            focus: 'Pull',
             exercises: [
-              { name: 'Warm-up', type: 'timer', baselineDetails: { sets: 1, duration: 600, rest: 0, description: '10-min easy jog' } },
-              { name: 'Tempo Intervals', type: 'timer', baselineDetails: { sets: 3, duration: 600, rest: 180, description: '10-min at tempo pace, 3-min recovery' } },
-              { name: 'Cool-down', type: 'timer', baselineDetails: { sets: 1, duration: 600, rest: 0, description: '10-min easy jog' } }
+              { name: 'Deadlift', type: 'repsSetsWeight', baselineDetails: { sets: 3, reps: '5', weight: '80% 1RM', rest: 240 }, progression: { roundingStep: 2.5 } },
+              { name: 'Pull-ups', type: 'repsSetsWeight', baselineDetails: { sets: 4, reps: '8', weight: 'Bodyweight', rest: 120 } },
+              { name: 'Barbell Rows', type: 'repsSetsWeight', lift: 'Barbell Row', baselineDetails: { sets: 4, reps: '8', weight: '72.5% 1RM', rest: 120 } },
+              { name: 'Face Pulls', type: 'repsSetsWeight', baselineDetails: { sets: 3, reps: '15', weight: '20kg', rest: 60 } },
+              { name: 'Bicep Curls', type: 'repsSetsWeight', baselineDetails: { sets: 3, reps: '12', weight: '12kg', rest: 60 }, progression: { increments: { weight: 1 }, roundingStep: 1 } }
             ]
           },
           {
             day: 'Wednesday',
-            focus: 'Easy Run',
+            focus: 'Legs',
             exercises: [
-              { name: 'Easy Run', type: 'timer', baselineDetails: { sets: 1, duration: 2400, rest: 0, description: '40-min easy pace' } }
+              { name: 'Squat', type: 'repsSetsWeight', baselineDetails: { sets: 4, reps: '6', weight: '80% 1RM', rest: 180 } },
+              { name: 'Romanian Deadlift', type: 'repsSetsWeight', lift: 'Deadlift', baselineDetails: { sets: 3, reps: '10', weight: '55% 1RM', rest: 120 } },
+              { name: 'Leg Press', type: 'repsSetsWeight', equipment: 'machine', baselineDetails: { sets: 3, reps: '12', weight: '120kg', rest: 90 } },
+              { name: 'Leg Curls', type: 'repsSetsWeight', equipment: 'machine', baselineDetails: { sets: 3, reps: '12', weight: '40kg', rest: 60 } },
+              { name: 'Calf Raises', type: 'repsSetsWeight', equipment: 'machine', baselineDetails: { sets: 4, reps: '15', weight: '40kg', rest: 60 } }
             ]
           },
           {
             day: 'Thursday',
-            focus: 'Intervals',
+            focus: 'Push',
             exercises: [
-              { name: 'Warm-up', type: 'timer', baselineDetails: { sets: 1, duration: 600, rest: 0, description: '10-min easy jog' } },
-              { name: 'Speed Intervals', type: 'timer', baselineDetails: { sets: 6, duration: 240, rest: 120, description: '4-min hard, 2-min recovery' } },
-              { name: 'Cool-down', type: 'timer', baselineDetails: { sets: 1, duration: 600, rest: 0, description: '10-min easy jog' } }
+              { name: 'Overhead Press', type: 'repsSetsWeight', baselineDetails: { sets: 4, reps: '6', weight: '80% 1RM', rest: 180 } },
+              { name: 'Bench Press', type: 'repsSetsWeight', baselineDetails: { sets: 3, reps: '8', weight: '72.5% 1RM', rest: 120 } },
+              { name: 'Dumbbell Flyes', type: 'repsSetsWeight', baselineDetails: { sets: 3, reps: '12', weight: '15kg', rest: 90 } },
+              { name: 'Tricep Extensions', type: 'repsSetsWeight', baselineDetails: { sets: 3, reps: '12', weight: '20kg', rest: 60 } },
+              { name: 'Front Raises', type: 'repsSetsWeight', baselineDetails: { sets: 3, reps: '12', weight: '8kg', rest: 60 } }
             ]
           },
           {
             day: 'Friday',
-            focus: 'Rest',
-            exercises: []
+            focus: 'Pull',
+            exercises: [
+              { name: 'Barbell Rows', type: 'repsSetsWeight', lift: 'Barbell Row', baselineDetails: { sets: 4, reps: '6', weight: '80% 1RM', rest: 180 } },
+              { name: 'Lat Pulldowns', type: 'repsSetsWeight', baselineDetails: { sets: 4, reps: '10', weight: '60kg', rest: 90 } },
+              { name: 'Cable Rows', type: 'repsSetsWeight', baselineDetails: { sets: 3, reps: '12', weight: '50kg', rest: 90 } },
+              { name: 'Shrugs', type: 'repsSetsWeight', equipment: 'barbell', baselineDetails: { sets: 3, reps: '15', weight: '40kg', rest: 60 } },
+              { name: 'Hammer Curls', type: 'repsSetsWeight', baselineDetails: { sets: 3, reps: '12', weight: '12kg', rest: 60 } }
+            ]
           },
           {
             day: 'Saturday',
-            focus: 'Long Run',
+            focus: 'Legs',
             exercises: [
-              { name: 'Long Run', type: 'timer', baselineDetails: { sets: 1, duration: 3600, rest: 0, description: '60-min long run at easy pace' } }
+              { name: 'Front Squat', type: 'repsSetsWeight', lift: 'Squat', baselineDetails: { sets: 4, reps: '8', weight: '60% 1RM', rest: 180 } },
+              { name: 'Lunges', type: 'repsSetsWeight', equipment: 'dumbbell', baselineDetails: { sets: 3, reps: '10', weight: '20kg', rest: 90 } },
+              { name: 'Leg Extensions', type: 'repsSetsWeight', baselineDetails: { sets: 3, reps: '15', weight: '50kg', rest: 60 } },
+              { name: 'Leg Curls', type: 'repsSetsWeight', equipment: 'machine', baselineDetails: { sets: 3, reps: '15', weight: '40kg', rest: 60 } },
+              { name: 'Seated Calf Raises', type: 'repsSetsWeight', equipment: 'machine', baselineDetails: { sets: 4, reps: '20', weight: '30kg', rest: 60 } }
             ]
           },
           {
             day: 'Sunday',
-            focus: 'Recovery Run',
-            exercises: [
-              { name: 'Recovery Run', type: 'timer', baselineDetails: { sets: 1, duration: 1800, rest: 0, description: '30-min very easy pace' } }
-            ]
+            focus: 'Rest',
+            exercises: []
           }
         ]
       },
@@ -559,450 +2897,1491 @@ const TEMPLATES = {
         increments: {
           sets: 0,
           reps: 0,
-          weight: 0,
-          duration: 120
+          weight: 2.5,
+          duration: 0
         },
         userMultiplier: 1.0,
-        adaptiveEnabled: true
+        adaptiveEnabled: true,
+        periodization: {
+          model: 'block',
+          loadingWeeks: 3,
+          deloadPercent: 60
+        }
+      }
+    }
+  ]
+};
+
+// --- System Prompt for AI Plan Generation (Updated for baseWeek) ---
+const AI_PLAN_SYSTEM_PROMPT = `You are an expert fitness planner. The user will provide their background, sport/activity, and goals. Create a structured JSON training plan with a SINGLE REPEATING WEEK that will progress over time.
+
+CRITICAL: The output *must* be ONLY a single JSON object. No markdown code blocks, no comments, no explanations.
+- Do NOT include \`\`\`json or \`\`\`
+- Do NOT include // comments in the JSON
+- Generate a SINGLE base week that repeats (NOT all 12 weeks)
+- Return ONLY pure JSON
+
+The user will provide their context and goals in their message. Use that information to create a science-based, week-based plan that progresses automatically through progressive overload.
+
+The JSON structure must be:
+{
+  "planName": "A catchy name for the plan based on the user's goal",
+  "planType": "repeating-week",
+  "sport": "the primary sport/activity",
+  "durationWeeks": 12,
+  "baseWeek": {
+    "days": [
+      {
+        "day": "Monday",
+        "focus": "Strength Training",
+        "exercises": [
+          {
+            "name": "Squat",
+            "type": "repsSetsWeight",
+            "baselineDetails": {
+              "sets": 3,
+              "reps": "5",
+              "weight": "80kg",
+              "rest": 180
+            }
+          },
+          {
+            "name": "Hangboard Repeaters",
+            "type": "interval",
+            "baselineDetails": {
+              "sets": 6,
+              "reps": 6,
+              "duration": 7,
+              "off": 3,
+              "rest": 180,
+              "description": "20mm edge, 7s on / 3s off"
+            }
+          },
+          {
+            "name": "Warm-up",
+            "type": "timer",
+            "baselineDetails": {
+              "sets": 1,
+              "duration": 600,
+              "rest": 0,
+              "description": "10-min warm-up"
+            }
+          }
+        ]
+      },
+      {
+        "day": "Tuesday",
+        "focus": "Rest",
+        "exercises": []
+      },
+      {
+        "day": "Wednesday",
+        "focus": "Cardio",
+        "exercises": [...]
+      },
+      {
+        "day": "Thursday",
+        "focus": "Strength",
+        "exercises": [...]
+      },
+      {
+        "day": "Friday",
+        "focus": "Rest",
+        "exercises": []
+      },
+      {
+        "day": "Saturday",
+        "focus": "Sport Practice",
+        "exercises": [...]
+      },
+      {
+        "day": "Sunday",
+        "focus": "Active Recovery",
+        "exercises": [...]
+      }
+    ]
+  },
+  "progressionSettings": {
+    "strategy": "linear",
+    "increments": {
+      "sets": 0,
+      "reps": 1,
+      "weight": 2.5,
+      "duration": 30
+    },
+    "userMultiplier": 1.0,
+    "adaptiveEnabled": true,
+    "periodization": {
+      "model": "block",
+      "loadingWeeks": 3,
+      "deloadPercent": 60
+    }
+  }
+}
+
+IMPORTANT NOTES:
+1. Use "baselineDetails" instead of "details" for exercises - these are the Week 1 starting values
+2. The app will automatically calculate progressive overload each week based on progressionSettings
+3. For weight increments, use appropriate values: 2.5-5kg for upper body, 5-10kg for lower body
+4. For duration increments, 20-60 seconds per week is typical
+5. For reps, 0.5-1 rep per week for strength, 1-2 for endurance
+6. Include all 7 days (Monday-Sunday) with appropriate rest days
+7. Adapt the exercises, focus areas, and progression to match the user's specific sport and goals
+8. For hypertrophy work you can use double progression: set an exercise's "progression.strategy" to "double" and "reps" to a range like "8-12". Reps climb through the range, then "increments.weight" is added and reps reset to the bottom of the range
+9. An exercise may carry its own "progression" block ({ "strategy", "increments", "min", "max", "roundingStep" }) that overrides progressionSettings for that exercise only, e.g. smaller weight increments for isolation lifts
+10. For barbell lifts you may write "weight" as a percentage of the lifter's training max, e.g. "75% 1RM"; the app resolves it from the lifter's saved or estimated maxes, and the load rises with the max rather than with "increments.weight". Use the optional "lift" field to link variations to the same max
+11. Always write absolute loads in kilograms (e.g. "80kg", "+10kg") and distances in kilometres; the app converts them to the lifter's units. Write every progression value the same way, whatever units the lifter prefers: weight in "increments", "min", "max" and "roundingStep" in kg, distance in km and pace in seconds per km
+12. "periodization.model" can be "none", "block" (loadingWeeks then a deload week at deloadPercent), "wave" (waveLength, waveStep) or "undulating". Prefer "block" with 3 loading weeks for plans longer than 6 weeks
+13. Set ceilings in "progressionSettings.max" (e.g. { "duration": 15 } for max hangs) so values stop growing where they stop being useful. "progressionSettings.stall" ({ "sessions", "action": "flag"|"reset"|"changeScheme", "resetPercent" }) controls what happens after missed sessions
+14. When starting values are guesses, add a benchmark test exercise: { "name": "Max Hang Test", "type": "test", "baselineDetails": { "sets": 1, "description": "..." }, "test": { "metric": "maxDuration"|"maxReps"|"maxLoad"|"repMax"|"timeTrial", "distance": 5 (km, time trials only), "weeks": [1, 7], "drives": [{ "exercise": "Hangboard - Half Crimp", "field": "reps"|"weight"|"duration"|"pace", "percent": 70 }] } }. The logged result resets the linked exercises' baselines
+15. Use "type": "interval" for work/rest patterns inside a set (hangboard repeaters, running intervals): "reps" is the number of work bouts per set, "duration" the seconds on, "off" the seconds off between bouts and "rest" the rest between sets. Progression adds to reps and duration; an optional "weight" adds load
+16. Use "type": "block" for conditioning work done as a group: circuits, EMOMs, AMRAPs and Tabatas. "baselineDetails.format" is "circuit" ("sets" = rounds, "rest" between rounds), "emom" ("sets" = rounds, "interval" = seconds per round), "amrap" ("duration" = time cap in seconds) or "tabata" ("sets" = rounds, "work" and "rest" in seconds). List the movements on the exercise as "movements": [{ "name": "Kettlebell Swings", "reps": "15" }, { "name": "Plank", "reps": "30s" }]. Never fake a circuit with one long timer
+17. To superset "repsSetsWeight" exercises, give them the same "supersetGroup" letter ("A", "B", ...). They are done alternating sets (A1, B1, A2, B2) with rest only after each round, so use them for antagonist pairs and accessory work
+18. For runs, rides and swims that are about distance rather than time, use "type": "distance" with "baselineDetails": { "distance" (km), "pace" (seconds per km, optional), "zone" (optional, e.g. "Z2"), "description" }. Progress them with "increments.distance" (km per week) and optionally "increments.pace" (negative = faster). "progressionSettings.mileageCap" (percent, default 10) stops weekly distance growing faster than the 10% rule
+19. For bouldering and climbing sessions where the outcome is grades sent, use "type": "climbing" with "baselineDetails": { "duration" (session length in seconds), "targetGrade" (V-scale like "V5" or Font like "6C"), "angle" (wall angle in degrees past vertical, optional), "description" }. The climber logs each problem's grade, style and attempts, so never model limit bouldering as a timer
+20. Model hangs as "type": "hangboard" with "baselineDetails": { "sets", "duration" (seconds per hang), "rest", "edge" (mm), "grip" ("halfCrimp", "openHand", "fullCrimp", "threeFingerDrag", "frontTwo", "middleTwo", "pinch" or "sloper"), "arms" (1 or 2), "weight" ("Bodyweight", added "+5kg", removed "-10kg", or relative to bodyweight "+10% BW" / "-20% BW") }. Give each hang its own "progression" so it grows the right way: a negative "increments.edge" shrinks the edge (with "min": { "edge": ... }), "increments.weight" adds load, and "increments.duration": 0 stops the plan-wide duration increment stretching hangs past 10-15s
+21. Give loaded "repsSetsWeight" exercises an "equipment" field ("barbell", "dumbbell", "machine" or "plates") so their loads round to something that can actually be lifted; don't rely on the exercise name`;
+
+// --- Global API Helper ---
+const callGeminiApi = async (userQuery, systemPrompt) => {
+  const apiKey = import.meta.env.VITE_GEMINI_API_KEY || "";
+  const apiUrl = `https://generativelanguage.googleapis.com/v1beta/models/gemini-2.5-flash-preview-09-2025:generateContent?key=${apiKey}`;
+
+  const payload = {
+    contents: [{ parts: [{ text: userQuery }] }],
+    systemInstruction: {
+      parts: [{ text: systemPrompt }]
+    },
+  };
+
+  let response;
+  let delay = 1000;
+  for (let i = 0; i < 5; i++) {
+    try {
+      response = await fetch(apiUrl, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(payload)
+      });
+
+      if (response.ok) {
+        const result = await response.json();
+        const text = result.candidates?.[0]?.content?.parts?.[0]?.text;
+        if (text) {
+          return text;
+        } else {
+          throw new Error("Invalid response structure from API.");
+        }
+      } else if (response.status === 429 || response.status >= 500) {
+        await new Promise(resolve => setTimeout(resolve, delay));
+        delay *= 2;
+      } else {
+        const errText = await response.text();
+        throw new Error(`API Error: ${response.status} ${errText}`);
+      }
+    } catch (e) {
+      if (i === 4) throw e;
+      await new Promise(resolve => setTimeout(resolve, delay));
+      delay *= 2;
+    }
+  }
+  throw new Error("Failed to get response from API after retries.");
+};
+
+// --- Timer Engine ---
+// Every countdown in a workout runs on one engine. A timer is a list of phases
+// ({ type: 'work' | 'off' | 'rest', duration (seconds, null = open-ended), set, rep, lastOfSet }) and a state made of
+// timestamps only, so time left is always read off the clock: it doesn't drift, catches up after the tab or WebView
+// was in the background, and can be saved and picked up again after a reload.
+//
+// Components react to phase events: { type: 'work' | 'off' | 'rest', set, rep } when a phase starts,
+// { type: 'setDone', set, rep, elapsed, skipped } when a set's work ends and { type: 'complete' } at the end.
+
+const TIMER_STORAGE_PREFIX = 'timer:';
+// Saved timers older than this belong to an abandoned session and are ignored
+const TIMER_STORAGE_MAX_AGE = 6 * 60 * 60 * 1000;
+
+const IDLE_TIMER_STATE = { status: 'idle', phaseIndex: 0, startedAt: null, elapsedBeforePause: 0 };
+// A single open-ended phase that counts up until stopped
+const STOPWATCH_PHASES = [{ type: 'work', duration: null, set: 1 }];
+
+/**
+ * Builds the phases of a sets-with-rest timer: work, rest, work... with no rest after the last set.
+ * With reps > 1 each set is split into work bouts separated by `off` seconds (repeaters, intervals).
+ * @param {Object} options - { sets, duration, rest, reps, off }
+ * @returns {Array} Phases
+ */
+const buildTimerPhases = ({ sets = 1, duration = 0, rest = 0, reps = 1, off = 0 }) => {
+  const phases = [];
+  for (let set = 1; set <= Math.max(1, sets); set++) {
+    for (let rep = 1; rep <= Math.max(1, reps); rep++) {
+      phases.push({ type: 'work', duration, set, rep, lastOfSet: rep === Math.max(1, reps) });
+      if (rep < reps && off > 0) phases.push({ type: 'off', duration: off, set, rep });
+    }
+    if (set < sets && rest > 0) phases.push({ type: 'rest', duration: rest, set });
+  }
+  return phases;
+};
+
+/**
+ * Milliseconds spent in the current phase
+ * @param {Object} state - Timer state
+ * @param {number} now - Current timestamp
+ * @returns {number} Elapsed milliseconds
+ */
+const getPhaseElapsed = (state, now) => (
+  state.elapsedBeforePause + (state.status === 'running' ? Math.max(0, now - state.startedAt) : 0)
+);
+
+/**
+ * Ends the current phase at `endedAt` and starts the one at `nextIndex`
+ * @param {Array} phases - Timer phases
+ * @param {Object} state - Timer state
+ * @param {number} nextIndex - Phase to move to
+ * @param {number} endedAt - When the current phase ended
+ * @param {Object} setDone - setDone event to emit first, if the phase closed a set
+ * @returns {Object} { state, events }
+ */
+const moveToPhase = (phases, state, nextIndex, endedAt, setDone = null) => {
+  const events = setDone ? [setDone] : [];
+  if (nextIndex >= phases.length) {
+    events.push({ type: 'complete', at: endedAt });
+    return { state: { status: 'done', phaseIndex: phases.length - 1, startedAt: null, elapsedBeforePause: 0 }, events };
+  }
+  const next = phases[nextIndex];
+  events.push({ type: next.type, set: next.set, rep: next.rep, at: endedAt });
+  return { state: { status: 'running', phaseIndex: nextIndex, startedAt: endedAt, elapsedBeforePause: 0 }, events };
+};
+
+/**
+ * Moves a running timer past every phase that has run out by `now`, in order. A timer that was in
+ * the background for several phases emits all their events at once.
+ * @param {Array} phases - Timer phases
+ * @param {Object} state - Timer state
+ * @param {number} now - Current timestamp
+ * @returns {Object} { state, events }
+ */
+const advanceTimer = (phases, state, now) => {
+  let current = state;
+  const events = [];
+
+  while (current.status === 'running') {
+    const phase = phases[current.phaseIndex];
+    if (!phase || phase.duration === null || phase.duration === undefined) break;
+    const overrun = getPhaseElapsed(current, now) - phase.duration * 1000;
+    if (overrun < 0) break;
+
+    const endedAt = now - overrun;
+    const setDone = phase.type === 'work' && phase.lastOfSet
+      ? { type: 'setDone', set: phase.set, rep: phase.rep, elapsed: phase.duration, skipped: false, at: endedAt }
+      : null;
+    const moved = moveToPhase(phases, current, current.phaseIndex + 1, endedAt, setDone);
+    current = moved.state;
+    events.push(...moved.events);
+  }
+
+  return { state: current, events };
+};
+
+/**
+ * Restores a saved timer if it still matches the phases it was saved for
+ * @param {string} storageKey - Key the timer was saved under
+ * @param {Array} phases - Timer phases
+ * @returns {Object|null} Timer state
+ */
+const loadTimerState = (storageKey, phases) => {
+  if (!storageKey) return null;
+  try {
+    const saved = JSON.parse(localStorage.getItem(TIMER_STORAGE_PREFIX + storageKey) || 'null');
+    if (!saved) return null;
+    if (Date.now() - saved.savedAt > TIMER_STORAGE_MAX_AGE) {
+      localStorage.removeItem(TIMER_STORAGE_PREFIX + storageKey);
+      return null;
+    }
+    if (saved.signature !== phases.map(phase => `${phase.type}${phase.duration ?? ''}`).join(',')) return null;
+    return saved.state;
+  } catch (error) {
+    console.error('Error restoring timer:', error);
+    return null;
+  }
+};
+
+const saveTimerState = (storageKey, phases, state) => {
+  if (!storageKey) return;
+  try {
+    if (state.status === 'idle' || state.status === 'done') {
+      localStorage.removeItem(TIMER_STORAGE_PREFIX + storageKey);
+      return;
+    }
+    localStorage.setItem(TIMER_STORAGE_PREFIX + storageKey, JSON.stringify({
+      state,
+      signature: phases.map(phase => `${phase.type}${phase.duration ?? ''}`).join(','),
+      savedAt: Date.now()
+    }));
+  } catch (error) {
+    console.error('Error saving timer:', error);
+  }
+};
+
+/**
+ * Runs a list of phases against the wall clock.
+ * @param {Array} phases - Timer phases (e.g. from buildTimerPhases)
+ * @param {Object} options - { storageKey } to survive reloads, { onEvent } for phase events
+ * @returns {Object} { phase, phaseIndex, status, isRunning, timeLeft, elapsed, start, pause, toggle, reset, restart, skipPhase, skipSet }
+ *   timeLeft and elapsed are whole seconds in the current phase; timeLeft is null for open-ended phases
+ */
+const useTimerEngine = (phases, { storageKey, onEvent } = {}) => {
+  const [state, setState] = useState(() => loadTimerState(storageKey, phases) || IDLE_TIMER_STATE);
+  const [now, setNow] = useState(() => Date.now());
+  const stateRef = useRef(state);
+  const phasesRef = useRef(phases);
+  const onEventRef = useRef(onEvent);
+  phasesRef.current = phases;
+  onEventRef.current = onEvent;
+
+  const commit = (nextState, events = []) => {
+    stateRef.current = nextState;
+    setState(nextState);
+    setNow(Date.now());
+    saveTimerState(storageKey, phasesRef.current, nextState);
+    events.forEach(event => onEventRef.current?.(event));
+  };
+
+  const tick = () => {
+    const { state: nextState, events } = advanceTimer(phasesRef.current, stateRef.current, Date.now());
+    if (nextState !== stateRef.current) {
+      commit(nextState, events);
+    } else {
+      setNow(Date.now());
+    }
+  };
+
+  // The interval only repaints; backgrounded tabs throttle it, so coming back to the app re-reads the clock at once
+  useEffect(() => {
+    if (state.status !== 'running') return undefined;
+    tick();
+    const intervalId = setInterval(tick, 250);
+    const handleVisibility = () => {
+      if (document.visibilityState === 'visible') tick();
+    };
+    document.addEventListener('visibilitychange', handleVisibility);
+    return () => {
+      clearInterval(intervalId);
+      document.removeEventListener('visibilitychange', handleVisibility);
+    };
+  }, [state.status]);
+
+  const start = () => {
+    const current = stateRef.current;
+    if (current.status === 'running') return;
+    if (current.status === 'idle' || current.status === 'done') {
+      const first = phasesRef.current[0];
+      commit(
+        { status: 'running', phaseIndex: 0, startedAt: Date.now(), elapsedBeforePause: 0 },
+        first ? [{ type: first.type, set: first.set, rep: first.rep, at: Date.now() }] : []
+      );
+      return;
+    }
+    commit({ ...current, status: 'running', startedAt: Date.now() });
+  };
+
+  const pause = () => {
+    const current = stateRef.current;
+    if (current.status !== 'running') return;
+    commit({ ...current, status: 'paused', startedAt: null, elapsedBeforePause: getPhaseElapsed(current, Date.now()) });
+  };
+
+  const reset = () => commit(IDLE_TIMER_STATE);
+
+  const restart = () => {
+    stateRef.current = IDLE_TIMER_STATE;
+    start();
+  };
+
+  // Ends the current phase now, as if it had run out
+  const skipPhase = () => {
+    const current = stateRef.current;
+    if (current.status !== 'running' && current.status !== 'paused') return;
+    const phase = phasesRef.current[current.phaseIndex];
+    const elapsed = Math.floor(getPhaseElapsed(current, Date.now()) / 1000);
+    const setDone = phase.type === 'work' && phase.lastOfSet
+      ? { type: 'setDone', set: phase.set, rep: phase.rep, elapsed, skipped: true, at: Date.now() }
+      : null;
+    const moved = moveToPhase(phasesRef.current, current, current.phaseIndex + 1, Date.now(), setDone);
+    commit(moved.state, moved.events);
+  };
+
+  // Ends the current set now, skipping its remaining work bouts
+  const skipSet = () => {
+    const current = stateRef.current;
+    if (current.status !== 'running' && current.status !== 'paused') return;
+    const allPhases = phasesRef.current;
+    const phase = allPhases[current.phaseIndex];
+    let lastIndex = current.phaseIndex;
+    while (lastIndex < allPhases.length - 1 && allPhases[lastIndex + 1].set === phase.set && allPhases[lastIndex + 1].type !== 'rest') {
+      lastIndex++;
+    }
+    const elapsed = Math.floor(getPhaseElapsed(current, Date.now()) / 1000);
+    const setDone = { type: 'setDone', set: phase.set, rep: phase.rep, phaseType: phase.type, elapsed, skipped: true, at: Date.now() };
+    const moved = moveToPhase(allPhases, current, lastIndex + 1, Date.now(), setDone);
+    commit(moved.state, moved.events);
+  };
+
+  const phase = phases[state.phaseIndex] || null;
+  const elapsedMs = getPhaseElapsed(state, now);
+  const hasDuration = phase && phase.duration !== null && phase.duration !== undefined;
+
+  return {
+    phase,
+    phaseIndex: state.phaseIndex,
+    status: state.status,
+    isRunning: state.status === 'running',
+    timeLeft: hasDuration ? (state.status === 'done' ? 0 : Math.max(0, Math.ceil((phase.duration * 1000 - elapsedMs) / 1000))) : null,
+    elapsed: Math.floor(elapsedMs / 1000),
+    start,
+    pause,
+    toggle: () => (stateRef.current.status === 'running' ? pause() : start()),
+    reset,
+    restart,
+    skipPhase,
+    skipSet
+  };
+};
+
+/**
+ * Sets of one continuous work phase with rest in between (timed holds, hangs), logged per set.
+ * @param {Object} details - { sets, duration, rest }
+ * @param {Object} options - { storageKey, onComplete, initialLogs, onProgress } - onComplete receives [{ set, duration, completed }],
+ *   onProgress the logs so far after each set
+ * @returns {Object} The timer (see useTimerEngine), with reset also clearing the set logs
+ */
+const useSetTimer = ({ sets, duration, rest }, { storageKey, onComplete, initialLogs = [], onProgress }) => {
+  const setLogsRef = useRef(initialLogs);
+  const phases = useMemo(() => buildTimerPhases({ sets, duration, rest }), [sets, duration, rest]);
+
+  const timer = useTimerEngine(phases, {
+    storageKey,
+    onEvent: (event) => {
+      if (event.type === 'setDone') {
+        setLogsRef.current = [
+          ...setLogsRef.current.filter(log => log.set !== event.set),
+          { set: event.set, duration: event.elapsed, completed: event.elapsed >= duration }
+        ];
+        onProgress?.({ setLogs: setLogsRef.current });
+      } else if (event.type === 'complete') {
+        // Sets from before a reload come back through initialLogs, so only what was actually recorded is logged
+        onComplete([...setLogsRef.current].sort((a, b) => a.set - b.set));
       }
     }
-  ],
-  strength: [
-    {
-      id: 'strength-beginner',
-      name: 'Starting Strength',
-      sport: 'strength training',
-      description: 'Classic beginner strength program',
-      durationWeeks: 12,
-      baseWeek: {
-        days: [
-          {
-            day: 'Monday',
-            focus: 'Full Body A',
-            exercises: [
-              { name: 'Squat', type: 'repsSetsWeight', baselineDetails: { sets: 3, reps: '5', weight: '40kg', rest: 180 } },
-              { name: 'Bench Press', type: 'repsSetsWeight', baselineDetails: { sets: 3, reps: '5', weight: '30kg', rest: 180 } },
-              { name: 'Deadlift', type: 'repsSetsWeight', baselineDetails: { sets: 1, reps: '5', weight: '50kg', rest: 240 } }
-            ]
-          },
-          {
-            day: 'Tuesday',
-            focus: 'Rest',
-            exercises: []
-          },
-          {
-            day: 'Wednesday',
-            focus: 'Full Body B',
-            exercises: [
-              { name: 'Squat', type: 'repsSetsWeight', baselineDetails: { sets: 3, reps: '5', weight: '40kg', rest: 180 } },
-              { name: 'Overhead Press', type: 'repsSetsWeight', baselineDetails: { sets: 3, reps: '5', weight: '20kg', rest: 180 } },
-              { name: 'Barbell Row', type: 'repsSetsWeight', baselineDetails: { sets: 3, reps: '5', weight: '30kg', rest: 180 } }
-            ]
-          },
-          {
-            day: 'Thursday',
-            focus: 'Rest',
-            exercises: []
-          },
-          {
-            day: 'Friday',
-            focus: 'Full Body A',
-            exercises: [
-              { name: 'Squat', type: 'repsSetsWeight', baselineDetails: { sets: 3, reps: '5', weight: '40kg', rest: 180 } },
-              { name: 'Bench Press', type: 'repsSetsWeight', baselineDetails: { sets: 3, reps: '5', weight: '30kg', rest: 180 } },
-              { name: 'Deadlift', type: 'repsSetsWeight', baselineDetails: { sets: 1, reps: '5', weight: '50kg', rest: 240 } }
-            ]
-          },
-          {
-            day: 'Saturday',
-            focus: 'Rest',
-            exercises: []
-          },
-          {
-            day: 'Sunday',
-            focus: 'Active Recovery',
-            exercises: [
-              { name: 'Walking or Light Cardio', type: 'timer', baselineDetails: { sets: 1, duration: 1800, rest: 0, description: '30-min easy activity' } }
-            ]
-          }
-        ]
-      },
-      progressionSettings: {
-        strategy: 'linear',
-        increments: {
-          sets: 0,
-          reps: 0,
-          weight: 2.5,
-          duration: 0
-        },
-        userMultiplier: 1.0,
-        adaptiveEnabled: true
-      }
-    },
-    {
-      id: 'strength-ppl',
-      name: 'Push/Pull/Legs',
-      sport: 'strength training',
-      description: '6-day split for intermediate lifters',
-      durationWeeks: 12,
-      baseWeek: {
-        days: [
-          {
-            day: 'Monday',
-            focus: 'Push',
-            exercises: [
-              { name: 'Bench Press', type: 'repsSetsWeight', baselineDetails: { sets: 4, reps: '6', weight: '60kg', rest: 180 } },
-              { name: 'Overhead Press', type: 'repsSetsWeight', baselineDetails: { sets: 3, reps: '8', weight: '40kg', rest: 120 } },
-              { name: 'Incline Dumbbell Press', type: 'repsSetsWeight', baselineDetails: { sets: 3, reps: '10', weight: '20kg', rest: 90 } },
-              { name: 'Tricep Dips', type: 'repsSetsWeight', baselineDetails: { sets: 3, reps: '12', weight: 'Bodyweight', rest: 90 } },
-              { name: 'Lateral Raises', type: 'repsSetsWeight', baselineDetails: { sets: 3, reps: '15', weight: '8kg', rest: 60 } }
-            ]
-          },
-          {
-            day: 'Tuesday',
-            focus: 'Pull',
-            exercises: [
-              { name: 'Deadlift', type: 'repsSetsWeight', baselineDetails: { sets: 3, reps: '5', weight: '100kg', rest: 240 } },
-              { name: 'Pull-ups', type: 'repsSetsWeight', baselineDetails: { sets: 4, reps: '8', weight: 'Bodyweight', rest: 120 } },
-              { name: 'Barbell Rows', type: 'repsSetsWeight', baselineDetails: { sets: 4, reps: '8', weight: '60kg', rest: 120 } },
-              { name: 'Face Pulls', type: 'repsSetsWeight', baselineDetails: { sets: 3, reps: '15', weight: '20kg', rest: 60 } },
-              { name: 'Bicep Curls', type: 'repsSetsWeight', baselineDetails: { sets: 3, reps: '12', weight: '12kg', rest: 60 } }
-            ]
-          },
-          {
-            day: 'Wednesday',
-            focus: 'Legs',
-            exercises: [
-              { name: 'Squat', type: 'repsSetsWeight', baselineDetails: { sets: 4, reps: '6', weight: '80kg', rest: 180 } },
-              { name: 'Romanian Deadlift', type: 'repsSetsWeight', baselineDetails: { sets: 3, reps: '10', weight: '60kg', rest: 120 } },
-              { name: 'Leg Press', type: 'repsSetsWeight', baselineDetails: { sets: 3, reps: '12', weight: '120kg', rest: 90 } },
-              { name: 'Leg Curls', type: 'repsSetsWeight', baselineDetails: { sets: 3, reps: '12', weight: '40kg', rest: 60 } },
-              { name: 'Calf Raises', type: 'repsSetsWeight', baselineDetails: { sets: 4, reps: '15', weight: '40kg', rest: 60 } }
-            ]
-          },
-          {
-            day: 'Thursday',
-            focus: 'Push',
-            exercises: [
-              { name: 'Overhead Press', type: 'repsSetsWeight', baselineDetails: { sets: 4, reps: '6', weight: '40kg', rest: 180 } },
-              { name: 'Bench Press', type: 'repsSetsWeight', baselineDetails: { sets: 3, reps: '8', weight: '60kg', rest: 120 } },
-              { name: 'Dumbbell Flyes', type: 'repsSetsWeight', baselineDetails: { sets: 3, reps: '12', weight: '15kg', rest: 90 } },
-              { name: 'Tricep Extensions', type: 'repsSetsWeight', baselineDetails: { sets: 3, reps: '12', weight: '20kg', rest: 60 } },
-              { name: 'Front Raises', type: 'repsSetsWeight', baselineDetails: { sets: 3, reps: '12', weight: '8kg', rest: 60 } }
-            ]
-          },
-          {
-            day: 'Friday',
-            focus: 'Pull',
-            exercises: [
-              { name: 'Barbell Rows', type: 'repsSetsWeight', baselineDetails: { sets: 4, reps: '6', weight: '70kg', rest: 180 } },
-              { name: 'Lat Pulldowns', type: 'repsSetsWeight', baselineDetails: { sets: 4, reps: '10', weight: '60kg', rest: 90 } },
-              { name: 'Cable Rows', type: 'repsSetsWeight', baselineDetails: { sets: 3, reps: '12', weight: '50kg', rest: 90 } },
-              { name: 'Shrugs', type: 'repsSetsWeight', baselineDetails: { sets: 3, reps: '15', weight: '40kg', rest: 60 } },
-              { name: 'Hammer Curls', type: 'repsSetsWeight', baselineDetails: { sets: 3, reps: '12', weight: '12kg', rest: 60 } }
-            ]
-          },
-          {
-            day: 'Saturday',
-            focus: 'Legs',
-            exercises: [
-              { name: 'Front Squat', type: 'repsSetsWeight', baselineDetails: { sets: 4, reps: '8', weight: '60kg', rest: 180 } },
-              { name: 'Lunges', type: 'repsSetsWeight', baselineDetails: { sets: 3, reps: '10', weight: '20kg', rest: 90 } },
-              { name: 'Leg Extensions', type: 'repsSetsWeight', baselineDetails: { sets: 3, reps: '15', weight: '50kg', rest: 60 } },
-              { name: 'Leg Curls', type: 'repsSetsWeight', baselineDetails: { sets: 3, reps: '15', weight: '40kg', rest: 60 } },
-              { name: 'Seated Calf Raises', type: 'repsSetsWeight', baselineDetails: { sets: 4, reps: '20', weight: '30kg', rest: 60 } }
-            ]
-          },
-          {
-            day: 'Sunday',
-            focus: 'Rest',
-            exercises: []
-          }
-        ]
-      },
-      progressionSettings: {
-        strategy: 'linear',
-        increments: {
-          sets: 0,
-          reps: 0,
-          weight: 2.5,
-          duration: 0
-        },
-        userMultiplier: 1.0,
-        adaptiveEnabled: true
+  });
+
+  return {
+    ...timer,
+    reset: () => {
+      setLogsRef.current = [];
+      timer.reset();
+    }
+  };
+};
+
+// --- Workout Resume ---
+// The workout in progress is saved after every completed set so a locked phone, a WebView restart or a stray
+// back tap doesn't lose it. It lives in localStorage per profile and, when the profile opts in, is mirrored to
+// Firestore so it survives the app's storage being cleared. Timers resume on their own (see Timer Engine).
+
+const ACTIVE_WORKOUT_STORAGE_PREFIX = 'activeWorkout:';
+// Sessions older than this are treated as abandoned rather than offered for resume
+const ACTIVE_WORKOUT_MAX_AGE = 24 * 60 * 60 * 1000;
+
+const getActiveWorkoutDocRef = (db, appId, userId, profileId) => (
+  doc(db, 'artifacts', appId, 'users', userId, 'profiles', profileId, 'session', 'activeWorkout')
+);
+
+/**
+ * Saves the workout in progress
+ * @param {Object} session - { profileId, dayData, currentIndex, workoutExercises, exerciseLogs, calibratedBaseWeek, stepProgress }
+ * @param {Object} cloud - { db, appId, userId } to mirror it to Firestore, or null
+ */
+const saveActiveWorkout = (session, cloud = null) => {
+  // JSON round trip drops undefined fields, which Firestore rejects
+  const snapshot = JSON.parse(JSON.stringify({ ...session, savedAt: Date.now() }));
+  try {
+    localStorage.setItem(ACTIVE_WORKOUT_STORAGE_PREFIX + session.profileId, JSON.stringify(snapshot));
+  } catch (error) {
+    console.error('Error saving workout in progress:', error);
+  }
+  if (cloud?.db) {
+    setDoc(getActiveWorkoutDocRef(cloud.db, cloud.appId, cloud.userId, session.profileId), snapshot)
+      .catch(error => console.error('Error syncing workout in progress:', error));
+  }
+};
+
+/**
+ * Finds a profile's unfinished workout, locally first, then in Firestore
+ * @param {string} profileId - Profile ID
+ * @param {Object} cloud - { db, appId, userId } to also look in Firestore, or null
+ * @returns {Promise<Object|null>} The saved session
+ */
+const loadActiveWorkout = async (profileId, cloud = null) => {
+  let session = null;
+  try {
+    session = JSON.parse(localStorage.getItem(ACTIVE_WORKOUT_STORAGE_PREFIX + profileId) || 'null');
+  } catch (error) {
+    console.error('Error reading workout in progress:', error);
+  }
+  if (!session && cloud?.db) {
+    try {
+      const snap = await getDoc(getActiveWorkoutDocRef(cloud.db, cloud.appId, cloud.userId, profileId));
+      if (snap.exists()) session = snap.data();
+    } catch (error) {
+      console.error('Error reading synced workout in progress:', error);
+    }
+  }
+  if (!session?.dayData || Date.now() - session.savedAt > ACTIVE_WORKOUT_MAX_AGE) return null;
+  return session;
+};
+
+/**
+ * Forgets the workout in progress, once it's logged or discarded
+ * @param {string} profileId - Profile ID
+ * @param {Object} cloud - { db, appId, userId } to also remove the Firestore copy, or null
+ */
+const clearActiveWorkout = (profileId, cloud = null) => {
+  try {
+    localStorage.removeItem(ACTIVE_WORKOUT_STORAGE_PREFIX + profileId);
+    // Along with any timers the session left running
+    const timerPrefix = `${TIMER_STORAGE_PREFIX}workout:${profileId}:`;
+    Object.keys(localStorage)
+      .filter(key => key.startsWith(timerPrefix))
+      .forEach(key => localStorage.removeItem(key));
+  } catch (error) {
+    console.error('Error clearing workout in progress:', error);
+  }
+  if (cloud?.db) {
+    deleteDoc(getActiveWorkoutDocRef(cloud.db, cloud.appId, cloud.userId, profileId))
+      .catch(error => console.error('Error clearing synced workout in progress:', error));
+  }
+};
+
+// --- React Components ---
+
+const LoadingSpinner = () => (
+  <div className="flex justify-center items-center h-full">
+    <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-indigo-500"></div>
+  </div>
+);
+
+/**
+ * ChangeBadge
+ * Signed week-over-week change for a target number; hidden when there's no change.
+ */
+const ChangeBadge = ({ delta, unit = '' }) => {
+  if (!delta || !Number.isFinite(delta)) return null;
+  return (
+    <div className={`text-xs mt-1 ${delta > 0 ? 'text-green-400' : 'text-yellow-400'}`}>
+      {delta > 0 ? '+' : '-'}{Math.abs(delta)}{unit}
+    </div>
+  );
+};
+
+const ExerciseInfo = ({ exerciseName }) => {
+  const [showModal, setShowModal] = useState(false);
+  const [isLoading, setIsLoading] = useState(false);
+  const [info, setInfo] = useState('');
+  const [error, setError] = useState(null);
+
+  const handleGetInfo = async () => {
+    if (info) {
+      setShowModal(true);
+      return;
+    }
+
+    setIsLoading(true);
+    setShowModal(true);
+    setError(null);
+
+    const userQuery = `Explain how to perform the exercise "${exerciseName}" and its primary benefit. Keep it concise (2-3 sentences).`;
+    const systemPrompt = "You are a fitness coach. Explain exercises clearly and simply.";
+
+    try {
+      const response = await callGeminiApi(userQuery, systemPrompt);
+      setInfo(response);
+    } catch (err) {
+      setError("Failed to load exercise info. Please try again.");
+      console.error(err);
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  return (
+    <>
+      <button
+        onClick={handleGetInfo}
+        className="absolute top-2 right-2 text-gray-400 hover:text-indigo-400"
+        aria-label={`More info about ${exerciseName}`}
+      >
+        <Info size={20} />
+      </button>
+
+      {showModal && (
+        <div className="fixed inset-0 bg-black bg-opacity-75 flex items-center justify-center z-50 p-4">
+          <div className="bg-gray-800 rounded-lg p-6 max-w-sm w-full relative">
+            <button
+              onClick={() => setShowModal(false)}
+              className="absolute top-3 right-3 text-gray-500 hover:text-white"
+            >
+              <X size={24} />
+            </button>
+            <h3 className="text-xl font-semibold mb-4">{exerciseName}</h3>
+            {isLoading && <LoadingSpinner />}
+            {error && <p className="text-red-400">{error}</p>}
+            {info && <p className="text-gray-300">{info}</p>}
+          </div>
+        </div>
+      )}
+    </>
+  );
+};
+
+/**
+ * EffortPicker
+ * Lets the athlete report how hard an exercise felt (RPE 6-10).
+ */
+const EffortPicker = ({ value, onChange }) => (
+  <div>
+    <div className="text-xs uppercase text-gray-400 mb-2 text-center">How hard was it? (RPE)</div>
+    <div className="flex gap-2 justify-center">
+      {[6, 7, 8, 9, 10].map(rpe => (
+        <button
+          key={rpe}
+          onClick={() => onChange(rpe)}
+          className={`w-10 h-10 rounded-full font-bold ${
+            value === rpe ? 'bg-indigo-600 text-white' : 'bg-gray-700 text-gray-300'
+          }`}
+        >
+          {rpe}
+        </button>
+      ))}
+    </div>
+  </div>
+);
+
+const TimerComponent = ({ exercise, onComplete, plan, unitSystem = 'metric', timerKey = null, initialProgress = null, onProgress }) => {
+  const { sets, duration, rest, description, pace } = exercise.details;
+
+  const timer = useSetTimer({ sets, duration, rest }, { storageKey: timerKey, onComplete, initialLogs: initialProgress?.setLogs, onProgress });
+
+  const currentSet = timer.phase?.set || 1;
+  const isResting = timer.phase?.type === 'rest';
+  const timeLeft = timer.timeLeft ?? duration;
+
+  const ExerciseIcon = getExerciseIcon(exercise.name, exercise.type);
+
+  return (
+    <div className="flex flex-col items-center justify-center p-6 bg-gray-800 rounded-lg text-white text-center relative">
+      <ExerciseInfo exerciseName={exercise.name} />
+      <div className="mb-2 flex items-center justify-center gap-2">
+        <div className="p-2 bg-gray-700 rounded-lg">
+          <ExerciseIcon size={20} className={getExerciseIconColor(plan?.sport)} />
+        </div>
+        <div className="text-lg font-semibold">{exercise.name}</div>
+      </div>
+      {description && <div className="mb-4 text-sm text-gray-400">{description}</div>}
+      {pace > 0 && <div className="mb-4 text-sm text-green-400">Target pace {formatPace(pace, unitSystem)}</div>}
+
+      <div className="text-xl font-medium mb-4">
+        Set {currentSet} / {sets}
+      </div>
+
+      <div
+        className={`my-4 rounded-full w-48 h-48 flex flex-col items-center justify-center border-8 ${
+          isResting ? 'border-blue-500 bg-blue-500 bg-opacity-10' : 'border-green-500 bg-green-500 bg-opacity-10'
+        }`}
+      >
+        <div className={`text-sm uppercase tracking-widest ${isResting ? 'text-blue-400' : 'text-green-400'}`}>
+          {isResting ? 'REST' : 'WORK'}
+        </div>
+        <div className={`text-6xl font-bold ${isResting ? 'text-blue-400' : 'text-green-400'}`}>
+          {formatTimer(timeLeft)}
+        </div>
+      </div>
+
+      <div className="flex gap-4">
+        <button
+          onClick={timer.toggle}
+          className={`px-6 py-3 rounded-full text-white font-semibold text-lg ${timer.isRunning ? 'bg-yellow-500' : 'bg-green-500'}`}
+        >
+          {timer.isRunning ? <Pause size={24} /> : <Play size={24} />}
+        </button>
+        <button
+          onClick={timer.reset}
+          className="px-6 py-3 rounded-full bg-gray-600 text-white font-semibold"
+        >
+          <RotateCw size={24} />
+        </button>
+      </div>
+
+      {timer.isRunning && !isResting && (
+        <button
+          onClick={timer.skipPhase}
+          className="mt-4 text-sm text-gray-400 underline"
+        >
+          End set early
+        </button>
+      )}
+    </div>
+  );
+};
+
+const RepsSetsWeightComponent = ({ exercise, showSuggested = false, weekNumber = 1, plan, unitSystem = 'metric' }) => {
+  // Safety check: ensure details exists
+  if (!exercise.details) {
+    return (
+      <div className="p-6 bg-gray-800 rounded-lg text-white w-full relative">
+        <div className="mb-4 text-2xl font-bold text-center">{exercise.name}</div>
+        <div className="text-center text-gray-400">Exercise details not available</div>
+      </div>
+    );
+  }
+
+  const { sets, reps, weight, rest, description, repRange, percentOfMax, weightSpec } = exercise.details;
+
+  // Show baseline vs suggested comparison
+  const baseline = exercise.baselineDetails || exercise.details;
+  const repChange = parseFloat(reps) - (parseRepRange(repRange)?.min ?? parseFloat(baseline.reps));
+
+  const ExerciseIcon = getExerciseIcon(exercise.name, exercise.type);
+
+  return (
+    <div className="p-6 bg-gray-800 rounded-lg text-white w-full relative">
+      <ExerciseInfo exerciseName={exercise.name} />
+      <div className="mb-4 flex items-center justify-center gap-3">
+        <div className="p-2 bg-gray-700 rounded-lg">
+          <ExerciseIcon size={24} className={getExerciseIconColor(plan?.sport)} />
+        </div>
+        <div className="text-2xl font-bold">{exercise.name}</div>
+      </div>
+      {description && <div className="mb-4 text-sm text-gray-300 text-center">{description}</div>}
+
+      {showSuggested && weekNumber > 1 && (
+        <div className="mb-4 text-center">
+          <div className="inline-flex items-center gap-2 bg-green-900 bg-opacity-30 px-3 py-1 rounded-full">
+            <TrendingUp size={16} className="text-green-400" />
+            <span className="text-sm text-green-400">Week {weekNumber} Progression</span>
+          </div>
+        </div>
+      )}
+
+      <div className="grid grid-cols-3 gap-4 text-center">
+        <div>
+          <div className="text-sm uppercase text-gray-400">Sets</div>
+          <div className="text-3xl font-bold">{sets}</div>
+          {showSuggested && weekNumber > 1 && <ChangeBadge delta={sets - baseline.sets} />}
+        </div>
+        <div>
+          <div className="text-sm uppercase text-gray-400">Reps</div>
+          <div className="text-3xl font-bold">{reps}</div>
+          {repRange && <div className="text-xs text-gray-400">range {repRange}</div>}
+          {showSuggested && weekNumber > 1 && <ChangeBadge delta={repChange} />}
+        </div>
+        <div>
+          <div className="text-sm uppercase text-gray-400">Weight</div>
+          <div className="text-3xl font-bold">{formatLoad(weight, unitSystem)}</div>
+          {percentOfMax !== undefined && weight !== weightSpec && (
+            <div className="text-xs text-gray-400">{weightSpec}</div>
+          )}
+          {showSuggested && weekNumber > 1 && <ChangeBadge delta={getLoadChange(weight, baseline.weight, unitSystem)} unit={getUnitLabels(unitSystem).weight} />}
+        </div>
+      </div>
+
+      {rest > 0 && (
+        <div className="mt-6 text-center">
+          <div className="text-sm uppercase text-gray-400">Rest Between Sets</div>
+          <div className="text-2xl font-bold">{formatTimer(rest)}</div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+/**
+ * PlateCalculator
+ * Shows which plates go on each side of the bar for a load.
+ */
+const PlateCalculator = ({ load, unitSystem = 'metric', equipment }) => {
+  const value = parseFloat(String(load ?? '').match(/(\d+(?:\.\d+)?)/)?.[1]);
+  if (isNaN(value)) return null;
+
+  const weightUnit = getUnitLabels(unitSystem).weight;
+  if (value <= equipment.barWeight) {
+    return (
+      <div className="text-center text-sm text-gray-400">Empty bar ({formatUnitNumber(equipment.barWeight)}{weightUnit})</div>
+    );
+  }
+
+  const { perSide, remainder } = calculatePlates(value, equipment);
+
+  return (
+    <div className="text-center">
+      <div className="text-xs uppercase text-gray-400 mb-2">Per side · {formatUnitNumber(equipment.barWeight)}{weightUnit} bar</div>
+      <div className="flex gap-1 justify-center flex-wrap">
+        {perSide.map((plate, idx) => (
+          <span key={idx} className="px-2 py-1 rounded bg-gray-700 text-sm font-semibold">
+            {formatUnitNumber(plate)}
+          </span>
+        ))}
+      </div>
+      {remainder > 0 && (
+        <div className="text-xs text-yellow-400 mt-2">
+          {formatUnitNumber(remainder)}{weightUnit} can't be loaded with your plates
+        </div>
+      )}
+    </div>
+  );
+};
+
+// Component for active set tracking during workout
+const SetTrackingComponent = ({ exercise, superset = null, onComplete, weekNumber = 1, plan, unitSystem = 'metric', equipment = DEFAULT_EQUIPMENT.metric, timerKey = null, initialProgress = null, onProgress }) => {
+  // A superset alternates between its exercises (A1, B1, A2, B2...) and only rests after each round
+  const members = superset || [exercise];
+  const isSuperset = members.length > 1;
+
+  if (members.some(member => !member.details)) {
+    return (
+      <div className="p-6 bg-gray-800 rounded-lg text-white w-full">
+        <div className="mb-4 text-2xl font-bold text-center">{members.map(member => member.name).join(' + ')}</div>
+        <div className="text-center text-gray-400">Exercise details not available</div>
+      </div>
+    );
+  }
+
+  // One list of logged sets per exercise: { set, reps, weight, completed }
+  const [setLogs, setSetLogs] = useState(members.map((_, idx) => initialProgress?.members?.[idx]?.setLogs || []));
+  // Weights are edited in the user's unit and converted back to kg when the exercise is saved
+  const [drafts, setDrafts] = useState(members.map(member => ({
+    reps: isNaN(parseFloat(member.details.reps)) ? '' : String(parseFloat(member.details.reps)),
+    weight: formatLoad(member.details.weight, unitSystem) || ''
+  })));
+  const [efforts, setEfforts] = useState(members.map((_, idx) => initialProgress?.members?.[idx]?.effort || null));
+  const [activeMember, setActiveMember] = useState(initialProgress?.activeMember || 0);
+
+  const activeExercise = members[activeMember];
+  const { sets, reps, weight, description, repRange, percentOfMax, weightSpec } = activeExercise.details;
+  const baseline = activeExercise.baselineDetails || activeExercise.details;
+  // With a rep range (double progression) the change is measured from the bottom of the range
+  const repChange = parseFloat(reps) - (parseRepRange(repRange)?.min ?? parseFloat(baseline.reps));
+  // A superset rests as long as the longest rest among its exercises
+  const rest = Math.max(...members.map(member => member.details.rest || 0));
+  const restPhases = useMemo(() => [{ type: 'rest', duration: rest, set: 1 }], [rest]);
+  const restTimer = useTimerEngine(restPhases, { storageKey: timerKey && `${timerKey}:rest` });
+  const isResting = rest > 0 && (restTimer.status === 'running' || restTimer.status === 'paused');
+  const draft = drafts[activeMember];
+
+  const completedSets = setLogs[activeMember].length;
+  const allSetsLogged = members.every((member, idx) => setLogs[idx].length >= member.details.sets);
+  const setLabel = (memberIdx, setNumber) => (isSuperset ? getSupersetLabel(memberIdx, setNumber) : `Set ${setNumber}`);
+
+  const updateDraft = (field, value) => {
+    setDrafts(drafts.map((memberDraft, idx) => (idx === activeMember ? { ...memberDraft, [field]: value } : memberDraft)));
+  };
+
+  // Saved with the workout in progress whenever a set is logged or corrected
+  const reportProgress = (logsList, effortList = efforts, member = activeMember) => {
+    onProgress?.({
+      activeMember: member,
+      members: logsList.map((logs, idx) => ({ setLogs: logs, effort: effortList[idx] }))
+    });
+  };
+
+  const logSet = (completed) => {
+    const setLog = { set: completedSets + 1, reps: parseFloat(draft.reps) || 0, completed };
+    if (draft.weight) setLog.weight = draft.weight;
+    const updatedLogs = setLogs.map((logs, idx) => (idx === activeMember ? [...logs, setLog] : logs));
+    setSetLogs(updatedLogs);
+
+    // Move on to the next exercise of this round; the round ends after the last one with sets left
+    const hasSetsLeft = (member, idx) => updatedLogs[idx].length < member.details.sets;
+    const nextInRound = members.findIndex((member, idx) => idx > activeMember && hasSetsLeft(member, idx));
+    const nextRoundStart = members.findIndex(hasSetsLeft);
+    const nextMember = nextInRound !== -1 ? nextInRound : nextRoundStart;
+    reportProgress(updatedLogs, efforts, nextMember === -1 ? activeMember : nextMember);
+
+    if (nextInRound !== -1) {
+      setActiveMember(nextInRound);
+      return;
+    }
+    if (nextRoundStart === -1) return;
+    setActiveMember(nextRoundStart);
+
+    if (rest > 0) {
+      // Start rest timer
+      restTimer.restart();
+    }
+  };
+
+  const updateSetLog = (memberIdx, idx, field, value) => {
+    const updatedLogs = setLogs.map((logs, i) => (
+      i === memberIdx ? logs.map((log, j) => (j === idx ? { ...log, [field]: value } : log)) : logs
+    ));
+    setSetLogs(updatedLogs);
+    reportProgress(updatedLogs);
+  };
+
+  const updateEffort = (memberIdx, rpe) => {
+    const updatedEfforts = efforts.map((effort, i) => (i === memberIdx ? rpe : effort));
+    setEfforts(updatedEfforts);
+    reportProgress(setLogs, updatedEfforts);
+  };
+
+  const handleFinishExercise = () => {
+    restTimer.reset();
+    const canonicalLogs = setLogs.map(logs => logs.map(log => (log.weight ? { ...log, weight: toCanonicalLoad(log.weight, unitSystem) } : log)));
+    if (isSuperset) {
+      // Supersets report every exercise at once: [{ setLogs, effort }], in superset order
+      onComplete(canonicalLogs.map((logs, idx) => ({ setLogs: logs, effort: efforts[idx] })));
+    } else {
+      onComplete(canonicalLogs[0], { effort: efforts[0] });
+    }
+  };
+
+  const skipRest = () => restTimer.reset();
+
+  const ExerciseIcon = getExerciseIcon(activeExercise.name, activeExercise.type);
+
+  return (
+    <div className="p-6 bg-gray-800 rounded-lg text-white w-full">
+      <ExerciseInfo exerciseName={activeExercise.name} />
+      {isSuperset && (
+        <div className="mb-4 flex justify-center gap-2 flex-wrap">
+          {members.map((member, idx) => (
+            <span
+              key={idx}
+              className={`px-3 py-1 rounded-full text-sm ${idx === activeMember ? 'bg-indigo-600 text-white' : 'bg-gray-700 text-gray-300'}`}
+            >
+              {getSupersetLabel(idx)} · {member.name}
+            </span>
+          ))}
+        </div>
+      )}
+      <div className="mb-4 flex items-center justify-center gap-3">
+        <div className="p-3 bg-gray-700 rounded-lg">
+          <ExerciseIcon size={28} className={getExerciseIconColor(plan?.sport)} />
+        </div>
+        <div className="text-2xl font-bold">{activeExercise.name}</div>
+      </div>
+      {description && <div className="mb-4 text-sm text-gray-300 text-center">{description}</div>}
+
+      {weekNumber > 1 && (
+        <div className="mb-4 text-center">
+          <div className="inline-flex items-center gap-2 bg-green-900 bg-opacity-30 px-3 py-1 rounded-full">
+            <TrendingUp size={16} className="text-green-400" />
+            <span className="text-sm text-green-400">Week {weekNumber} Progression</span>
+          </div>
+        </div>
+      )}
+
+      {/* Target numbers */}
+      <div className="grid grid-cols-3 gap-4 text-center mb-6">
+        <div>
+          <div className="text-sm uppercase text-gray-400">Sets</div>
+          <div className="text-3xl font-bold">{sets}</div>
+          {weekNumber > 1 && <ChangeBadge delta={sets - baseline.sets} />}
+        </div>
+        <div>
+          <div className="text-sm uppercase text-gray-400">Reps</div>
+          <div className="text-3xl font-bold">{reps}</div>
+          {repRange && <div className="text-xs text-gray-400">range {repRange}</div>}
+          {weekNumber > 1 && <ChangeBadge delta={repChange} />}
+        </div>
+        <div>
+          <div className="text-sm uppercase text-gray-400">Weight</div>
+          <div className="text-3xl font-bold">{formatLoad(weight, unitSystem)}</div>
+          {percentOfMax !== undefined && weight !== weightSpec && (
+            <div className="text-xs text-gray-400">{weightSpec}</div>
+          )}
+          {weekNumber > 1 && <ChangeBadge delta={getLoadChange(weight, baseline.weight, unitSystem)} unit={getUnitLabels(unitSystem).weight} />}
+        </div>
+      </div>
+
+      {percentOfMax !== undefined && weight === weightSpec && (
+        <div className="mb-6 p-3 bg-yellow-900 bg-opacity-30 rounded-lg text-sm text-yellow-200 text-center">
+          No training max for this lift yet. Log your sets or add one under Profiles → Training Maxes.
+        </div>
+      )}
+
+      {/* Set Progress */}
+      <div className="mb-6">
+        <div className="text-center mb-3">
+          <span className="text-4xl font-bold text-indigo-400">{completedSets}</span>
+          <span className="text-2xl text-gray-400"> / {sets}</span>
+          <div className="text-sm text-gray-400 mt-1">Sets Logged</div>
+        </div>
+
+        {members.map((member, memberIdx) => (
+          <div key={memberIdx} className="flex gap-2 justify-center flex-wrap mb-2">
+            {Array.from({ length: member.details.sets }).map((_, idx) => (
+              <div
+                key={idx}
+                className={`w-12 h-12 rounded-full flex items-center justify-center font-bold ${
+                  idx < setLogs[memberIdx].length
+                    ? (setLogs[memberIdx][idx].completed ? 'bg-green-500 text-white' : 'bg-red-500 text-white')
+                    : 'bg-gray-700 text-gray-400'
+                }`}
+              >
+                {isSuperset ? getSupersetLabel(memberIdx, idx + 1) : idx + 1}
+              </div>
+            ))}
+          </div>
+        ))}
+      </div>
+
+      {/* Rest Timer */}
+      {isResting ? (
+        <div className="text-center mb-6">
+          <div className="text-sm uppercase text-gray-400 mb-4">{isSuperset ? 'Rest Between Rounds' : 'Rest Between Sets'}</div>
+
+          {/* Circular rest timer - visually distinct from exercise timers */}
+          <div className="flex justify-center mb-6">
+            <div className="rounded-full w-48 h-48 flex flex-col items-center justify-center border-8 border-blue-500 bg-blue-500 bg-opacity-10">
+              <div className="text-xs uppercase tracking-widest text-blue-400 mb-1">REST</div>
+              <div className="text-6xl font-bold text-blue-400">{restTimer.timeLeft}</div>
+              <div className="text-sm text-gray-400 mt-1">seconds</div>
+            </div>
+          </div>
+
+          <div className="text-sm text-gray-400 mb-4">
+            {isSuperset
+              ? `Next: ${getSupersetLabel(activeMember, completedSets + 1)} ${activeExercise.name}`
+              : `Next: Set ${completedSets + 1} of ${sets}`}
+          </div>
+
+          <button
+            onClick={skipRest}
+            className="px-6 py-3 bg-indigo-600 text-white rounded-lg font-semibold hover:bg-indigo-700"
+          >
+            Skip Rest
+          </button>
+        </div>
+      ) : !allSetsLogged ? (
+        <div className="space-y-3">
+          {getLoadEquipment(activeExercise) === 'barbell' && (
+            <div className="mb-3 p-3 bg-gray-900 rounded-lg">
+              <PlateCalculator load={draft.weight} unitSystem={unitSystem} equipment={equipment} />
+            </div>
+          )}
+          {/* Actual values for the upcoming set, prefilled with the target */}
+          <div className="grid grid-cols-2 gap-3">
+            <div>
+              <label className="text-xs text-gray-400 mb-1 block">Reps Done</label>
+              <input
+                type="number"
+                inputMode="decimal"
+                value={draft.reps}
+                onChange={(e) => updateDraft('reps', e.target.value)}
+                className="w-full bg-gray-700 text-white text-center text-xl px-3 py-2 rounded border border-gray-600 focus:border-indigo-500 focus:outline-none"
+              />
+            </div>
+            <div>
+              <label className="text-xs text-gray-400 mb-1 block">Weight Used</label>
+              <input
+                type="text"
+                value={draft.weight}
+                onChange={(e) => updateDraft('weight', e.target.value)}
+                className="w-full bg-gray-700 text-white text-center text-xl px-3 py-2 rounded border border-gray-600 focus:border-indigo-500 focus:outline-none"
+              />
+            </div>
+          </div>
+          <div className="flex gap-3">
+            <button
+              onClick={() => logSet(true)}
+              className="flex-1 py-4 bg-indigo-600 text-white rounded-lg text-lg font-semibold flex items-center justify-center gap-2"
+            >
+              <CheckCircle size={24} />
+              {setLabel(activeMember, completedSets + 1)} Done
+            </button>
+            <button
+              onClick={() => logSet(false)}
+              className="px-4 py-4 bg-gray-600 text-white rounded-lg font-semibold"
+            >
+              Missed
+            </button>
+          </div>
+        </div>
+      ) : (
+        <div className="space-y-4">
+          {members.map((member, idx) => (
+            <div key={idx}>
+              {isSuperset && <div className="text-sm text-gray-400 text-center mb-1">{member.name}</div>}
+              <EffortPicker
+                value={efforts[idx]}
+                onChange={(rpe) => updateEffort(idx, rpe)}
+              />
+            </div>
+          ))}
+          <button
+            onClick={handleFinishExercise}
+            className="w-full py-4 bg-green-600 text-white rounded-lg text-lg font-semibold flex items-center justify-center gap-2"
+          >
+            <CheckCircle size={24} />
+            Save & Continue
+          </button>
+        </div>
+      )}
+
+      {/* Logged sets - editable until the exercise is saved */}
+      {setLogs.some(logs => logs.length > 0) && (
+        <div className="mt-6 border-t border-gray-700 pt-4">
+          <div className="text-sm uppercase text-gray-400 mb-2">Logged Sets</div>
+          <div className="space-y-2">
+            {setLogs.map((logs, memberIdx) => logs.map((log, idx) => (
+              <div key={`${memberIdx}-${idx}`} className="flex items-center gap-2">
+                <span className="w-12 text-sm text-gray-400">{setLabel(memberIdx, log.set)}</span>
+                <input
+                  type="number"
+                  inputMode="decimal"
+                  value={log.reps}
+                  onChange={(e) => updateSetLog(memberIdx, idx, 'reps', parseFloat(e.target.value) || 0)}
+                  className="w-16 bg-gray-700 text-white text-center px-2 py-1 rounded border border-gray-600 focus:border-indigo-500 focus:outline-none"
+                />
+                <span className="text-gray-500">×</span>
+                <input
+                  type="text"
+                  value={log.weight || ''}
+                  onChange={(e) => updateSetLog(memberIdx, idx, 'weight', e.target.value)}
+                  className="flex-1 bg-gray-700 text-white text-center px-2 py-1 rounded border border-gray-600 focus:border-indigo-500 focus:outline-none"
+                />
+                <button
+                  onClick={() => updateSetLog(memberIdx, idx, 'completed', !log.completed)}
+                  className={`px-2 py-1 rounded text-xs font-semibold ${log.completed ? 'bg-green-700 text-green-100' : 'bg-red-700 text-red-100'}`}
+                >
+                  {log.completed ? 'Done' : 'Missed'}
+                </button>
+              </div>
+            )))}
+          </div>
+        </div>
+      )}
+
+      {rest > 0 && !isResting && !allSetsLogged && (
+        <div className="mt-4 text-center text-sm text-gray-400">
+          Rest {formatTimer(rest)} {isSuperset ? 'after each round' : 'between sets'}
+        </div>
+      )}
+    </div>
+  );
+};
+
+/**
+ * IntervalTimerComponent
+ * Work/off bouts inside each set (e.g. hangboard repeaters 7s on / 3s off × 6), with rest between sets.
+ */
+const IntervalTimerComponent = ({ exercise, onComplete, plan, unitSystem = 'metric', timerKey = null, initialProgress = null, onProgress }) => {
+  const { sets, duration, off = 0, rest = 0, weight, description } = exercise.details;
+  const reps = Math.max(1, parseInt(exercise.details.reps) || 1);
+
+  // One entry per finished set: { set, reps, work, completed }
+  const setLogsRef = useRef(initialProgress?.setLogs || []);
+  const phases = useMemo(() => buildTimerPhases({ sets, duration, rest, reps, off }), [sets, duration, rest, reps, off]);
+
+  const timer = useTimerEngine(phases, {
+    storageKey: timerKey,
+    onEvent: (event) => {
+      if (event.type === 'setDone') {
+        // Bouts already finished count; one stopped part-way doesn't
+        const repsDone = !event.skipped ? reps : (event.phaseType === 'off' ? event.rep : event.rep - 1);
+        setLogsRef.current = [
+          ...setLogsRef.current.filter(log => log.set !== event.set),
+          { set: event.set, reps: repsDone, work: duration, completed: repsDone >= reps }
+        ];
+        onProgress?.({ setLogs: setLogsRef.current });
+      } else if (event.type === 'complete') {
+        onComplete([...setLogsRef.current].sort((a, b) => a.set - b.set));
       }
     }
-  ]
-};
+  });
 
-// --- System Prompt for AI Plan Generation (Updated for baseWeek) ---
-const AI_PLAN_SYSTEM_PROMPT = `You are an expert fitness planner. The user will provide their background, sport/activity, and goals. Create a structured JSON training plan with a SINGLE REPEATING WEEK that will progress over time.
+  const resetTimer = () => {
+    timer.reset();
+    setLogsRef.current = [];
+  };
 
-CRITICAL: The output *must* be ONLY a single JSON object. No markdown code blocks, no comments, no explanations.
-- Do NOT include \`\`\`json or \`\`\`
-- Do NOT include // comments in the JSON
-- Generate a SINGLE base week that repeats (NOT all 12 weeks)
-- Return ONLY pure JSON
+  const currentSet = timer.phase?.set || 1;
+  const currentRep = timer.phase?.rep || 1;
+  const phase = timer.phase?.type || 'work';
+  const timeLeft = timer.timeLeft ?? duration;
 
-The user will provide their context and goals in their message. Use that information to create a science-based, week-based plan that progresses automatically through progressive overload.
+  const phaseStyles = {
+    work: { label: 'ON', ring: 'border-red-500 bg-red-500', text: 'text-red-400' },
+    off: { label: 'OFF', ring: 'border-yellow-500 bg-yellow-500', text: 'text-yellow-400' },
+    rest: { label: 'REST', ring: 'border-blue-500 bg-blue-500', text: 'text-blue-400' }
+  }[phase];
 
-The JSON structure must be:
-{
-  "planName": "A catchy name for the plan based on the user's goal",
-  "planType": "repeating-week",
-  "sport": "the primary sport/activity",
-  "durationWeeks": 12,
-  "baseWeek": {
-    "days": [
-      {
-        "day": "Monday",
-        "focus": "Strength Training",
-        "exercises": [
-          {
-            "name": "Squat",
-            "type": "repsSetsWeight",
-            "baselineDetails": {
-              "sets": 3,
-              "reps": "5",
-              "weight": "80kg",
-              "rest": 180
-            }
-          },
-          {
-            "name": "Warm-up",
-            "type": "timer",
-            "baselineDetails": {
-              "sets": 1,
-              "duration": 600,
-              "rest": 0,
-              "description": "10-min warm-up"
-            }
-          }
-        ]
-      },
-      {
-        "day": "Tuesday",
-        "focus": "Rest",
-        "exercises": []
-      },
-      {
-        "day": "Wednesday",
-        "focus": "Cardio",
-        "exercises": [...]
-      },
-      {
-        "day": "Thursday",
-        "focus": "Strength",
-        "exercises": [...]
-      },
-      {
-        "day": "Friday",
-        "focus": "Rest",
-        "exercises": []
-      },
-      {
-        "day": "Saturday",
-        "focus": "Sport Practice",
-        "exercises": [...]
-      },
-      {
-        "day": "Sunday",
-        "focus": "Active Recovery",
-        "exercises": [...]
-      }
-    ]
-  },
-  "progressionSettings": {
-    "strategy": "linear",
-    "increments": {
-      "sets": 0,
-      "reps": 1,
-      "weight": 2.5,
-      "duration": 30
-    },
-    "userMultiplier": 1.0,
-    "adaptiveEnabled": true
-  }
-}
+  const ExerciseIcon = getExerciseIcon(exercise.name, exercise.type);
 
-IMPORTANT NOTES:
-1. Use "baselineDetails" instead of "details" for exercises - these are the Week 1 starting values
-2. The app will automatically calculate progressive overload each week based on progressionSettings
-3. For weight increments, use appropriate values: 2.5-5kg for upper body, 5-10kg for lower body
-4. For duration increments, 20-60 seconds per week is typical
-5. For reps, 0.5-1 rep per week for strength, 1-2 for endurance
-6. Include all 7 days (Monday-Sunday) with appropriate rest days
-7. Adapt the exercises, focus areas, and progression to match the user's specific sport and goals`;
+  return (
+    <div className="flex flex-col items-center justify-center p-6 bg-gray-800 rounded-lg text-white text-center">
+      <ExerciseInfo exerciseName={exercise.name} />
+      <div className="mb-2 flex items-center justify-center gap-2">
+        <div className="p-2 bg-gray-700 rounded-lg">
+          <ExerciseIcon size={20} className={getExerciseIconColor(plan?.sport)} />
+        </div>
+        <div className="text-lg font-semibold">{exercise.name}</div>
+      </div>
+      {description && <div className="mb-4 text-sm text-gray-400">{description}</div>}
 
-// --- Global API Helper ---
-const callGeminiApi = async (userQuery, systemPrompt) => {
-  const apiKey = import.meta.env.VITE_GEMINI_API_KEY || "";
-  const apiUrl = `https://generativelanguage.googleapis.com/v1beta/models/gemini-2.5-flash-preview-09-2025:generateContent?key=${apiKey}`;
+      <div className="mb-4 flex gap-6 text-center">
+        <div>
+          <div className="text-sm uppercase text-gray-400">On / Off</div>
+          <div className="text-2xl font-bold">{duration}s / {off}s</div>
+        </div>
+        <div>
+          <div className="text-sm uppercase text-gray-400">Reps</div>
+          <div className="text-2xl font-bold">{reps}</div>
+        </div>
+        <div>
+          <div className="text-sm uppercase text-gray-400">Set Rest</div>
+          <div className="text-2xl font-bold">{rest}s</div>
+        </div>
+      </div>
+      {weight && /\d/.test(weight) && (
+        <div className="mb-4 text-sm text-gray-300">Load: {formatLoad(weight, unitSystem)}</div>
+      )}
 
-  const payload = {
-    contents: [{ parts: [{ text: userQuery }] }],
-    systemInstruction: {
-      parts: [{ text: systemPrompt }]
-    },
-  };
+      <div className="text-xl font-medium mb-4">
+        Set {currentSet} / {sets} · Rep {phase === 'rest' ? '-' : currentRep} / {reps}
+      </div>
 
-  let response;
-  let delay = 1000;
-  for (let i = 0; i < 5; i++) {
-    try {
-      response = await fetch(apiUrl, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify(payload)
-      });
+      <div className={`my-4 rounded-full w-48 h-48 flex flex-col items-center justify-center border-8 bg-opacity-10 ${phaseStyles.ring}`}>
+        <div className={`text-sm uppercase tracking-widest ${phaseStyles.text}`}>{phaseStyles.label}</div>
+        <div className={`text-6xl font-bold ${phaseStyles.text}`}>{formatTimer(timeLeft)}</div>
+      </div>
 
-      if (response.ok) {
-        const result = await response.json();
-        const text = result.candidates?.[0]?.content?.parts?.[0]?.text;
-        if (text) {
-          return text;
-        } else {
-          throw new Error("Invalid response structure from API.");
-        }
-      } else if (response.status === 429 || response.status >= 500) {
-        await new Promise(resolve => setTimeout(resolve, delay));
-        delay *= 2;
-      } else {
-        const errText = await response.text();
-        throw new Error(`API Error: ${response.status} ${errText}`);
-      }
-    } catch (e) {
-      if (i === 4) throw e;
-      await new Promise(resolve => setTimeout(resolve, delay));
-      delay *= 2;
-    }
-  }
-  throw new Error("Failed to get response from API after retries.");
-};
+      <div className="flex gap-4">
+        <button
+          onClick={timer.toggle}
+          className={`px-6 py-3 rounded-full text-white font-semibold text-lg ${timer.isRunning ? 'bg-yellow-500' : 'bg-green-500'}`}
+        >
+          {timer.isRunning ? <Pause size={24} /> : <Play size={24} />}
+        </button>
+        <button
+          onClick={resetTimer}
+          className="px-6 py-3 rounded-full bg-gray-600 text-white font-semibold"
+        >
+          <RotateCw size={24} />
+        </button>
+      </div>
 
-// --- React Components ---
+      {timer.isRunning && phase !== 'rest' && (
+        <button
+          onClick={timer.skipSet}
+          className="mt-4 text-sm text-gray-400 underline"
+        >
+          Stop set here
+        </button>
+      )}
+    </div>
+  );
+};
 
-const LoadingSpinner = () => (
-  <div className="flex justify-center items-center h-full">
-    <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-indigo-500"></div>
-  </div>
-);
+/**
+ * DistanceComponent
+ * Distance/pace sessions (runs, rides, swims): a stopwatch plus entry of the actual distance and time.
+ */
+const DistanceComponent = ({ exercise, onComplete, plan, unitSystem = 'metric', timerKey = null, initialProgress = null, onProgress }) => {
+  const { distance = 0, pace, zone, description } = exercise.details || {};
+  const distanceUnit = getUnitLabels(unitSystem).distance;
+
+  const stopwatch = useTimerEngine(STOPWATCH_PHASES, { storageKey: timerKey });
+  const { elapsed, isRunning: isActive } = stopwatch;
+  // Actual values, prefilled with the target and edited in the user's unit
+  const [distanceDone, setDistanceDone] = useState(
+    initialProgress?.distanceDone ?? formatUnitNumber(kmToDisplayDistance(distance, unitSystem))
+  );
+  const [timeDone, setTimeDone] = useState(initialProgress?.timeDone ?? (pace ? formatTimer(Math.round(distance * pace)) : ''));
+  const [effort, setEffort] = useState(initialProgress?.effort || null);
 
-const ExerciseInfo = ({ exerciseName }) => {
-  const [showModal, setShowModal] = useState(false);
-  const [isLoading, setIsLoading] = useState(false);
-  const [info, setInfo] = useState('');
-  const [error, setError] = useState(null);
+  // Reported when an entry is left rather than on every keystroke
+  const reportProgress = (changes = {}) => {
+    onProgress?.({ distanceDone, timeDone, effort, ...changes });
+  };
 
-  const handleGetInfo = async () => {
-    if (info) {
-      setShowModal(true);
-      return;
+  const toggleStopwatch = () => {
+    // Stopping fills in the time so it only needs correcting if the watch says otherwise
+    if (isActive) {
+      setTimeDone(formatTimer(elapsed));
+      reportProgress({ timeDone: formatTimer(elapsed) });
     }
+    stopwatch.toggle();
+  };
 
-    setIsLoading(true);
-    setShowModal(true);
-    setError(null);
+  const changeEffort = (value) => {
+    setEffort(value);
+    reportProgress({ effort: value });
+  };
 
-    const userQuery = `Explain how to perform the exercise "${exerciseName}" and its primary benefit. Keep it concise (2-3 sentences).`;
-    const systemPrompt = "You are a fitness coach. Explain exercises clearly and simply.";
+  const distanceKm = displayDistanceToKm(parseFloat(distanceDone) || 0, unitSystem);
+  const timeSeconds = parseClockTime(timeDone) || 0;
+  const actualPace = distanceKm > 0 && timeSeconds > 0 ? timeSeconds / distanceKm : null;
 
-    try {
-      const response = await callGeminiApi(userQuery, systemPrompt);
-      setInfo(response);
-    } catch (err) {
-      setError("Failed to load exercise info. Please try again.");
-      console.error(err);
-    } finally {
-      setIsLoading(false);
-    }
+  const saveSession = () => {
+    stopwatch.reset();
+    onComplete(
+      [{ set: 1, distance: Math.round(distanceKm * 100) / 100, time: timeSeconds, completed: distanceKm >= distance * 0.99 }],
+      { effort }
+    );
   };
 
+  const ExerciseIcon = getExerciseIcon(exercise.name, exercise.type);
+
   return (
-    <>
+    <div className="w-full flex flex-col items-center justify-center p-6 bg-gray-800 rounded-lg text-white text-center">
+      <ExerciseInfo exerciseName={exercise.name} />
+      <div className="mb-2 flex items-center justify-center gap-2">
+        <div className="p-2 bg-gray-700 rounded-lg">
+          <ExerciseIcon size={20} className={getExerciseIconColor(plan?.sport)} />
+        </div>
+        <div className="text-lg font-semibold">{exercise.name}</div>
+      </div>
+      {description && <div className="mb-4 text-sm text-gray-400">{description}</div>}
+
+      <div className="mb-4 flex gap-6 text-center">
+        <div>
+          <div className="text-sm uppercase text-gray-400">Distance</div>
+          <div className="text-2xl font-bold">{formatDistance(distance, unitSystem)}</div>
+        </div>
+        {pace > 0 && (
+          <div>
+            <div className="text-sm uppercase text-gray-400">Pace</div>
+            <div className="text-2xl font-bold">{formatPace(pace, unitSystem)}</div>
+          </div>
+        )}
+        {zone && (
+          <div>
+            <div className="text-sm uppercase text-gray-400">Zone</div>
+            <div className="text-2xl font-bold">{zone}</div>
+          </div>
+        )}
+      </div>
+
+      <div className="my-4 rounded-full w-48 h-48 flex flex-col items-center justify-center border-8 border-green-500 bg-green-500 bg-opacity-10">
+        <div className="text-sm uppercase tracking-widest text-green-400">ELAPSED</div>
+        <div className="text-5xl font-bold text-green-400">{formatTimer(elapsed)}</div>
+      </div>
       <button
-        onClick={handleGetInfo}
-        className="absolute top-2 right-2 text-gray-400 hover:text-indigo-400"
-        aria-label={`More info about ${exerciseName}`}
+        onClick={toggleStopwatch}
+        className={`mb-6 px-6 py-3 rounded-full text-white font-semibold text-lg ${isActive ? 'bg-yellow-500' : 'bg-green-500'}`}
       >
-        <Info size={20} />
+        {isActive ? <Pause size={24} /> : <Play size={24} />}
       </button>
 
-      {showModal && (
-        <div className="fixed inset-0 bg-black bg-opacity-75 flex items-center justify-center z-50 p-4">
-          <div className="bg-gray-800 rounded-lg p-6 max-w-sm w-full relative">
-            <button
-              onClick={() => setShowModal(false)}
-              className="absolute top-3 right-3 text-gray-500 hover:text-white"
-            >
-              <X size={24} />
-            </button>
-            <h3 className="text-xl font-semibold mb-4">{exerciseName}</h3>
-            {isLoading && <LoadingSpinner />}
-            {error && <p className="text-red-400">{error}</p>}
-            {info && <p className="text-gray-300">{info}</p>}
-          </div>
+      <div className="w-full grid grid-cols-2 gap-3 mb-2">
+        <div>
+          <label className="text-xs text-gray-400 mb-1 block">Distance ({distanceUnit})</label>
+          <input
+            type="number"
+            inputMode="decimal"
+            step="0.01"
+            value={distanceDone}
+            onChange={(e) => setDistanceDone(e.target.value)}
+            onBlur={() => reportProgress()}
+            className="w-full bg-gray-700 text-white text-center text-xl px-3 py-2 rounded border border-gray-600 focus:border-indigo-500 focus:outline-none"
+          />
         </div>
-      )}
-    </>
+        <div>
+          <label className="text-xs text-gray-400 mb-1 block">Time</label>
+          <input
+            type="text"
+            value={timeDone}
+            onChange={(e) => setTimeDone(e.target.value)}
+            onBlur={() => reportProgress()}
+            placeholder="mm:ss"
+            className="w-full bg-gray-700 text-white text-center text-xl px-3 py-2 rounded border border-gray-600 focus:border-indigo-500 focus:outline-none"
+          />
+        </div>
+      </div>
+      <div className="mb-4 text-sm text-gray-400">
+        {actualPace ? `Pace ${formatPace(actualPace, unitSystem)}` : 'Enter distance and time'}
+      </div>
+
+      <div className="w-full space-y-4">
+        <EffortPicker value={effort} onChange={changeEffort} />
+        <button
+          onClick={saveSession}
+          disabled={distanceKm <= 0}
+          className="w-full py-4 bg-green-600 text-white rounded-lg text-lg font-semibold flex items-center justify-center gap-2 disabled:bg-gray-500"
+        >
+          <CheckCircle size={24} />
+          Save & Continue
+        </button>
+      </div>
+    </div>
   );
 };
 
-const TimerComponent = ({ exercise, onComplete, plan }) => {
-  const { sets, duration, rest, description } = exercise.details;
-
-  const [currentSet, setCurrentSet] = useState(1);
-  const [isResting, setIsResting] = useState(false);
-  const [timeLeft, setTimeLeft] = useState(duration);
-  const [isActive, setIsActive] = useState(false);
+/**
+ * ClimbingLogComponent
+ * Climbing session logbook: one entry per problem with grade, style, attempts and wall angle.
+ */
+const ClimbingLogComponent = ({ exercise, onComplete, plan, gradeScale = 'v', timerKey = null, initialProgress = null, onProgress }) => {
+  const { duration = 0, targetGrade, angle = 0, description } = exercise.details || {};
+  const grades = (GRADE_SCALES[gradeScale] || GRADE_SCALES.v).grades;
+  const defaultGrade = targetGrade && getGradeValue(targetGrade) !== null ? toGradeScale(targetGrade, gradeScale) : grades[0];
+
+  const stopwatch = useTimerEngine(STOPWATCH_PHASES, { storageKey: timerKey });
+  const { elapsed, isRunning: isActive } = stopwatch;
+  const [climbs, setClimbs] = useState(initialProgress?.climbs || []);
+  const [grade, setGrade] = useState(grades.includes(defaultGrade) ? defaultGrade : grades[0]);
+  const [style, setStyle] = useState('flash');
+  const [attempts, setAttempts] = useState(1);
+  const [wallAngle, setWallAngle] = useState(angle);
+  const [effort, setEffort] = useState(null);
+
+  // Onsights and flashes are first-go sends by definition
+  const changeAttempts = (delta) => {
+    const next = Math.max(1, attempts + delta);
+    setAttempts(next);
+    if (next > 1 && (style === 'flash' || style === 'onsight')) setStyle('redpoint');
+  };
 
-  const timerRef = useRef(null);
+  const changeStyle = (newStyle) => {
+    setStyle(newStyle);
+    if (newStyle === 'flash' || newStyle === 'onsight') setAttempts(1);
+  };
 
-  const startTimer = () => setIsActive(true);
-  const pauseTimer = () => setIsActive(false);
+  const updateClimbs = (updated) => {
+    setClimbs(updated);
+    onProgress?.({ climbs: updated });
+  };
 
-  const resetTimer = () => {
-    pauseTimer();
-    setCurrentSet(1);
-    setIsResting(false);
-    setTimeLeft(duration);
+  const addClimb = () => {
+    updateClimbs([...climbs, {
+      set: climbs.length + 1,
+      grade,
+      gradeValue: getGradeValue(grade),
+      style,
+      attempts,
+      angle: wallAngle,
+      completed: style !== 'attempt'
+    }]);
+    setAttempts(1);
+    setStyle('flash');
   };
 
-  useEffect(() => {
-    if (isActive) {
-      timerRef.current = setInterval(() => {
-        setTimeLeft((prevTime) => {
-          if (prevTime <= 1) {
-            if (!isResting) {
-              if (currentSet < sets) {
-                setIsResting(true);
-                return rest;
-              } else {
-                clearInterval(timerRef.current);
-                setIsActive(false);
-                onComplete();
-                return 0;
-              }
-            } else {
-              setIsResting(false);
-              setCurrentSet((prevSet) => prevSet + 1);
-              return duration;
-            }
-          }
-          return prevTime - 1;
-        });
-      }, 1000);
-    } else {
-      clearInterval(timerRef.current);
-    }
+  const removeClimb = (index) => {
+    updateClimbs(climbs.filter((_, idx) => idx !== index).map((climb, idx) => ({ ...climb, set: idx + 1 })));
+  };
 
-    return () => clearInterval(timerRef.current);
-  }, [isActive, isResting, currentSet, sets, duration, rest, onComplete]);
+  const finishSession = () => {
+    stopwatch.reset();
+    onComplete(climbs, { effort });
+  };
 
+  const sends = climbs.filter(climb => climb.completed).length;
   const ExerciseIcon = getExerciseIcon(exercise.name, exercise.type);
 
   return (
-    <div className="flex flex-col items-center justify-center p-6 bg-gray-800 rounded-lg text-white text-center relative">
+    <div className="w-full flex flex-col items-center justify-center p-6 bg-gray-800 rounded-lg text-white text-center">
       <ExerciseInfo exerciseName={exercise.name} />
       <div className="mb-2 flex items-center justify-center gap-2">
         <div className="p-2 bg-gray-700 rounded-lg">
@@ -1012,289 +4391,520 @@ const TimerComponent = ({ exercise, onComplete, plan }) => {
       </div>
       {description && <div className="mb-4 text-sm text-gray-400">{description}</div>}
 
-      <div className="text-xl font-medium mb-4">
-        Set {currentSet} / {sets}
-      </div>
+      <div className="mb-4 flex gap-6 text-center">
+        {targetGrade && (
+          <div>
+            <div className="text-sm uppercase text-gray-400">Target</div>
+            <div className="text-2xl font-bold">{toGradeScale(targetGrade, gradeScale)}</div>
+          </div>
+        )}
+        <div>
+          <div className="text-sm uppercase text-gray-400">Session</div>
+          <div className="text-2xl font-bold">
+            {formatTimer(elapsed)}{duration > 0 && <span className="text-base text-gray-400"> / {formatTimer(duration)}</span>}
+          </div>
+        </div>
+        <button
+          onClick={stopwatch.toggle}
+          className={`self-center p-3 rounded-full text-white ${isActive ? 'bg-yellow-500' : 'bg-green-500'}`}
+        >
+          {isActive ? <Pause size={20} /> : <Play size={20} />}
+        </button>
+      </div>
+
+      <div className="w-full bg-gray-700 rounded-lg p-4 mb-4 space-y-3">
+        <div className="grid grid-cols-2 gap-3">
+          <div>
+            <label className="text-xs text-gray-400 mb-1 block">Grade ({GRADE_SCALES[gradeScale]?.label || GRADE_SCALES.v.label})</label>
+            <select
+              value={grade}
+              onChange={(e) => setGrade(e.target.value)}
+              className="w-full bg-gray-800 text-white text-center text-xl px-3 py-2 rounded border border-gray-600 focus:border-indigo-500 focus:outline-none"
+            >
+              {grades.map(option => <option key={option} value={option}>{option}</option>)}
+            </select>
+          </div>
+          <div>
+            <label className="text-xs text-gray-400 mb-1 block">Wall Angle</label>
+            <select
+              value={wallAngle}
+              onChange={(e) => setWallAngle(parseInt(e.target.value))}
+              className="w-full bg-gray-800 text-white text-center text-xl px-3 py-2 rounded border border-gray-600 focus:border-indigo-500 focus:outline-none"
+            >
+              {WALL_ANGLES.map(option => <option key={option.value} value={option.value}>{option.label}</option>)}
+            </select>
+          </div>
+        </div>
+
+        <div className="grid grid-cols-4 gap-2">
+          {Object.entries(CLIMB_STYLES).map(([value, label]) => (
+            <button
+              key={value}
+              onClick={() => changeStyle(value)}
+              className={`py-2 rounded-lg text-sm font-semibold ${
+                style === value ? (value === 'attempt' ? 'bg-red-600' : 'bg-green-600') : 'bg-gray-800 text-gray-400'
+              }`}
+            >
+              {label}
+            </button>
+          ))}
+        </div>
+
+        <div className="flex items-center justify-between">
+          <span className="text-sm text-gray-400">Attempts</span>
+          <div className="flex items-center gap-3">
+            <button onClick={() => changeAttempts(-1)} className="w-10 h-10 bg-gray-800 rounded-lg text-xl">−</button>
+            <span className="w-8 text-2xl font-bold">{attempts}</span>
+            <button onClick={() => changeAttempts(1)} className="w-10 h-10 bg-gray-800 rounded-lg text-xl">+</button>
+          </div>
+        </div>
+
+        <button
+          onClick={addClimb}
+          className="w-full py-3 bg-indigo-600 text-white rounded-lg font-semibold flex items-center justify-center gap-2"
+        >
+          <PlusCircle size={20} />
+          Log Climb
+        </button>
+      </div>
+
+      {climbs.length > 0 && (
+        <div className="w-full mb-4">
+          <div className="text-sm text-gray-400 mb-2">{climbs.length} climbs · {sends} sends</div>
+          <div className="space-y-1">
+            {climbs.map((climb, idx) => (
+              <div key={idx} className="flex items-center justify-between bg-gray-700 rounded px-3 py-2 text-sm">
+                <span className="font-semibold">{climb.grade}</span>
+                <span className={climb.completed ? 'text-green-400' : 'text-red-400'}>
+                  {CLIMB_STYLES[climb.style]}{climb.attempts > 1 ? ` · ${climb.attempts} tries` : ''}
+                </span>
+                <span className="text-gray-400">{WALL_ANGLES.find(option => option.value === climb.angle)?.label ?? `${climb.angle}°`}</span>
+                <button onClick={() => removeClimb(idx)} className="text-gray-400">
+                  <X size={16} />
+                </button>
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+
+      <div className="w-full space-y-4">
+        <EffortPicker value={effort} onChange={setEffort} />
+        <button
+          onClick={finishSession}
+          disabled={climbs.length === 0}
+          className="w-full py-4 bg-green-600 text-white rounded-lg text-lg font-semibold flex items-center justify-center gap-2 disabled:bg-gray-500"
+        >
+          <CheckCircle size={24} />
+          Save & Continue
+        </button>
+      </div>
+    </div>
+  );
+};
+
+/**
+ * BlockMovementList
+ * The movements of a workout block, with the current one highlighted.
+ */
+const BlockMovementList = ({ movements, activeIndex = -1 }) => (
+  <div className="w-full space-y-2 mb-4">
+    {movements.map((movement, idx) => (
+      <div
+        key={idx}
+        className={`flex justify-between px-4 py-2 rounded-lg ${idx === activeIndex ? 'bg-indigo-600 text-white' : 'bg-gray-700 text-gray-300'}`}
+      >
+        <span>{movement.name}</span>
+        <span className="font-semibold">{movement.reps}</span>
+      </div>
+    ))}
+  </div>
+);
+
+// Round entries for a block's set log: one per round, completed or not
+const buildRoundLogs = (roundCount, isCompleted) => (
+  Array.from({ length: roundCount }).map((_, idx) => ({ set: idx + 1, completed: isCompleted(idx) }))
+);
+
+/**
+ * CircuitRunner
+ * Works through every movement each round, with rest between rounds.
+ */
+const CircuitRunner = ({ details, movements, onComplete, timerKey = null, initialProgress = null, onProgress }) => {
+  const rounds = Math.max(1, details.sets || 1);
+  const rest = details.rest || 0;
+
+  const [round, setRound] = useState(initialProgress?.round || 1);
+  const [movementIndex, setMovementIndex] = useState(initialProgress?.movementIndex || 0);
+  const restPhases = useMemo(() => [{ type: 'rest', duration: rest, set: 1 }], [rest]);
+  const restTimer = useTimerEngine(restPhases, { storageKey: timerKey && `${timerKey}:rest` });
+
+  const finish = (roundsDone) => {
+    restTimer.reset();
+    onComplete(
+      buildRoundLogs(rounds, (idx) => idx < roundsDone),
+      { blockResult: { format: 'circuit', rounds: roundsDone, prescribedRounds: rounds } }
+    );
+  };
+
+  const moveTo = (nextRound, nextMovementIndex) => {
+    setRound(nextRound);
+    setMovementIndex(nextMovementIndex);
+    onProgress?.({ round: nextRound, movementIndex: nextMovementIndex });
+  };
+
+  const completeMovement = () => {
+    if (movementIndex < movements.length - 1) {
+      moveTo(round, movementIndex + 1);
+    } else if (round >= rounds) {
+      finish(rounds);
+    } else {
+      moveTo(round + 1, 0);
+      if (rest > 0) restTimer.restart();
+    }
+  };
+
+  const isResting = rest > 0 && (restTimer.status === 'running' || restTimer.status === 'paused');
+
+  return (
+    <>
+      <div className="text-xl font-medium mb-4">Round {round} / {rounds}</div>
+      {isResting ? (
+        <>
+          <div className="my-4 rounded-full w-48 h-48 flex flex-col items-center justify-center border-8 border-blue-500 bg-blue-500 bg-opacity-10">
+            <div className="text-sm uppercase tracking-widest text-blue-400">REST</div>
+            <div className="text-6xl font-bold text-blue-400">{formatTimer(restTimer.timeLeft)}</div>
+          </div>
+          <button
+            onClick={restTimer.reset}
+            className="px-6 py-3 rounded-lg bg-indigo-600 text-white font-semibold"
+          >
+            Skip Rest
+          </button>
+        </>
+      ) : (
+        <>
+          <BlockMovementList movements={movements} activeIndex={movementIndex} />
+          <button
+            onClick={completeMovement}
+            className="w-full py-3 rounded-lg bg-green-600 text-white font-semibold flex items-center justify-center gap-2"
+          >
+            <CheckCircle size={20} />
+            {movementIndex < movements.length - 1 ? 'Next Movement' : (round >= rounds ? 'Finish Circuit' : 'Finish Round')}
+          </button>
+        </>
+      )}
+      <button
+        onClick={() => finish(round - 1)}
+        className="mt-4 text-sm text-gray-400 underline"
+      >
+        End block after {round - 1} rounds
+      </button>
+    </>
+  );
+};
+
+/**
+ * EmomRunner
+ * Every minute (or interval) on the minute: tap when the round's work is done, the rest of the interval is rest.
+ */
+const EmomRunner = ({ details, movements, onComplete, timerKey = null, initialProgress = null, onProgress }) => {
+  const rounds = Math.max(1, details.sets || 1);
+  const interval = details.interval || 60;
+
+  // One boolean per finished round: was the work done inside the interval?
+  const [roundResults, setRoundResults] = useState(initialProgress?.roundResults || []);
+  const [isRoundDone, setIsRoundDone] = useState(!!initialProgress?.isRoundDone);
+  const roundResultsRef = useRef(initialProgress?.roundResults || []);
+  const isRoundDoneRef = useRef(!!initialProgress?.isRoundDone);
+  const phases = useMemo(() => buildTimerPhases({ sets: rounds, duration: interval }), [rounds, interval]);
+
+  const markRoundDone = (done) => {
+    isRoundDoneRef.current = done;
+    setIsRoundDone(done);
+    onProgress?.({ roundResults: roundResultsRef.current, isRoundDone: done });
+  };
+
+  // Only rounds tapped done inside their interval count; one that ran out while the app was closed wasn't
+  const finish = (roundsReached) => {
+    timer.reset();
+    const results = roundResultsRef.current;
+    const isCompleted = (idx) => idx < roundsReached && results[idx] === true;
+    onComplete(
+      buildRoundLogs(rounds, isCompleted),
+      { blockResult: { format: 'emom', rounds: Array.from({ length: rounds }).filter((_, idx) => isCompleted(idx)).length, prescribedRounds: rounds } }
+    );
+  };
+
+  // The round closes when its interval runs out, done or not
+  const timer = useTimerEngine(phases, {
+    storageKey: timerKey,
+    onEvent: (event) => {
+      if (event.type === 'setDone') {
+        // JSON can't keep holes, so rounds never reached are stored as false rather than left undefined
+        const results = Array.from({ length: event.set }, (_, idx) => roundResultsRef.current[idx] === true);
+        results[event.set - 1] = isRoundDoneRef.current;
+        roundResultsRef.current = results;
+        setRoundResults(results);
+        markRoundDone(false);
+      } else if (event.type === 'complete') {
+        finish(rounds);
+      }
+    }
+  });
 
-      <div
-        className={`my-4 rounded-full w-48 h-48 flex flex-col items-center justify-center border-8 ${
-          isResting ? 'border-blue-500 bg-blue-500 bg-opacity-10' : 'border-green-500 bg-green-500 bg-opacity-10'
-        }`}
-      >
-        <div className={`text-sm uppercase tracking-widest ${isResting ? 'text-blue-400' : 'text-green-400'}`}>
-          {isResting ? 'REST' : 'WORK'}
-        </div>
-        <div className={`text-6xl font-bold ${isResting ? 'text-blue-400' : 'text-green-400'}`}>
-          {formatTimer(timeLeft)}
-        </div>
-      </div>
+  const round = timer.phase?.set || 1;
+  const timeLeft = timer.timeLeft ?? interval;
+  const isActive = timer.isRunning;
 
+  return (
+    <>
+      <div className="text-xl font-medium mb-4">Round {round} / {rounds}</div>
+      <BlockMovementList movements={movements} />
+      <div className={`my-4 rounded-full w-48 h-48 flex flex-col items-center justify-center border-8 bg-opacity-10 ${isRoundDone ? 'border-blue-500 bg-blue-500' : 'border-red-500 bg-red-500'}`}>
+        <div className={`text-sm uppercase tracking-widest ${isRoundDone ? 'text-blue-400' : 'text-red-400'}`}>{isRoundDone ? 'REST' : 'WORK'}</div>
+        <div className={`text-6xl font-bold ${isRoundDone ? 'text-blue-400' : 'text-red-400'}`}>{formatTimer(timeLeft)}</div>
+      </div>
       <div className="flex gap-4">
         <button
-          onClick={isActive ? pauseTimer : startTimer}
+          onClick={timer.toggle}
           className={`px-6 py-3 rounded-full text-white font-semibold text-lg ${isActive ? 'bg-yellow-500' : 'bg-green-500'}`}
         >
           {isActive ? <Pause size={24} /> : <Play size={24} />}
         </button>
         <button
-          onClick={resetTimer}
-          className="px-6 py-3 rounded-full bg-gray-600 text-white font-semibold"
+          onClick={() => markRoundDone(true)}
+          disabled={!isActive || isRoundDone}
+          className="px-6 py-3 rounded-lg bg-green-600 text-white font-semibold disabled:bg-gray-600"
         >
-          <RotateCw size={24} />
+          Round Done
         </button>
       </div>
-    </div>
+      <div className="mt-4 text-sm text-gray-400">
+        {roundResults.filter(Boolean).length} of {roundResults.filter(result => result !== undefined).length} rounds done in time
+      </div>
+      <button
+        onClick={() => finish(round - 1)}
+        className="mt-2 text-sm text-gray-400 underline"
+      >
+        End block here
+      </button>
+    </>
   );
 };
 
-const RepsSetsWeightComponent = ({ exercise, showSuggested = false, weekNumber = 1, plan }) => {
-  // Safety check: ensure details exists
-  if (!exercise.details) {
-    return (
-      <div className="p-6 bg-gray-800 rounded-lg text-white w-full relative">
-        <div className="mb-4 text-2xl font-bold text-center">{exercise.name}</div>
-        <div className="text-center text-gray-400">Exercise details not available</div>
-      </div>
-    );
-  }
+/**
+ * AmrapRunner
+ * As many rounds as possible before the time cap; counts rounds and the reps of the unfinished one.
+ */
+const AmrapRunner = ({ details, movements, onComplete, timerKey = null, initialProgress = null, onProgress }) => {
+  const timeCap = details.duration || 600;
+
+  const [isTimeUp, setIsTimeUp] = useState(!!initialProgress?.isTimeUp);
+  const [rounds, setRounds] = useState(initialProgress?.rounds || 0);
+  const [extraReps, setExtraReps] = useState(initialProgress?.extraReps || '');
+  const progressRef = useRef({ rounds, isTimeUp, extraReps });
+  const phases = useMemo(() => buildTimerPhases({ duration: timeCap }), [timeCap]);
+
+  // Called from timer events too, so it reads the latest values from the ref rather than this render's state
+  const updateProgress = (changes) => {
+    progressRef.current = { ...progressRef.current, ...changes };
+    onProgress?.(progressRef.current);
+  };
 
-  const { sets, reps, weight, rest, description } = exercise.details;
+  const endTime = () => {
+    setIsTimeUp(true);
+    updateProgress({ isTimeUp: true });
+  };
 
-  // Show baseline vs suggested comparison
-  const baseline = exercise.baselineDetails || exercise.details;
+  const timer = useTimerEngine(phases, {
+    storageKey: timerKey,
+    onEvent: (event) => {
+      if (event.type === 'complete') endTime();
+    }
+  });
+  const timeLeft = timer.timeLeft ?? timeCap;
+  const isActive = timer.isRunning;
 
-  const ExerciseIcon = getExerciseIcon(exercise.name, exercise.type);
+  const addRound = () => {
+    setRounds(rounds + 1);
+    updateProgress({ rounds: rounds + 1 });
+  };
 
-  return (
-    <div className="p-6 bg-gray-800 rounded-lg text-white w-full relative">
-      <ExerciseInfo exerciseName={exercise.name} />
-      <div className="mb-4 flex items-center justify-center gap-3">
-        <div className="p-2 bg-gray-700 rounded-lg">
-          <ExerciseIcon size={24} className={getExerciseIconColor(plan?.sport)} />
-        </div>
-        <div className="text-2xl font-bold">{exercise.name}</div>
-      </div>
-      {description && <div className="mb-4 text-sm text-gray-300 text-center">{description}</div>}
+  const stopEarly = () => {
+    timer.pause();
+    endTime();
+  };
 
-      {showSuggested && weekNumber > 1 && (
-        <div className="mb-4 text-center">
-          <div className="inline-flex items-center gap-2 bg-green-900 bg-opacity-30 px-3 py-1 rounded-full">
-            <TrendingUp size={16} className="text-green-400" />
-            <span className="text-sm text-green-400">Week {weekNumber} Progression</span>
-          </div>
-        </div>
-      )}
+  const saveResult = () => {
+    timer.reset();
+    onComplete(
+      buildRoundLogs(rounds, () => true),
+      { blockResult: { format: 'amrap', rounds, extraReps: parseInt(extraReps) || 0 } }
+    );
+  };
 
-      <div className="grid grid-cols-3 gap-4 text-center">
-        <div>
-          <div className="text-sm uppercase text-gray-400">Sets</div>
-          <div className="text-3xl font-bold">{sets}</div>
-          {showSuggested && weekNumber > 1 && sets !== baseline.sets && (
-            <div className="text-xs text-green-400 mt-1">+{sets - baseline.sets}</div>
-          )}
-        </div>
-        <div>
-          <div className="text-sm uppercase text-gray-400">Reps</div>
-          <div className="text-3xl font-bold">{reps}</div>
-          {showSuggested && weekNumber > 1 && reps !== baseline.reps && (
-            <div className="text-xs text-green-400 mt-1">↑</div>
-          )}
-        </div>
-        <div>
-          <div className="text-sm uppercase text-gray-400">Weight</div>
-          <div className="text-3xl font-bold">{weight}</div>
-          {showSuggested && weekNumber > 1 && weight !== baseline.weight && (
-            <div className="text-xs text-green-400 mt-1">↑</div>
-          )}
-        </div>
+  return (
+    <>
+      <BlockMovementList movements={movements} />
+      <div className="my-4 rounded-full w-48 h-48 flex flex-col items-center justify-center border-8 border-red-500 bg-red-500 bg-opacity-10">
+        <div className="text-sm uppercase tracking-widest text-red-400">{isTimeUp ? 'TIME' : 'AMRAP'}</div>
+        <div className="text-6xl font-bold text-red-400">{formatTimer(timeLeft)}</div>
       </div>
+      <div className="text-4xl font-bold mb-1">{rounds}</div>
+      <div className="text-sm uppercase text-gray-400 mb-4">Rounds</div>
 
-      {rest > 0 && (
-        <div className="mt-6 text-center">
-          <div className="text-sm uppercase text-gray-400">Rest Between Sets</div>
-          <div className="text-2xl font-bold">{formatTimer(rest)}</div>
+      {isTimeUp ? (
+        <div className="w-full space-y-3">
+          <div>
+            <label className="text-xs text-gray-400 mb-1 block">Reps into the next round</label>
+            <input
+              type="number"
+              value={extraReps}
+              onChange={(e) => setExtraReps(e.target.value)}
+              onBlur={() => updateProgress({ extraReps })}
+              className="w-full bg-gray-700 text-white px-3 py-2 rounded border border-gray-600 focus:border-indigo-500 focus:outline-none text-center"
+              placeholder="0"
+            />
+          </div>
+          <button
+            onClick={saveResult}
+            className="w-full py-3 rounded-lg bg-green-600 text-white font-semibold flex items-center justify-center gap-2"
+          >
+            <CheckCircle size={20} />
+            Save Result
+          </button>
         </div>
+      ) : (
+        <>
+          <div className="flex gap-4">
+            <button
+              onClick={timer.toggle}
+              className={`px-6 py-3 rounded-full text-white font-semibold text-lg ${isActive ? 'bg-yellow-500' : 'bg-green-500'}`}
+            >
+              {isActive ? <Pause size={24} /> : <Play size={24} />}
+            </button>
+            <button
+              onClick={addRound}
+              disabled={!isActive}
+              className="px-6 py-3 rounded-lg bg-indigo-600 text-white font-semibold flex items-center gap-2 disabled:bg-gray-600"
+            >
+              <Plus size={20} /> Round
+            </button>
+          </div>
+          <button
+            onClick={stopEarly}
+            className="mt-4 text-sm text-gray-400 underline"
+          >
+            Stop early
+          </button>
+        </>
       )}
-    </div>
+    </>
   );
 };
 
-// Component for active set tracking during workout
-const SetTrackingComponent = ({ exercise, onComplete, weekNumber = 1, plan }) => {
-  if (!exercise.details) {
-    return (
-      <div className="p-6 bg-gray-800 rounded-lg text-white w-full">
-        <div className="mb-4 text-2xl font-bold text-center">{exercise.name}</div>
-        <div className="text-center text-gray-400">Exercise details not available</div>
-      </div>
+/**
+ * TabataRunner
+ * Fixed work/rest rounds (20s / 10s × 8 by default), rotating through the movements.
+ */
+const TabataRunner = ({ details, movements, onComplete, timerKey = null }) => {
+  const rounds = Math.max(1, details.sets || 8);
+  const work = details.work || 20;
+  const rest = details.rest || 10;
+  const phases = useMemo(() => buildTimerPhases({ sets: rounds, duration: work, rest }), [rounds, work, rest]);
+
+  const finish = (completedRounds) => {
+    timer.reset();
+    onComplete(
+      buildRoundLogs(rounds, (idx) => idx < completedRounds),
+      { blockResult: { format: 'tabata', rounds: completedRounds, prescribedRounds: rounds } }
     );
-  }
-
-  const { sets, reps, weight, rest, description } = exercise.details;
-  const baseline = exercise.baselineDetails || exercise.details;
-
-  const [completedSets, setCompletedSets] = useState(0);
-  const [isResting, setIsResting] = useState(false);
-  const [restTimeLeft, setRestTimeLeft] = useState(0);
-  const timerRef = useRef(null);
-
-  const handleSetComplete = () => {
-    const newCompletedSets = completedSets + 1;
-    setCompletedSets(newCompletedSets);
-
-    if (newCompletedSets >= sets) {
-      // All sets completed
-      if (timerRef.current) clearInterval(timerRef.current);
-      onComplete();
-    } else if (rest > 0) {
-      // Start rest timer
-      setIsResting(true);
-      setRestTimeLeft(rest);
-    }
   };
 
-  useEffect(() => {
-    if (isResting && rest > 0) {
-      timerRef.current = setInterval(() => {
-        setRestTimeLeft((prev) => {
-          if (prev <= 1) {
-            clearInterval(timerRef.current);
-            setIsResting(false);
-            return 0;
-          }
-          return prev - 1;
-        });
-      }, 1000);
+  const timer = useTimerEngine(phases, {
+    storageKey: timerKey,
+    onEvent: (event) => {
+      if (event.type === 'complete') finish(rounds);
     }
+  });
 
-    return () => {
-      if (timerRef.current) clearInterval(timerRef.current);
-    };
-  }, [isResting, rest]);
-
-  const skipRest = () => {
-    if (timerRef.current) clearInterval(timerRef.current);
-    setIsResting(false);
-    setRestTimeLeft(0);
-  };
+  const round = timer.phase?.set || 1;
+  const phase = timer.phase?.type || 'work';
+  const timeLeft = timer.timeLeft ?? work;
+  const isActive = timer.isRunning;
+  // A round counts once its work interval has run out
+  const roundsDone = phase === 'rest' ? round : round - 1;
 
-  const ExerciseIcon = getExerciseIcon(exercise.name, exercise.type);
+  const movementIndex = (round - 1) % movements.length;
+  const isWork = phase === 'work';
 
   return (
-    <div className="p-6 bg-gray-800 rounded-lg text-white w-full">
-      <ExerciseInfo exerciseName={exercise.name} />
-      <div className="mb-4 flex items-center justify-center gap-3">
-        <div className="p-3 bg-gray-700 rounded-lg">
-          <ExerciseIcon size={28} className={getExerciseIconColor(plan?.sport)} />
-        </div>
-        <div className="text-2xl font-bold">{exercise.name}</div>
+    <>
+      <div className="text-xl font-medium mb-4">Round {round} / {rounds}</div>
+      <BlockMovementList movements={movements} activeIndex={movementIndex} />
+      <div className={`my-4 rounded-full w-48 h-48 flex flex-col items-center justify-center border-8 bg-opacity-10 ${isWork ? 'border-red-500 bg-red-500' : 'border-blue-500 bg-blue-500'}`}>
+        <div className={`text-sm uppercase tracking-widest ${isWork ? 'text-red-400' : 'text-blue-400'}`}>{isWork ? 'WORK' : 'REST'}</div>
+        <div className={`text-6xl font-bold ${isWork ? 'text-red-400' : 'text-blue-400'}`}>{formatTimer(timeLeft)}</div>
       </div>
-      {description && <div className="mb-4 text-sm text-gray-300 text-center">{description}</div>}
-
-      {weekNumber > 1 && (
-        <div className="mb-4 text-center">
-          <div className="inline-flex items-center gap-2 bg-green-900 bg-opacity-30 px-3 py-1 rounded-full">
-            <TrendingUp size={16} className="text-green-400" />
-            <span className="text-sm text-green-400">Week {weekNumber} Progression</span>
-          </div>
-        </div>
-      )}
+      <button
+        onClick={timer.toggle}
+        className={`px-6 py-3 rounded-full text-white font-semibold text-lg ${isActive ? 'bg-yellow-500' : 'bg-green-500'}`}
+      >
+        {isActive ? <Pause size={24} /> : <Play size={24} />}
+      </button>
+      <button
+        onClick={() => finish(roundsDone)}
+        className="mt-4 text-sm text-gray-400 underline"
+      >
+        End block after {roundsDone} rounds
+      </button>
+    </>
+  );
+};
 
-      {/* Target numbers */}
-      <div className="grid grid-cols-3 gap-4 text-center mb-6">
-        <div>
-          <div className="text-sm uppercase text-gray-400">Sets</div>
-          <div className="text-3xl font-bold">{sets}</div>
-          {weekNumber > 1 && sets !== baseline.sets && (
-            <div className="text-xs text-green-400 mt-1">+{sets - baseline.sets}</div>
-          )}
-        </div>
-        <div>
-          <div className="text-sm uppercase text-gray-400">Reps</div>
-          <div className="text-3xl font-bold">{reps}</div>
-          {weekNumber > 1 && reps !== baseline.reps && (
-            <div className="text-xs text-green-400 mt-1">+{reps - baseline.reps}</div>
-          )}
-        </div>
-        <div>
-          <div className="text-sm uppercase text-gray-400">Weight</div>
-          <div className="text-3xl font-bold">{weight}</div>
-          {weekNumber > 1 && weight !== baseline.weight && (
-            <div className="text-xs text-green-400 mt-1">+{weight - baseline.weight}</div>
-          )}
-        </div>
-      </div>
+const BLOCK_RUNNERS = {
+  circuit: CircuitRunner,
+  emom: EmomRunner,
+  amrap: AmrapRunner,
+  tabata: TabataRunner
+};
 
-      {/* Set Progress */}
-      <div className="mb-6">
-        <div className="text-center mb-3">
-          <span className="text-4xl font-bold text-indigo-400">{completedSets}</span>
-          <span className="text-2xl text-gray-400"> / {sets}</span>
-          <div className="text-sm text-gray-400 mt-1">Sets Completed</div>
-        </div>
+/**
+ * WorkoutBlockComponent
+ * Runs a grouped block (circuit, EMOM, AMRAP or Tabata) and logs the rounds completed.
+ */
+const WorkoutBlockComponent = ({ exercise, onComplete, plan, timerKey = null, initialProgress = null, onProgress }) => {
+  const details = exercise.details || exercise.baselineDetails || {};
+  const format = BLOCK_RUNNERS[details.format] ? details.format : 'circuit';
+  const Runner = BLOCK_RUNNERS[format];
+  const movements = exercise.movements?.length ? exercise.movements : [{ name: exercise.name, reps: '' }];
+  const ExerciseIcon = getExerciseIcon(exercise.name, exercise.type);
 
-        <div className="flex gap-2 justify-center flex-wrap">
-          {Array.from({ length: sets }).map((_, idx) => (
-            <div
-              key={idx}
-              className={`w-12 h-12 rounded-full flex items-center justify-center font-bold ${
-                idx < completedSets
-                  ? 'bg-green-500 text-white'
-                  : 'bg-gray-700 text-gray-400'
-              }`}
-            >
-              {idx + 1}
-            </div>
-          ))}
+  return (
+    <div className="w-full flex flex-col items-center justify-center p-6 bg-gray-800 rounded-lg text-white text-center">
+      <div className="mb-2 flex items-center justify-center gap-2">
+        <div className="p-2 bg-gray-700 rounded-lg">
+          <ExerciseIcon size={20} className={getExerciseIconColor(plan?.sport)} />
         </div>
+        <div className="text-lg font-semibold">{exercise.name}</div>
       </div>
-
-      {/* Rest Timer */}
-      {isResting ? (
-        <div className="text-center mb-6">
-          <div className="text-sm uppercase text-gray-400 mb-4">Rest Between Sets</div>
-
-          {/* Circular rest timer - visually distinct from exercise timers */}
-          <div className="flex justify-center mb-6">
-            <div className="rounded-full w-48 h-48 flex flex-col items-center justify-center border-8 border-blue-500 bg-blue-500 bg-opacity-10">
-              <div className="text-xs uppercase tracking-widest text-blue-400 mb-1">REST</div>
-              <div className="text-6xl font-bold text-blue-400">{restTimeLeft}</div>
-              <div className="text-sm text-gray-400 mt-1">seconds</div>
-            </div>
-          </div>
-
-          <div className="text-sm text-gray-400 mb-4">
-            Next: Set {completedSets + 1} of {sets}
-          </div>
-
-          <button
-            onClick={skipRest}
-            className="px-6 py-3 bg-indigo-600 text-white rounded-lg font-semibold hover:bg-indigo-700"
-          >
-            Skip Rest
-          </button>
-        </div>
-      ) : completedSets < sets && (
-        <button
-          onClick={handleSetComplete}
-          className="w-full py-4 bg-indigo-600 text-white rounded-lg text-lg font-semibold flex items-center justify-center gap-2"
-        >
-          <CheckCircle size={24} />
-          Set {completedSets + 1} Done
-        </button>
-      )}
-
-      {rest > 0 && !isResting && (
-        <div className="mt-4 text-center text-sm text-gray-400">
-          Rest {formatTimer(rest)} between sets
-        </div>
-      )}
+      <div className="mb-1 text-sm text-indigo-300">{describeBlock({ ...details, format })}</div>
+      {details.description && <div className="mb-4 text-sm text-gray-400">{details.description}</div>}
+      <Runner
+        details={details}
+        movements={movements}
+        onComplete={onComplete}
+        timerKey={timerKey}
+        initialProgress={initialProgress}
+        onProgress={onProgress}
+      />
     </div>
   );
 };
 
 // Hangboard-specific timer component
-const HangboardComponent = ({ exercise, onComplete, weekNumber = 1, plan }) => {
+const HangboardComponent = ({ exercise, onComplete, weekNumber = 1, plan, unitSystem = 'metric', timerKey = null, initialProgress = null, onProgress }) => {
   if (!exercise.details) {
     return (
       <div className="p-6 bg-gray-800 rounded-lg text-white w-full">
@@ -1304,56 +4914,15 @@ const HangboardComponent = ({ exercise, onComplete, weekNumber = 1, plan }) => {
     );
   }
 
-  const { sets, duration, rest, description } = exercise.details;
+  const { sets, duration, rest, description, edge, weight, weightSpec, percentOfBodyweight } = exercise.details;
   const baseline = exercise.baselineDetails || exercise.details;
+  const hangSetup = describeHang(exercise.details, unitSystem);
 
-  const [currentSet, setCurrentSet] = useState(1);
-  const [isResting, setIsResting] = useState(false);
-  const [timeLeft, setTimeLeft] = useState(duration);
-  const [isActive, setIsActive] = useState(false);
-
-  const timerRef = useRef(null);
-
-  const startTimer = () => setIsActive(true);
-  const pauseTimer = () => setIsActive(false);
-
-  const resetTimer = () => {
-    pauseTimer();
-    setCurrentSet(1);
-    setIsResting(false);
-    setTimeLeft(duration);
-  };
-
-  useEffect(() => {
-    if (isActive) {
-      timerRef.current = setInterval(() => {
-        setTimeLeft((prevTime) => {
-          if (prevTime <= 1) {
-            if (!isResting) {
-              if (currentSet < sets) {
-                setIsResting(true);
-                return rest;
-              } else {
-                clearInterval(timerRef.current);
-                setIsActive(false);
-                onComplete();
-                return 0;
-              }
-            } else {
-              setIsResting(false);
-              setCurrentSet((prevSet) => prevSet + 1);
-              return duration;
-            }
-          }
-          return prevTime - 1;
-        });
-      }, 1000);
-    } else {
-      clearInterval(timerRef.current);
-    }
+  const timer = useSetTimer({ sets, duration, rest }, { storageKey: timerKey, onComplete, initialLogs: initialProgress?.setLogs, onProgress });
 
-    return () => clearInterval(timerRef.current);
-  }, [isActive, isResting, currentSet, sets, duration, rest, onComplete]);
+  const currentSet = timer.phase?.set || 1;
+  const isResting = timer.phase?.type === 'rest';
+  const timeLeft = timer.timeLeft ?? duration;
 
   const ExerciseIcon = getExerciseIcon(exercise.name, exercise.type);
 
@@ -1367,6 +4936,12 @@ const HangboardComponent = ({ exercise, onComplete, weekNumber = 1, plan }) => {
         <div className="text-lg font-semibold">{exercise.name}</div>
       </div>
       {description && <div className="mb-4 text-sm text-gray-400">{description}</div>}
+      {hangSetup && (
+        <div className="mb-4 text-sm text-indigo-300">
+          {hangSetup}
+          {percentOfBodyweight !== undefined && weight !== weightSpec && <span className="text-gray-400"> ({weightSpec})</span>}
+        </div>
+      )}
 
       {weekNumber > 1 && (
         <div className="mb-4">
@@ -1381,10 +4956,17 @@ const HangboardComponent = ({ exercise, onComplete, weekNumber = 1, plan }) => {
         <div>
           <div className="text-sm uppercase text-gray-400">Hang Time</div>
           <div className="text-2xl font-bold">{duration}s</div>
-          {weekNumber > 1 && duration !== baseline.duration && (
-            <div className="text-xs text-green-400 mt-1">+{duration - baseline.duration}s</div>
-          )}
+          {weekNumber > 1 && <ChangeBadge delta={duration - baseline.duration} unit="s" />}
         </div>
+        {edge > 0 && (
+          <div>
+            <div className="text-sm uppercase text-gray-400">Edge</div>
+            <div className="text-2xl font-bold">{edge}mm</div>
+            {weekNumber > 1 && baseline.edge && edge !== baseline.edge && (
+              <div className="text-xs text-green-400 mt-1">{edge - baseline.edge}mm</div>
+            )}
+          </div>
+        )}
         <div>
           <div className="text-sm uppercase text-gray-400">Rest</div>
           <div className="text-2xl font-bold">{rest}s</div>
@@ -1392,9 +4974,7 @@ const HangboardComponent = ({ exercise, onComplete, weekNumber = 1, plan }) => {
         <div>
           <div className="text-sm uppercase text-gray-400">Sets</div>
           <div className="text-2xl font-bold">{sets}</div>
-          {weekNumber > 1 && sets !== baseline.sets && (
-            <div className="text-xs text-green-400 mt-1">+{sets - baseline.sets}</div>
-          )}
+          {weekNumber > 1 && <ChangeBadge delta={sets - baseline.sets} />}
         </div>
       </div>
 
@@ -1417,91 +4997,379 @@ const HangboardComponent = ({ exercise, onComplete, weekNumber = 1, plan }) => {
 
       <div className="flex gap-4">
         <button
-          onClick={isActive ? pauseTimer : startTimer}
+          onClick={timer.toggle}
           className={`px-6 py-3 rounded-full text-white font-semibold text-lg ${
-            isActive ? 'bg-yellow-500' : 'bg-green-500'
+            timer.isRunning ? 'bg-yellow-500' : 'bg-green-500'
           }`}
         >
-          {isActive ? <Pause size={24} /> : <Play size={24} />}
+          {timer.isRunning ? <Pause size={24} /> : <Play size={24} />}
         </button>
         <button
-          onClick={resetTimer}
+          onClick={timer.reset}
           className="px-6 py-3 rounded-full bg-gray-600 text-white font-semibold"
         >
           <RotateCw size={24} />
         </button>
       </div>
+
+      {timer.isRunning && !isResting && (
+        <button
+          onClick={timer.skipPhase}
+          className="mt-4 text-sm text-gray-400 underline"
+        >
+          Let go (end hang)
+        </button>
+      )}
+    </div>
+  );
+};
+
+/**
+ * TestEntryComponent
+ * Result entry for benchmark tests (max hang, rep max, time trial...).
+ */
+const TestEntryComponent = ({ exercise, onComplete, plan, unitSystem = 'metric', formula = 'epley' }) => {
+  const test = exercise.test || {};
+  const metric = TEST_METRICS[test.metric] || TEST_METRICS.maxReps;
+  const units = getUnitLabels(unitSystem);
+  const [inputs, setInputs] = useState({ duration: '', reps: '', weight: '', time: '' });
+
+  const result = {
+    duration: parseFloat(inputs.duration) || 0,
+    reps: parseFloat(inputs.reps) || 0,
+    weight: inputs.weight ? toCanonicalLoad(`${inputs.weight}${units.weight}`, unitSystem) : '',
+    time: parseClockTime(inputs.time) || 0
+  };
+  const value = getTestValue(test, result, formula);
+
+  const saveResult = () => {
+    if (value === null) return;
+    // Only the fields this metric uses go into the log
+    const loggedResult = {};
+    metric.inputs.forEach(input => { loggedResult[input] = result[input]; });
+
+    const setLog = { set: 1, completed: true };
+    if (loggedResult.duration) setLog.duration = loggedResult.duration;
+    if (loggedResult.reps) setLog.reps = loggedResult.reps;
+    if (loggedResult.weight) setLog.weight = loggedResult.weight;
+    if (loggedResult.time) setLog.duration = loggedResult.time;
+    const testResult = { metric: test.metric, result: loggedResult, value };
+    if (test.metric === 'timeTrial') testResult.distance = test.distance;
+    onComplete([setLog], { testResult });
+  };
+
+  // New baseline value a drive would set from the current result
+  const describeDrive = (drive) => {
+    const driven = (plan?.baseWeek?.days || []).flatMap(day => day.exercises).find(ex => ex.name === drive.exercise);
+    const details = driveBaselineDetails(driven?.baselineDetails || {}, drive, value);
+    if (drive.field === 'weight') return formatLoad(details.weight, unitSystem);
+    if (drive.field === 'pace') return formatPace(details.pace, unitSystem);
+    if (drive.field === 'duration') return `${details.duration}s`;
+    return details.reps;
+  };
+
+  const inputFields = {
+    duration: { label: 'Time held (seconds)', inputMode: 'numeric', placeholder: 'e.g. 14' },
+    reps: { label: 'Reps', inputMode: 'numeric', placeholder: 'e.g. 3' },
+    weight: { label: `Load (${units.weight})`, inputMode: 'decimal', placeholder: 'e.g. 100' },
+    time: { label: 'Finish time (mm:ss)', inputMode: 'text', placeholder: 'e.g. 25:30' }
+  };
+
+  const ExerciseIcon = getExerciseIcon(exercise.name, exercise.type);
+
+  return (
+    <div className="w-full p-6 bg-gray-800 rounded-lg text-white">
+      <div className="mb-2 flex items-center justify-center gap-2">
+        <div className="p-2 bg-gray-700 rounded-lg">
+          <ExerciseIcon size={20} className={getExerciseIconColor(plan?.sport)} />
+        </div>
+        <div className="text-lg font-semibold">{exercise.name}</div>
+      </div>
+      <div className="text-center text-xs uppercase tracking-widest text-yellow-400 mb-2">
+        Benchmark · {metric.label}
+        {test.metric === 'timeTrial' && test.distance && ` · ${formatUnitNumber(kmToDisplayDistance(test.distance, unitSystem))}${units.distance}`}
+      </div>
+      {exercise.details?.description && (
+        <div className="text-center mb-4 text-sm text-gray-400">{exercise.details.description}</div>
+      )}
+
+      <div className="space-y-3 mb-4">
+        {metric.inputs.map(input => (
+          <div key={input}>
+            <label className="text-xs text-gray-400 mb-1 block">{inputFields[input].label}</label>
+            <input
+              type="text"
+              inputMode={inputFields[input].inputMode}
+              value={inputs[input]}
+              onChange={(e) => setInputs({ ...inputs, [input]: e.target.value })}
+              placeholder={inputFields[input].placeholder}
+              className="w-full bg-gray-700 text-white px-3 py-2 rounded border border-gray-600 focus:border-indigo-500 focus:outline-none"
+            />
+          </div>
+        ))}
+      </div>
+
+      {test.drives?.length > 0 && (
+        <div className="bg-gray-900 rounded p-3 mb-4 text-xs text-gray-400">
+          <div className="font-semibold mb-1">This result sets:</div>
+          <ul className="space-y-1">
+            {test.drives.map((drive, idx) => (
+              <li key={idx}>
+                {drive.exercise} — {drive.field} at {drive.percent ?? 100}%
+                {value !== null && <span className="text-indigo-300"> → {describeDrive(drive)}</span>}
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+
+      <button
+        onClick={saveResult}
+        disabled={value === null}
+        className="w-full bg-green-600 text-white py-3 rounded-lg font-semibold flex items-center justify-center gap-2 disabled:opacity-50"
+      >
+        <CheckCircle size={20} />
+        Save Result
+      </button>
+    </div>
+  );
+};
+
+/**
+ * ReadinessCheckIn
+ * Pre-workout questionnaire; offers an easier version of the day when readiness is low.
+ */
+const ReadinessCheckIn = ({ dayData, history = [], onSubmit, onSkip, showDashboard }) => {
+  const [answers, setAnswers] = useState({ sleep: 3, soreness: 3, stress: 3, motivation: 3 });
+  const [restingHr, setRestingHr] = useState('');
+  const { score, usualRestingHr } = scoreReadiness({ ...answers, restingHr: parseInt(restingHr) || null }, history);
+  const recommendation = getReadinessRecommendation(score);
+  const [adjustment, setAdjustment] = useState(null);
+  const chosenAdjustment = adjustment || recommendation;
+
+  const submit = () => {
+    const checkIn = { ...answers, score, adjustment: chosenAdjustment };
+    if (parseInt(restingHr) > 0) checkIn.restingHr = parseInt(restingHr);
+    onSubmit(checkIn);
+  };
+
+  return (
+    <div className="p-4 pt-12 bg-gray-900 text-white min-h-full flex flex-col">
+      <button onClick={showDashboard} className="absolute top-4 left-4 text-gray-400">
+        <X size={24} />
+      </button>
+      <h2 className="text-2xl font-bold text-center mb-1">How are you feeling?</h2>
+      <div className="text-center text-gray-400 mb-6">{dayData.focus}</div>
+
+      <div className="space-y-4 mb-6">
+        {READINESS_QUESTIONS.map(question => (
+          <div key={question.key}>
+            <div className="flex justify-between text-sm mb-1">
+              <span className="font-semibold">{question.label}</span>
+              <span className="text-gray-500">{question.low} – {question.high}</span>
+            </div>
+            <div className="flex gap-2">
+              {[1, 2, 3, 4, 5].map(value => (
+                <button
+                  key={value}
+                  onClick={() => setAnswers({ ...answers, [question.key]: value })}
+                  className={`flex-1 py-2 rounded-lg font-semibold ${answers[question.key] === value ? 'bg-indigo-600 text-white' : 'bg-gray-800 text-gray-400'}`}
+                >
+                  {value}
+                </button>
+              ))}
+            </div>
+          </div>
+        ))}
+        <div>
+          <label className="text-sm font-semibold mb-1 block">
+            Resting heart rate <span className="text-gray-500 font-normal">(optional{usualRestingHr ? `, usually ${usualRestingHr}` : ''})</span>
+          </label>
+          <input
+            type="number"
+            value={restingHr}
+            onChange={(e) => setRestingHr(e.target.value)}
+            className="w-full bg-gray-800 text-white px-3 py-2 rounded border border-gray-700 focus:border-indigo-500 focus:outline-none"
+            placeholder="bpm"
+          />
+        </div>
+      </div>
+
+      <div className="bg-gray-800 rounded-lg p-4 mb-6">
+        <div className="flex justify-between items-center mb-3">
+          <span className="text-sm uppercase text-gray-400">Readiness</span>
+          <span className={`text-2xl font-bold ${score >= 70 ? 'text-green-400' : score >= 50 ? 'text-yellow-400' : 'text-red-400'}`}>{score}</span>
+        </div>
+        <div className="space-y-2">
+          {Object.entries(READINESS_ADJUSTMENTS).map(([key, option]) => (
+            <button
+              key={key}
+              onClick={() => setAdjustment(key)}
+              className={`w-full text-left px-3 py-2 rounded-lg border ${chosenAdjustment === key ? 'border-indigo-500 bg-indigo-900 bg-opacity-40' : 'border-gray-700'}`}
+            >
+              <div className="font-semibold text-sm">
+                {option.label}
+                {key === recommendation && <span className="ml-2 text-xs text-indigo-300">Suggested</span>}
+              </div>
+              <div className="text-xs text-gray-400">{option.description}</div>
+            </button>
+          ))}
+        </div>
+      </div>
+
+      <button
+        onClick={submit}
+        className="w-full py-4 bg-green-600 text-white rounded-lg text-lg font-semibold flex items-center justify-center gap-2"
+      >
+        <Play size={24} />
+        Start Workout
+      </button>
+      <button onClick={onSkip} className="mt-3 text-sm text-gray-400 underline">
+        Skip check-in
+      </button>
+    </div>
+  );
+};
+
+/**
+ * ResumeWorkoutBanner
+ * Offers to pick up a workout that was left unfinished.
+ */
+const ResumeWorkoutBanner = ({ session, onResume, onDiscard }) => {
+  const exerciseCount = session.workoutExercises?.length || session.dayData.exercises?.length || 0;
+  return (
+    <div className="m-4 mb-0 p-4 bg-indigo-900 bg-opacity-40 border border-indigo-500 rounded-lg">
+      <div className="text-sm uppercase text-indigo-300 mb-1">Workout in progress</div>
+      <div className="font-semibold">{session.dayData.focus || session.dayData.day}</div>
+      <div className="text-sm text-gray-400 mb-3">
+        Exercise {Math.min((session.currentIndex || 0) + 1, exerciseCount)} of {exerciseCount} · saved {new Date(session.savedAt).toLocaleString()}
+      </div>
+      <div className="flex gap-2">
+        <button
+          onClick={onResume}
+          className="flex-1 py-2 bg-indigo-600 text-white rounded-lg font-semibold flex items-center justify-center gap-2"
+        >
+          <Play size={18} />
+          Resume Workout
+        </button>
+        <button
+          onClick={onDiscard}
+          className="px-4 py-2 bg-gray-700 text-gray-300 rounded-lg"
+        >
+          Discard
+        </button>
+      </div>
     </div>
   );
 };
 
-const ActiveWorkoutView = ({ db, auth, userId, appId, plan, activeProfileId, dayData, showDashboard }) => {
-  const [currentIndex, setCurrentIndex] = useState(0);
+const ActiveWorkoutView = ({ db, auth, userId, appId, plan, activeProfileId, profile, history = [], dayData, resumeSession = null, showDashboard }) => {
+  const [currentIndex, setCurrentIndex] = useState(resumeSession?.currentIndex || 0);
   const [isCompleting, setIsCompleting] = useState(false);
-  const [isRestingBetweenExercises, setIsRestingBetweenExercises] = useState(false);
-  const [restTimeLeft, setRestTimeLeft] = useState(0);
-  const restTimerRef = useRef(null);
+  // The day's exercises, with superset partners next to each other;
+  // later ones are recalculated when a test recalibrates them mid-session
+  const [workoutExercises, setWorkoutExercises] = useState(() => resumeSession?.workoutExercises || groupSupersets(dayData.exercises).flat());
+  // Per-exercise performance, indexed like workoutExercises
+  const [exerciseLogs, setExerciseLogs] = useState(resumeSession?.exerciseLogs || []);
+  // baseWeek with test results applied, saved to the plan when the workout is finished
+  const [calibratedBaseWeek, setCalibratedBaseWeek] = useState(resumeSession?.calibratedBaseWeek || null);
+  // Sets done so far in the current exercise, as reported by its component: { index, ... }
+  const [stepProgress, setStepProgress] = useState(resumeSession?.stepProgress || null);
+  // Open while choosing how to skip the current exercise: { reason, substitute }
+  const [skipOptions, setSkipOptions] = useState(null);
+  // Readiness check-in, asked once before the first exercise and saved with the workout
+  const [readiness, setReadiness] = useState(resumeSession?.readiness || null);
+  const [isCheckingIn, setIsCheckingIn] = useState(!resumeSession || resumeSession.checkedIn === false);
+  // Set while asking what to do about an entry already logged today: { logs, baseWeek, duplicate }
+  const [pendingFinish, setPendingFinish] = useState(null);
+
+  const cloud = profile?.syncActiveWorkout ? { db, appId, userId } : null;
+
+  // Saved after every completed set so the session can be resumed after a reload or app kill
+  useEffect(() => {
+    if (isCompleting) return;
+    saveActiveWorkout({
+      profileId: activeProfileId, dayData, currentIndex, workoutExercises, exerciseLogs, calibratedBaseWeek, stepProgress,
+      readiness, checkedIn: !isCheckingIn
+    }, cloud);
+  }, [currentIndex, workoutExercises, exerciseLogs, calibratedBaseWeek, stepProgress, readiness, isCheckingIn]);
+
+  const stepProgressProps = {
+    initialProgress: stepProgress?.index === currentIndex ? stepProgress : null,
+    onProgress: (progress) => setStepProgress({ ...progress, index: currentIndex })
+  };
 
   const REST_BETWEEN_EXERCISES = 60; // 60 seconds rest between exercises
 
-  const currentExercise = dayData.exercises[currentIndex];
+  const currentExercise = workoutExercises[currentIndex];
+  // Everything done before the next rest: a whole superset, otherwise just the current exercise
+  const currentStep = groupSupersets(workoutExercises.slice(currentIndex))[0];
+  const nextIndex = currentIndex + currentStep.length;
+
+  // Timers are saved under the session and exercise they belong to, so a reload picks them up where they were
+  const timerKeyPrefix = `workout:${activeProfileId}:${dayData.day}:w${dayData.weekNumber || 1}`;
+  const restPhases = useMemo(() => [{ type: 'rest', duration: REST_BETWEEN_EXERCISES, set: 1 }], []);
+  const restTimer = useTimerEngine(restPhases, {
+    storageKey: `${timerKeyPrefix}:rest`,
+    onEvent: (event) => {
+      if (event.type === 'complete') setCurrentIndex(nextIndex);
+    }
+  });
+  const isRestingBetweenExercises = restTimer.status === 'running' || restTimer.status === 'paused';
 
   const handleNext = () => {
-    if (currentIndex < dayData.exercises.length - 1) {
+    setSkipOptions(null);
+    if (nextIndex < workoutExercises.length) {
       // Start rest period before next exercise
-      setIsRestingBetweenExercises(true);
-      setRestTimeLeft(REST_BETWEEN_EXERCISES);
+      restTimer.restart();
     }
   };
 
-  // Rest timer between exercises
-  useEffect(() => {
-    if (isRestingBetweenExercises && restTimeLeft > 0) {
-      restTimerRef.current = setInterval(() => {
-        setRestTimeLeft((prev) => {
-          if (prev <= 1) {
-            clearInterval(restTimerRef.current);
-            setIsRestingBetweenExercises(false);
-            setCurrentIndex(currentIndex + 1);
-            return 0;
-          }
-          return prev - 1;
-        });
-      }, 1000);
-    }
-
-    return () => {
-      if (restTimerRef.current) clearInterval(restTimerRef.current);
-    };
-  }, [isRestingBetweenExercises, restTimeLeft, currentIndex]);
-
   const skipRestBetweenExercises = () => {
-    if (restTimerRef.current) clearInterval(restTimerRef.current);
-    setIsRestingBetweenExercises(false);
-    setRestTimeLeft(0);
-    setCurrentIndex(currentIndex + 1);
+    restTimer.reset();
+    setCurrentIndex(nextIndex);
   };
 
-  const handleFinish = async () => {
+  // duplicateAction is 'replace' or 'keepBoth' once the user has chosen what to do about an entry already logged today
+  const handleFinish = async (logs = exerciseLogs, baseWeek = calibratedBaseWeek, duplicateAction = null) => {
+    const duplicate = findDuplicateLog(history, dayData.day);
+    if (duplicate && !duplicateAction) {
+      setPendingFinish({ logs, baseWeek, duplicate });
+      return;
+    }
+
+    setPendingFinish(null);
     setIsCompleting(true);
     try {
       const historyColRef = collection(db, 'artifacts', appId, 'users', userId, 'history');
 
-      const planStartDate = plan.createdAt;
-      const today = new Date();
-      const diffTime = Math.abs(today - planStartDate);
-      const diffDays = Math.floor(diffTime / (1000 * 60 * 60 * 24));
-      const currentPlanWeek = (Math.floor(diffDays / 7) % plan.durationWeeks) + 1;
+      // Log against the week the workout was prescribed for, even if it ends after a week boundary
+      const currentPlanWeek = dayData.weekNumber || resolvePlanWeek(plan).week;
 
-      await addDoc(historyColRef, {
+      const entry = {
         completedAt: serverTimestamp(),
         planName: plan.planName,
         weekNumber: currentPlanWeek,
+        cycle: plan.cycle || 1,
         day: dayData.day,
         focus: dayData.focus,
-        exercises: dayData.exercises.map(e => e.name),
+        exercises: workoutExercises.map(e => e.name),
+        exerciseLogs: workoutExercises.map((ex, idx) => logs[idx] || buildExerciseLog(ex, [], { status: 'skipped' })),
+        readiness,
         profileId: activeProfileId
-      });
+      };
+      if (dayData.scheduledDate) entry.scheduledDate = dayData.scheduledDate;
+      if (duplicate && duplicateAction === 'replace') {
+        await setDoc(doc(historyColRef, duplicate.id), entry);
+      } else {
+        await addDoc(historyColRef, entry);
+      }
+
+      if (baseWeek) {
+        const planDocRef = doc(db, 'artifacts', appId, 'users', userId, 'profiles', activeProfileId, 'plan', 'mainPlan');
+        await setDoc(planDocRef, { baseWeek }, { mergeFields: ['baseWeek'] });
+      }
+      clearActiveWorkout(activeProfileId, cloud);
       showDashboard();
     } catch (error) {
       console.error("Error logging workout:", error);
@@ -1509,27 +5377,158 @@ const ActiveWorkoutView = ({ db, auth, userId, appId, plan, activeProfileId, day
     }
   };
 
-  const isLastExercise = currentIndex === dayData.exercises.length - 1;
+  const isLastExercise = nextIndex >= workoutExercises.length;
+
+  // Stores what was done for an exercise (the current one unless given), then advances
+  const recordExercise = (setLogs, feedback = {}, index = currentIndex, logs = exerciseLogs) => {
+    const updatedLogs = [...logs];
+    updatedLogs[index] = buildExerciseLog(workoutExercises[index], setLogs, { ...feedback.outcome, block: feedback.blockResult });
+    if (feedback.effort) updatedLogs[index].effort = feedback.effort;
+    if (feedback.testResult) updatedLogs[index].test = feedback.testResult;
+    setExerciseLogs(updatedLogs);
+    return updatedLogs;
+  };
+
+  // Effort can also be reported afterwards, during the rest before the next exercise
+  const setExerciseEffort = (index, effort) => {
+    const updatedLogs = [...exerciseLogs];
+    updatedLogs[index] = { ...updatedLogs[index], effort };
+    setExerciseLogs(updatedLogs);
+  };
+
+  // Applies a test result to the plan and recalculates the exercises still to come today
+  const calibrateFromTest = (testResult) => {
+    const weekNumber = dayData.weekNumber || resolvePlanWeek(plan).week;
+    const baseWeek = applyTestResult(calibratedBaseWeek || plan.baseWeek, currentExercise.test, testResult.value, weekNumber);
+    const rebuiltDay = buildWeekWorkouts({ ...plan, baseWeek }, weekNumber, history, profile).days.find(d => d.day === dayData.day);
+    const drivenNames = new Set((currentExercise.test.drives || []).map(drive => drive.exercise));
+
+    setWorkoutExercises(workoutExercises.map((ex, idx) => {
+      if (idx <= currentIndex || !drivenNames.has(ex.name)) return ex;
+      const rebuilt = rebuiltDay?.exercises.find(candidate => candidate.name === ex.name);
+      // The rebuilt prescription still gets today's readiness easing
+      return rebuilt ? applyReadinessAdjustment(rebuilt, readiness?.adjustment, profile) : ex;
+    }));
+    setCalibratedBaseWeek(baseWeek);
+    return baseWeek;
+  };
+
+  const handleDone = (setLogs, feedback = {}) => {
+    // Components without their own tracking report nothing; assume the prescription was done
+    const updatedLogs = recordExercise(
+      Array.isArray(setLogs) ? setLogs : buildPrescribedSetLogs(currentExercise),
+      feedback
+    );
+    const baseWeek = feedback.testResult && currentExercise.test ? calibrateFromTest(feedback.testResult) : calibratedBaseWeek;
+    if (isLastExercise) {
+      handleFinish(updatedLogs, baseWeek);
+    } else {
+      handleNext();
+    }
+  };
 
-  const handleDone = () => {
+  // A superset reports all of its exercises together: [{ setLogs, effort }]
+  const handleSupersetDone = (results) => {
+    const updatedLogs = results.reduce(
+      (logs, result, offset) => recordExercise(result.setLogs, { effort: result.effort }, currentIndex + offset, logs),
+      exerciseLogs
+    );
     if (isLastExercise) {
-      handleFinish();
+      handleFinish(updatedLogs);
     } else {
       handleNext();
     }
   };
 
-  const handleSkip = () => {
+  // Sets already logged in the current step, one list per exercise, with loads back in kg
+  const getLoggedStepSets = () => {
+    const progress = stepProgress?.index === currentIndex ? stepProgress : null;
+    if (!progress) return [];
+    if (progress.members) {
+      return progress.members.map(member => member.setLogs.map(log => (
+        log.weight ? { ...log, weight: toCanonicalLoad(log.weight, profile?.unitSystem) } : log
+      )));
+    }
+    return [progress.setLogs || progress.climbs || []];
+  };
+
+  const loggedStepSets = getLoggedStepSets();
+  const hasLoggedSets = loggedStepSets.some(setLogs => setLogs.length > 0);
+
+  // Skipping keeps any sets already logged, so an exercise ended part-way is recorded as partial;
+  // a substitution records the replacement's name instead of sets
+  const handleSkip = ({ skipReason, substitute } = {}) => {
+    const updatedLogs = currentStep.reduce((logs, _, offset) => {
+      const setLogs = substitute ? [] : (loggedStepSets[offset] || []);
+      const status = substitute ? 'substituted' : (setLogs.length === 0 ? 'skipped' : undefined);
+      return recordExercise(setLogs, { outcome: { status, skipReason, substitute } }, currentIndex + offset, logs);
+    }, exerciseLogs);
     if (isLastExercise) {
-      handleFinish();
+      handleFinish(updatedLogs);
     } else {
       handleNext();
     }
   };
 
+  // Eases today's prescription if the check-in asked for it
+  const handleCheckIn = (checkIn) => {
+    setReadiness(checkIn);
+    setWorkoutExercises(workoutExercises.map(ex => applyReadinessAdjustment(ex, checkIn.adjustment, profile)));
+    setIsCheckingIn(false);
+  };
+
+  if (isCheckingIn) {
+    return (
+      <ReadinessCheckIn
+        dayData={dayData}
+        history={history}
+        onSubmit={handleCheckIn}
+        onSkip={() => setIsCheckingIn(false)}
+        showDashboard={showDashboard}
+      />
+    );
+  }
+
+  // Nothing is saved until the user picks; cancelling goes back to the workout
+  if (pendingFinish) {
+    const { logs, baseWeek, duplicate } = pendingFinish;
+    return (
+      <div className="p-4 pt-12 bg-gray-900 text-white min-h-full flex flex-col items-center justify-center">
+        <div className="text-center mb-8">
+          <h2 className="text-2xl font-bold mb-2">Already Logged Today</h2>
+          <p className="text-gray-400">
+            {dayData.day}'s session was logged at {duplicate.completedAt.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}.
+          </p>
+        </div>
+        <div className="w-full max-w-sm space-y-3">
+          <button
+            onClick={() => handleFinish(logs, baseWeek, 'replace')}
+            className="w-full py-4 bg-indigo-600 text-white rounded-lg text-lg font-semibold"
+          >
+            Replace Earlier Entry
+          </button>
+          <button
+            onClick={() => handleFinish(logs, baseWeek, 'keepBoth')}
+            className="w-full py-3 bg-gray-600 text-white rounded-lg font-semibold"
+          >
+            Log Anyway (Keep Both)
+          </button>
+          <button
+            onClick={() => setPendingFinish(null)}
+            className="w-full py-3 bg-gray-700 text-gray-300 rounded-lg"
+          >
+            Cancel
+          </button>
+        </div>
+      </div>
+    );
+  }
+
   // Show rest screen between exercises
   if (isRestingBetweenExercises) {
-    const nextExercise = dayData.exercises[currentIndex + 1];
+    const nextStep = groupSupersets(workoutExercises.slice(nextIndex))[0];
+    // Supersets collect effort for each exercise before they finish
+    const finishedLog = currentStep.length === 1 ? exerciseLogs[currentIndex] : null;
     return (
       <div className="p-4 pt-12 bg-gray-900 text-white min-h-full flex flex-col items-center justify-center">
         <button onClick={showDashboard} className="absolute top-4 left-4 text-gray-400">
@@ -1538,16 +5537,23 @@ const ActiveWorkoutView = ({ db, auth, userId, appId, plan, activeProfileId, day
 
         <div className="text-center mb-8">
           <div className="text-sm uppercase text-gray-400 mb-2">Get Ready</div>
-          <h2 className="text-3xl font-bold mb-2">Next Exercise</h2>
-          <p className="text-xl text-indigo-400">{nextExercise.name}</p>
+          <h2 className="text-3xl font-bold mb-2">{nextStep.length > 1 ? 'Next Superset' : 'Next Exercise'}</h2>
+          <p className="text-xl text-indigo-400">{nextStep.map(ex => ex.name).join(' + ')}</p>
         </div>
 
         <div className="my-8 rounded-full w-64 h-64 flex flex-col items-center justify-center border-8 border-blue-500 bg-blue-500 bg-opacity-10">
           <div className="text-sm uppercase tracking-widest text-blue-400 mb-2">REST</div>
-          <div className="text-7xl font-bold text-blue-400">{restTimeLeft}</div>
+          <div className="text-7xl font-bold text-blue-400">{restTimer.timeLeft}</div>
           <div className="text-sm text-gray-400 mt-2">seconds</div>
         </div>
 
+        {finishedLog?.sets?.length > 0 && (
+          <div className="mb-8">
+            <div className="text-sm text-gray-400 text-center mb-2">{finishedLog.name}</div>
+            <EffortPicker value={finishedLog.effort} onChange={(rpe) => setExerciseEffort(currentIndex, rpe)} />
+          </div>
+        )}
+
         <button
           onClick={skipRestBetweenExercises}
           className="px-8 py-4 bg-indigo-600 text-white rounded-lg text-lg font-semibold"
@@ -1565,32 +5571,93 @@ const ActiveWorkoutView = ({ db, auth, userId, appId, plan, activeProfileId, day
       </button>
       <h2 className="text-2xl font-bold text-center mb-2">{dayData.focus}</h2>
       <div className="text-center text-gray-400 mb-6">
-        Exercise {currentIndex + 1} of {dayData.exercises.length}
+        {currentStep.length > 1
+          ? `Superset · Exercises ${currentIndex + 1}-${nextIndex} of ${workoutExercises.length}`
+          : `Exercise ${currentIndex + 1} of ${workoutExercises.length}`}
       </div>
 
       <div className="flex-grow flex items-center justify-center">
         {currentExercise.type === 'timer' ? (
           <TimerComponent
             key={`timer-${currentIndex}`}
+            timerKey={`${timerKeyPrefix}:${currentIndex}`}
+            {...stepProgressProps}
             exercise={currentExercise}
             onComplete={handleDone}
             plan={plan}
+            unitSystem={profile?.unitSystem}
           />
         ) : currentExercise.type === 'hangboard' ? (
           <HangboardComponent
             key={`hangboard-${currentIndex}`}
+            timerKey={`${timerKeyPrefix}:${currentIndex}`}
+            {...stepProgressProps}
             exercise={currentExercise}
             onComplete={handleDone}
             weekNumber={dayData.weekNumber || 1}
             plan={plan}
+            unitSystem={profile?.unitSystem}
+          />
+        ) : currentExercise.type === 'interval' ? (
+          <IntervalTimerComponent
+            key={`interval-${currentIndex}`}
+            timerKey={`${timerKeyPrefix}:${currentIndex}`}
+            {...stepProgressProps}
+            exercise={currentExercise}
+            onComplete={handleDone}
+            plan={plan}
+            unitSystem={profile?.unitSystem}
+          />
+        ) : currentExercise.type === 'distance' ? (
+          <DistanceComponent
+            key={`distance-${currentIndex}`}
+            timerKey={`${timerKeyPrefix}:${currentIndex}`}
+            {...stepProgressProps}
+            exercise={currentExercise}
+            onComplete={handleDone}
+            plan={plan}
+            unitSystem={profile?.unitSystem}
+          />
+        ) : currentExercise.type === 'climbing' ? (
+          <ClimbingLogComponent
+            key={`climbing-${currentIndex}`}
+            timerKey={`${timerKeyPrefix}:${currentIndex}`}
+            {...stepProgressProps}
+            exercise={currentExercise}
+            onComplete={handleDone}
+            plan={plan}
+            gradeScale={profile?.gradeScale}
+          />
+        ) : currentExercise.type === 'block' ? (
+          <WorkoutBlockComponent
+            key={`block-${currentIndex}`}
+            timerKey={`${timerKeyPrefix}:${currentIndex}`}
+            {...stepProgressProps}
+            exercise={currentExercise}
+            onComplete={handleDone}
+            plan={plan}
+          />
+        ) : currentExercise.type === 'test' ? (
+          <TestEntryComponent
+            key={`test-${currentIndex}`}
+            exercise={currentExercise}
+            onComplete={handleDone}
+            plan={plan}
+            unitSystem={profile?.unitSystem}
+            formula={profile?.oneRepMaxFormula}
           />
         ) : currentExercise.type === 'repsSetsWeight' ? (
           <SetTrackingComponent
             key={`sets-${currentIndex}`}
+            timerKey={`${timerKeyPrefix}:${currentIndex}`}
+            {...stepProgressProps}
             exercise={currentExercise}
-            onComplete={handleDone}
+            superset={currentStep.length > 1 ? currentStep : null}
+            onComplete={currentStep.length > 1 ? handleSupersetDone : handleDone}
             weekNumber={dayData.weekNumber || 1}
             plan={plan}
+            unitSystem={profile?.unitSystem}
+            equipment={getProfileEquipment(profile)}
           />
         ) : (
           <RepsSetsWeightComponent
@@ -1599,113 +5666,364 @@ const ActiveWorkoutView = ({ db, auth, userId, appId, plan, activeProfileId, day
             showSuggested={true}
             weekNumber={dayData.weekNumber || 1}
             plan={plan}
+            unitSystem={profile?.unitSystem}
           />
         )}
       </div>
 
-      <div className="mt-8 space-y-3">
-        {currentExercise.type !== 'timer' && currentExercise.type !== 'hangboard' && currentExercise.type !== 'repsSetsWeight' && (
-           <button
-              onClick={handleDone}
-              disabled={isCompleting}
-              className={`w-full py-4 rounded-lg text-lg font-semibold flex items-center justify-center gap-2 ${isLastExercise ? 'bg-green-600 text-white' : 'bg-indigo-600 text-white'} disabled:bg-gray-500`}
-           >
-              {isCompleting ? <LoadingSpinner /> : (isLastExercise ? <CheckCircle size={24} /> : <ArrowRight size={24} />)}
-              {isLastExercise ? "Finish Workout" : "Done with Exercise"}
-           </button>
-        )}
+      <div className="mt-8 space-y-3">
+        {!['timer', 'hangboard', 'interval', 'block', 'distance', 'climbing', 'repsSetsWeight', 'test'].includes(currentExercise.type) && (
+           <button
+              onClick={handleDone}
+              disabled={isCompleting}
+              className={`w-full py-4 rounded-lg text-lg font-semibold flex items-center justify-center gap-2 ${isLastExercise ? 'bg-green-600 text-white' : 'bg-indigo-600 text-white'} disabled:bg-gray-500`}
+           >
+              {isCompleting ? <LoadingSpinner /> : (isLastExercise ? <CheckCircle size={24} /> : <ArrowRight size={24} />)}
+              {isLastExercise ? "Finish Workout" : "Done with Exercise"}
+           </button>
+        )}
+
+        {skipOptions ? (
+          <div className="bg-gray-800 rounded-lg p-4 space-y-3">
+            <div className="text-sm text-gray-400">
+              {hasLoggedSets ? 'Why are you ending here?' : 'Why are you skipping?'} <span className="text-gray-500">(optional)</span>
+            </div>
+            <div className="flex flex-wrap gap-2">
+              {SKIP_REASONS.map(reason => (
+                <button
+                  key={reason}
+                  onClick={() => setSkipOptions({ ...skipOptions, reason: skipOptions.reason === reason ? null : reason })}
+                  className={`px-3 py-1 rounded-full text-sm ${skipOptions.reason === reason ? 'bg-indigo-600 text-white' : 'bg-gray-700 text-gray-300'}`}
+                >
+                  {reason}
+                </button>
+              ))}
+            </div>
+            {currentStep.length === 1 && (
+              <div>
+                <label className="text-xs text-gray-400 mb-1 block">Did something else instead?</label>
+                <input
+                  type="text"
+                  value={skipOptions.substitute}
+                  onChange={(e) => setSkipOptions({ ...skipOptions, substitute: e.target.value })}
+                  className="w-full bg-gray-700 text-white px-3 py-2 rounded border border-gray-600 focus:border-indigo-500 focus:outline-none"
+                  placeholder="e.g. Ring Rows"
+                />
+              </div>
+            )}
+            <div className="flex gap-2">
+              <button
+                onClick={() => handleSkip({ skipReason: skipOptions.reason || undefined, substitute: skipOptions.substitute.trim() || undefined })}
+                disabled={isCompleting}
+                className="flex-1 bg-gray-600 text-white py-3 rounded-lg font-semibold disabled:bg-gray-500"
+              >
+                {skipOptions.substitute.trim() ? 'Log Substitute' : (hasLoggedSets ? 'End Here' : 'Skip')}
+              </button>
+              <button
+                onClick={() => setSkipOptions(null)}
+                className="px-4 py-3 bg-gray-700 text-gray-300 rounded-lg"
+              >
+                Cancel
+              </button>
+            </div>
+          </div>
+        ) : (
+          <button
+             onClick={() => setSkipOptions({ reason: null, substitute: '' })}
+             disabled={isCompleting}
+             className="w-full bg-gray-600 text-white py-3 rounded-lg font-semibold flex items-center justify-center gap-2 disabled:bg-gray-500"
+          >
+             {hasLoggedSets
+               ? (isLastExercise ? "End Here and Finish" : "End Exercise Here")
+               : (isLastExercise ? "Skip and Finish" : (currentStep.length > 1 ? "Skip Superset" : "Skip Exercise"))}
+          </button>
+        )}
+      </div>
+    </div>
+  );
+};
+
+/**
+ * CycleCompletePanel
+ * Shown once durationWeeks have elapsed: summarises the cycle and lets the user rebase, extend or archive the plan.
+ */
+const CycleCompletePanel = ({ db, userId, appId, plan, activeProfileId, history, unitSystem = 'metric', gradeScale = 'v', showCreatePlan }) => {
+  const [extendWeeks, setExtendWeeks] = useState(4);
+  const [isSaving, setIsSaving] = useState(false);
+  const summary = useMemo(() => summarizeCycle(plan, history), [plan, history]);
+
+  const planDocRef = doc(db, 'artifacts', appId, 'users', userId, 'profiles', activeProfileId, 'plan', 'mainPlan');
+
+  const describeTarget = (details) => {
+    if (!details) return '—';
+    if (details.format) return describeBlock(details);
+    if (details.targetGrade) return `${toGradeScale(details.targetGrade, gradeScale)} limit`;
+    if (typeof details.distance === 'number') {
+      return `${formatDistance(details.distance, unitSystem)}${details.pace ? ` @ ${formatPace(details.pace, unitSystem)}` : ''}`;
+    }
+    if (typeof details.duration === 'number') return `${details.sets ? `${details.sets} × ` : ''}${details.duration}s`;
+    const load = details.weight ? ` @ ${formatLoad(details.weight, unitSystem)}` : '';
+    return `${details.sets ? `${details.sets} × ` : ''}${details.reps ?? ''}${load}`;
+  };
+
+  const describeAchieved = (achieved) => {
+    if (!achieved) return 'Not logged';
+    if (achieved.rounds) return `${achieved.rounds} rounds`;
+    if (typeof achieved.grade === 'number') return `Sent ${formatGrade(achieved.grade, gradeScale)}`;
+    if (achieved.distance) return formatDistance(achieved.distance, unitSystem);
+    if (achieved.duration) return `${achieved.duration}s`;
+    return typeof achieved.weight === 'number' ? `${achieved.reps} reps, ${formatLoad(`${formatKgNumber(achieved.weight)}kg`, unitSystem)}` : `${achieved.reps} reps`;
+  };
+
+  const startNextCycle = async () => {
+    setIsSaving(true);
+    try {
+      await setDoc(planDocRef, {
+        baseWeek: buildRebasedBaseWeek(plan, history),
+        cycle: summary.cycle + 1,
+        timeline: { startDate: toDateKey(new Date()), events: [], weekOverride: null }
+      }, { mergeFields: ['baseWeek', 'cycle', 'timeline'] });
+    } catch (error) {
+      console.error("Error starting new cycle:", error);
+      alert("Failed to start a new cycle. Please try again.");
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const extendPlan = async () => {
+    setIsSaving(true);
+    try {
+      await setDoc(planDocRef, { durationWeeks: plan.durationWeeks + extendWeeks }, { mergeFields: ['durationWeeks'] });
+    } catch (error) {
+      console.error("Error extending plan:", error);
+      alert("Failed to extend plan. Please try again.");
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const archiveAndFollowUp = async () => {
+    setIsSaving(true);
+    try {
+      const { id, ...planData } = plan;
+      const archiveColRef = collection(db, 'artifacts', appId, 'users', userId, 'profiles', activeProfileId, 'archivedPlans');
+      await addDoc(archiveColRef, {
+        ...planData,
+        archivedAt: serverTimestamp(),
+        cycleSummary: {
+          cycle: summary.cycle,
+          workoutsLogged: summary.workoutsLogged,
+          workoutsPlanned: summary.workoutsPlanned
+        }
+      });
+
+      const achievements = summary.exercises
+        .filter(ex => ex.achieved)
+        .map(ex => `${ex.name}: ${describeAchieved(ex.achieved)}`)
+        .join('; ');
+      showCreatePlan('ai', `Follow-up to my completed ${plan.durationWeeks}-week plan "${plan.planName}". Best results from the last cycle: ${achievements || 'none logged'}. Build the next block starting from these levels.`);
+    } catch (error) {
+      console.error("Error archiving plan:", error);
+      alert("Failed to archive plan. Please try again.");
+      setIsSaving(false);
+    }
+  };
+
+  return (
+    <div className="bg-gray-800 rounded-lg p-6 mb-6 border border-indigo-700">
+      <div className="flex items-center gap-2 mb-2">
+        <Target size={20} className="text-indigo-400" />
+        <h2 className="text-xl font-bold">Cycle {summary.cycle} Complete</h2>
+      </div>
+      <p className="text-gray-400 text-sm mb-4">
+        You logged {summary.workoutsLogged} of {summary.workoutsPlanned} planned workouts over {plan.durationWeeks} weeks.
+        Week {plan.durationWeeks} stays active until you choose what's next.
+      </p>
+
+      <div className="overflow-x-auto mb-4">
+        <table className="w-full text-sm">
+          <thead>
+            <tr className="text-left text-xs text-gray-500">
+              <th className="pb-2 pr-2">Exercise</th>
+              <th className="pb-2 pr-2">Started</th>
+              <th className="pb-2 pr-2">Best</th>
+              <th className="pb-2">Next Cycle</th>
+            </tr>
+          </thead>
+          <tbody>
+            {summary.exercises.map(ex => (
+              <tr key={ex.name} className="border-t border-gray-700">
+                <td className="py-2 pr-2">{ex.name}</td>
+                <td className="py-2 pr-2 text-gray-400">{describeTarget(ex.baseline)}</td>
+                <td className="py-2 pr-2 text-green-400">{describeAchieved(ex.achieved)}</td>
+                <td className="py-2 text-indigo-300">{describeTarget(ex.rebased)}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      <div className="space-y-3">
+        <button
+          onClick={startNextCycle}
+          disabled={isSaving}
+          className="w-full bg-indigo-600 text-white py-3 rounded-lg font-semibold flex items-center justify-center gap-2 disabled:opacity-50"
+        >
+          <RotateCw size={20} />
+          Start Cycle {summary.cycle + 1} From These Results
+        </button>
+
+        <div className="flex gap-2">
+          <select
+            value={extendWeeks}
+            onChange={(e) => setExtendWeeks(parseInt(e.target.value))}
+            className="bg-gray-700 text-white px-3 py-2 rounded border border-gray-600 focus:border-indigo-500 focus:outline-none"
+          >
+            {[2, 4, 6, 8].map(weeks => (
+              <option key={weeks} value={weeks}>{weeks} weeks</option>
+            ))}
+          </select>
+          <button
+            onClick={extendPlan}
+            disabled={isSaving}
+            className="flex-1 bg-gray-600 text-white py-2 rounded-lg font-semibold disabled:opacity-50"
+          >
+            Extend Plan
+          </button>
+        </div>
 
         <button
-           onClick={handleSkip}
-           disabled={isCompleting}
-           className="w-full bg-gray-600 text-white py-3 rounded-lg font-semibold flex items-center justify-center gap-2 disabled:bg-gray-500"
+          onClick={archiveAndFollowUp}
+          disabled={isSaving}
+          className="w-full bg-gray-700 text-white py-2 rounded-lg font-semibold flex items-center justify-center gap-2 disabled:opacity-50"
         >
-           {isLastExercise ? "Skip and Finish" : "Skip Exercise"}
+          <Brain size={18} />
+          Archive and Generate Follow-up Plan
         </button>
       </div>
     </div>
   );
 };
 
-const DashboardView = ({ db, auth, userId, appId, plan, history, showCreatePlan, startWorkout, showPlanManagement }) => {
+const DashboardView = ({ db, auth, userId, appId, plan, activeProfileId, profile, history, showCreatePlan, startWorkout, showPlanManagement }) => {
   const [selectedDayName, setSelectedDayName] = useState(getTodayDayName());
   const [isLogging, setIsLogging] = useState(false);
   const todayDayName = getTodayDayName();
 
-  const { currentWeekData, todayWorkoutData, currentPlanWeek, isCompletedToday, adaptiveFactor } = useMemo(() => {
+  const { currentWeekData, todayWorkoutData, currentPlanWeek, planSchedule, stalledExercises, weeklyMileage, weekFulfilment, adaptiveFactor, periodizationPhase } = useMemo(() => {
     if (!plan || !plan.createdAt || !plan.baseWeek) {
-      return { currentWeekData: null, todayWorkoutData: null, currentPlanWeek: null, isCompletedToday: false, adaptiveFactor: 1.0 };
+      return { currentWeekData: null, todayWorkoutData: null, currentPlanWeek: null, planSchedule: null, stalledExercises: [], weeklyMileage: null, weekFulfilment: {}, adaptiveFactor: 1.0, periodizationPhase: null };
     }
 
-    const planStartDate = plan.createdAt;
     const today = new Date();
+    const planSchedule = resolvePlanWeek(plan, today);
+    const currentPlanWeek = planSchedule.week;
 
-    const diffTime = Math.abs(today - planStartDate);
-    const diffDays = Math.floor(diffTime / (1000 * 60 * 60 * 24));
-    const currentPlanWeek = (Math.floor(diffDays / 7) % plan.durationWeeks) + 1;
-
-    // Calculate adaptive factor
+    // Overall adaptive factor (exercises get their own in buildWeekWorkouts)
     const adaptiveFactor = plan.progressionSettings?.adaptiveEnabled
-      ? calculateAdaptiveFactor(history, currentPlanWeek)
+      ? calculateAdaptiveFactor(history, currentPlanWeek, plan)
       : 1.0;
 
+    const periodizationPhase = getPeriodizationPhase(currentPlanWeek, plan.progressionSettings?.periodization);
+    const stalledExercises = getPlanStalls(plan, history);
+
     // Apply progression to baseWeek to get current week's plan
-    const currentWeek = {
-      weekNumber: currentPlanWeek,
-      days: plan.baseWeek.days.map(day => ({
-        ...day,
-        exercises: day.exercises.map(ex => ({
-          ...ex,
-          details: (ex.details || ex.baselineDetails)
-            ? applyProgression(
-                ex.baselineDetails || ex.details,
-                currentPlanWeek,
-                plan.progressionSettings || { strategy: 'linear', increments: {}, userMultiplier: 1.0 },
-                adaptiveFactor
-              )
-            : undefined
-        }))
-      }))
-    };
+    const currentWeek = buildWeekWorkouts(plan, currentPlanWeek, history, profile);
 
     const todayData = currentWeek.days.find(d => d.day === todayDayName);
 
-    const todayStr = today.toISOString().split('T')[0];
-    const completedToday = history.some(log => {
-      const logDate = log.completedAt.toISOString().split('T')[0];
-      return logDate === todayStr && log.day === todayDayName;
-    });
+    // Planned vs logged distance for this week, plus what was logged in the weeks before it
+    const plannedDistance = getPlannedWeekDistance(currentWeek);
+    const loggedByWeek = getLoggedMileageByWeek(plan, history);
+    const weeklyMileage = plannedDistance > 0 || Object.keys(loggedByWeek).length > 0
+      ? {
+          planned: plannedDistance,
+          logged: loggedByWeek[currentPlanWeek] || 0,
+          byWeek: Array.from({ length: currentPlanWeek }, (_, idx) => loggedByWeek[idx + 1] || 0)
+        }
+      : null;
 
     return {
       currentWeekData: currentWeek,
       todayWorkoutData: todayData,
       currentPlanWeek,
-      isCompletedToday: completedToday,
-      adaptiveFactor
+      planSchedule,
+      stalledExercises,
+      weeklyMileage,
+      weekFulfilment: getWeekFulfilment(plan, history, currentPlanWeek),
+      adaptiveFactor,
+      periodizationPhase
     };
-  }, [plan, history, todayDayName]);
+  }, [plan, history, profile, todayDayName]);
 
   const selectedDayData = useMemo(() => {
     if (!currentWeekData) return null;
     return currentWeekData.days.find(d => d.day === selectedDayName);
   }, [currentWeekData, selectedDayName]);
 
-  const handleLogAsDone = async () => {
-    if (!todayWorkoutData || isLogging || !plan) return;
+  // Paused time doesn't advance the plan week, so a holiday doesn't skip progression
+  const togglePlanPause = async () => {
+    if (!plan || !planSchedule) return;
+
+    try {
+      const timeline = getPlanTimeline(plan);
+      const planDocRef = doc(db, 'artifacts', appId, 'users', userId, 'profiles', activeProfileId, 'plan', 'mainPlan');
+      await setDoc(planDocRef, {
+        timeline: {
+          ...timeline,
+          events: [...timeline.events, { type: planSchedule.isPaused ? 'resume' : 'pause', at: new Date().toISOString() }]
+        }
+      }, { mergeFields: ['timeline'] });
+    } catch (error) {
+      console.error("Error updating plan schedule:", error);
+      alert("Failed to update plan schedule. Please try again.");
+    }
+  };
+
+  // Reviewing a stall clears it (and any automatic reset) from this point on
+  const markStallReviewed = async (exerciseName) => {
+    try {
+      const planDocRef = doc(db, 'artifacts', appId, 'users', userId, 'profiles', activeProfileId, 'plan', 'mainPlan');
+      await setDoc(planDocRef, {
+        stallReviews: { ...plan.stallReviews, [exerciseName]: new Date().toISOString() }
+      }, { mergeFields: ['stallReviews'] });
+    } catch (error) {
+      console.error("Error saving stall review:", error);
+      alert("Failed to update exercise. Please try again.");
+    }
+  };
+
+  // Any day of the week can be run or logged, e.g. to make up a missed session or swap two days
+  const startDay = (dayData) => {
+    startWorkout({ ...dayData, weekNumber: currentPlanWeek, scheduledDate: getScheduledDateKey(plan, dayData.day) });
+  };
+
+  const handleLogAsDone = async (dayData = todayWorkoutData) => {
+    if (!dayData || isLogging || !plan || hasBenchmarkTest(dayData)) return;
+    if (findDuplicateLog(history, dayData.day)) {
+      alert(`${dayData.day}'s session is already logged today. Edit it from History instead.`);
+      return;
+    }
 
     setIsLogging(true);
     try {
       const historyColRef = collection(db, 'artifacts', appId, 'users', userId, 'history');
 
-      await addDoc(historyColRef, {
+      const entry = {
         completedAt: serverTimestamp(),
         planName: plan.planName,
         weekNumber: currentPlanWeek,
-        day: todayWorkoutData.day,
-        focus: todayWorkoutData.focus,
-        exercises: todayWorkoutData.exercises.map(e => e.name),
+        cycle: plan.cycle || 1,
+        day: dayData.day,
+        focus: dayData.focus,
+        exercises: dayData.exercises.map(e => e.name),
+        exerciseLogs: dayData.exercises.map(ex => buildExerciseLog(ex, buildPrescribedSetLogs(ex))),
         profileId: activeProfileId
-      });
+      };
+      const scheduledDate = getScheduledDateKey(plan, dayData.day);
+      if (scheduledDate) entry.scheduledDate = scheduledDate;
+      await addDoc(historyColRef, entry);
     } catch (error) {
       console.error("Error logging workout:", error);
     } finally {
@@ -1741,13 +6059,32 @@ const DashboardView = ({ db, auth, userId, appId, plan, history, showCreatePlan,
   }
 
   const weekDays = currentWeekData.days.map(d => d.day);
+  const todayFulfilment = weekFulfilment[todayDayName];
+  const selectedFulfilment = weekFulfilment[selectedDayName];
 
   return (
     <div className="p-4 pt-10">
       <div className="flex justify-between items-center mb-6">
         <div>
           <h1 className="text-3xl font-bold">{plan.planName}</h1>
-          <p className="text-gray-400">Week {currentPlanWeek} of {plan.durationWeeks}</p>
+          <p className="text-gray-400">
+            {planSchedule.hasStarted
+              ? `Week ${currentPlanWeek} of ${plan.durationWeeks}`
+              : `Starts ${toScheduleDate(planSchedule.startDate).toLocaleDateString()}`}
+          </p>
+          {periodizationPhase?.label && (
+            <div className={`inline-flex items-center gap-1 mt-1 px-2 py-0.5 rounded-full text-xs font-medium ${
+              periodizationPhase.phase === 'deload'
+                ? 'bg-blue-900 bg-opacity-40 text-blue-300'
+                : 'bg-green-900 bg-opacity-30 text-green-400'
+            }`}>
+              <Activity size={12} />
+              <span>{periodizationPhase.label}</span>
+              {periodizationPhase.phase === 'deload' && (
+                <span className="text-blue-400">· {Math.round(periodizationPhase.intensity * 100)}% load</span>
+              )}
+            </div>
+          )}
           {plan.progressionSettings?.adaptiveEnabled && (
             <div className="flex items-center gap-1 text-xs text-gray-500 mt-1">
               <Sparkles size={12} />
@@ -1755,11 +6092,69 @@ const DashboardView = ({ db, auth, userId, appId, plan, history, showCreatePlan,
             </div>
           )}
         </div>
-        <button onClick={showPlanManagement} className="text-indigo-400 text-sm">
-          Manage Plan
-        </button>
+        <div className="flex flex-col items-end gap-2">
+          <button onClick={showPlanManagement} className="text-indigo-400 text-sm">
+            Manage Plan
+          </button>
+          <button onClick={togglePlanPause} className="text-gray-400 text-sm flex items-center gap-1">
+            {planSchedule.isPaused ? <Play size={14} /> : <Pause size={14} />}
+            {planSchedule.isPaused ? 'Resume Plan' : 'Pause Plan'}
+          </button>
+        </div>
       </div>
 
+      {planSchedule.isCycleComplete && (
+        <CycleCompletePanel
+          db={db}
+          userId={userId}
+          appId={appId}
+          plan={plan}
+          activeProfileId={activeProfileId}
+          history={history}
+          unitSystem={profile?.unitSystem}
+          gradeScale={profile?.gradeScale}
+          showCreatePlan={showCreatePlan}
+        />
+      )}
+
+      {stalledExercises.length > 0 && (
+        <div className="bg-gray-800 rounded-lg p-4 mb-6 border border-yellow-700">
+          <h3 className="font-semibold mb-3 flex items-center gap-2 text-yellow-300">
+            <TrendingUp size={18} />
+            Plateaus
+          </h3>
+          <ul className="space-y-3">
+            {stalledExercises.map(({ name, stall, adjustment, action }) => (
+              <li key={name} className="flex items-start justify-between gap-3 text-sm">
+                <div>
+                  <div className="font-medium">{name}</div>
+                  <div className="text-xs text-gray-400">
+                    {stall.isPlateaued ? 'Missing the target' : 'Stalled earlier'} · {stall.stallCount} stall{stall.stallCount > 1 ? 's' : ''} since {stall.lastStallAt.toLocaleDateString()}
+                  </div>
+                  <div className="text-xs text-yellow-400 mt-1">
+                    {action === 'reset' && adjustment && `Load reset to ${Math.round(adjustment.loadFactor * 100)}% of schedule`}
+                    {action === 'changeScheme' && 'Switched to more sets of fewer reps'}
+                    {action === 'flag' && 'Flagged for review'}
+                  </div>
+                </div>
+                <button
+                  onClick={() => markStallReviewed(name)}
+                  className="text-xs text-indigo-400 whitespace-nowrap"
+                >
+                  {action === 'flag' ? 'Mark Reviewed' : 'Clear'}
+                </button>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+
+      {planSchedule.isPaused && (
+        <div className="bg-yellow-900 bg-opacity-30 border border-yellow-700 rounded-lg p-4 mb-6 text-sm text-yellow-200">
+          Plan paused since {planSchedule.pausedSince.toLocaleDateString()}. Week {currentPlanWeek} is held until you resume.
+        </div>
+      )}
+
       <div className="bg-gray-800 rounded-lg p-6 mb-6">
         <h2 className="text-xl font-bold mb-4">Today's Workout: {todayWorkoutData.focus}</h2>
         {todayWorkoutData.exercises.length === 0 ? (
@@ -1773,34 +6168,70 @@ const DashboardView = ({ db, auth, userId, appId, plan, history, showCreatePlan,
         )}
 
         {todayWorkoutData.exercises.length > 0 && (
-          isCompletedToday ? (
+          todayFulfilment ? (
             <div className="w-full bg-green-600 text-white py-3 rounded-lg text-lg font-semibold flex items-center justify-center gap-2 text-center">
               <CheckCircle size={24} />
-              Completed Today!
+              {toDateKey(todayFulfilment.completedAt) === toDateKey(new Date())
+                ? 'Completed Today!'
+                : `Completed ${todayFulfilment.completedAt.toLocaleDateString('en-US', { weekday: 'long' })}`}
             </div>
           ) : (
             <div className="flex flex-col sm:flex-row gap-3">
               <button
-                onClick={() => startWorkout({ ...todayWorkoutData, weekNumber: currentPlanWeek })}
+                onClick={() => startDay(todayWorkoutData)}
                 disabled={isLogging}
                 className="flex-1 bg-indigo-600 text-white py-3 rounded-lg text-lg font-semibold flex items-center justify-center gap-2 disabled:opacity-50"
               >
                 <Play size={20} />
                 Start Training
               </button>
-              <button
-                onClick={handleLogAsDone}
-                disabled={isLogging}
-                className="flex-1 bg-gray-600 text-white py-3 rounded-lg text-lg font-semibold flex items-center justify-center gap-2 disabled:opacity-50"
-              >
-                {isLogging ? <LoadingSpinner /> : <CheckCircle size={20} />}
-                Mark as Done
-              </button>
+              {!hasBenchmarkTest(todayWorkoutData) && (
+                <button
+                  onClick={() => handleLogAsDone(todayWorkoutData)}
+                  disabled={isLogging}
+                  className="flex-1 bg-gray-600 text-white py-3 rounded-lg text-lg font-semibold flex items-center justify-center gap-2 disabled:opacity-50"
+                >
+                  {isLogging ? <LoadingSpinner /> : <CheckCircle size={20} />}
+                  Mark as Done
+                </button>
+              )}
             </div>
           )
         )}
+        {!todayFulfilment && hasBenchmarkTest(todayWorkoutData) && (
+          <p className="text-xs text-yellow-400 mt-3 text-center">Benchmark day: start the session to record your test result.</p>
+        )}
       </div>
 
+      {weeklyMileage && (
+        <div className="bg-gray-800 rounded-lg p-4 mb-6">
+          <div className="flex items-center justify-between mb-2">
+            <h3 className="font-semibold flex items-center gap-2">
+              <Activity size={18} className="text-green-400" />
+              Weekly Mileage
+            </h3>
+            <Sparkline values={weeklyMileage.byWeek} className="text-green-400" />
+          </div>
+          <div className="text-2xl font-bold">
+            {formatDistance(weeklyMileage.logged, profile?.unitSystem)}
+            <span className="text-base text-gray-400 font-normal"> / {formatDistance(weeklyMileage.planned, profile?.unitSystem)} planned</span>
+          </div>
+          {weeklyMileage.planned > 0 && (
+            <div className="w-full h-2 bg-gray-700 rounded-full mt-2">
+              <div
+                className="h-2 bg-green-500 rounded-full"
+                style={{ width: `${Math.min(100, (weeklyMileage.logged / weeklyMileage.planned) * 100)}%` }}
+              />
+            </div>
+          )}
+          {weeklyMileage.byWeek.length > 1 && (
+            <div className="text-xs text-gray-400 mt-2">
+              Last week: {formatDistance(weeklyMileage.byWeek[weeklyMileage.byWeek.length - 2], profile?.unitSystem)}
+            </div>
+          )}
+        </div>
+      )}
+
       <div>
         <h3 className="text-xl font-semibold mb-4 flex items-center gap-2">
           <CalendarDays size={20} />
@@ -1820,28 +6251,69 @@ const DashboardView = ({ db, auth, userId, appId, plan, history, showCreatePlan,
               }`}
             >
               <div className="text-xs font-medium">{day.substring(0, 3)}</div>
+              {weekFulfilment[day] && <CheckCircle size={12} className="mx-auto mt-1 text-green-400" />}
             </button>
           ))}
         </div>
 
         <div className="bg-gray-800 rounded-lg p-4 min-h-[150px]">
           <h4 className="font-semibold text-lg">{selectedDayName}: {selectedDayData.focus}</h4>
+          {selectedFulfilment && (
+            <p className="text-xs text-green-400 mt-1">
+              Done {selectedFulfilment.completedAt.toLocaleDateString('en-US', { weekday: 'long', month: 'short', day: 'numeric' })}
+              {isMakeUpSession(selectedFulfilment) && <span className="text-gray-400"> · made up on another day</span>}
+            </p>
+          )}
           {selectedDayData.exercises.length === 0 ? (
             <p className="text-gray-400 mt-2">Rest Day</p>
           ) : (
             <ul className="list-disc list-inside text-gray-300 mt-2">
               {selectedDayData.exercises.map((ex, idx) => (
-                <li key={idx}>{ex.name}</li>
+                <li key={idx}>
+                  {ex.name}
+                  {ex.type === 'test' && <span className="text-yellow-400 text-xs ml-2">Benchmark</span>}
+                  {ex.supersetGroup && <span className="text-indigo-300 text-xs ml-2">Superset {ex.supersetGroup}</span>}
+                  {ex.type === 'distance' && <span className="text-green-400 text-xs ml-2">{formatDistance(ex.details?.distance, profile?.unitSystem)}</span>}
+                  {ex.type === 'block' && <span className="text-indigo-300 text-xs ml-2">{describeBlock(ex.details || ex.baselineDetails)}</span>}
+                  {ex.type === 'hangboard' && describeHang(ex.details, profile?.unitSystem) && (
+                    <span className="text-indigo-300 text-xs ml-2">{describeHang(ex.details, profile?.unitSystem)}</span>
+                  )}
+                  {ex.type === 'climbing' && ex.details?.targetGrade && (
+                    <span className="text-orange-300 text-xs ml-2">Target {toGradeScale(ex.details.targetGrade, profile?.gradeScale)}</span>
+                  )}
+                </li>
               ))}
             </ul>
           )}
+          {selectedDayName !== todayDayName && selectedDayData.exercises.length > 0 && !selectedFulfilment && (
+            <div className="flex gap-3 mt-4">
+              <button
+                onClick={() => startDay(selectedDayData)}
+                disabled={isLogging}
+                className="flex-1 bg-indigo-600 text-white py-2 rounded-lg font-semibold flex items-center justify-center gap-2 disabled:opacity-50"
+              >
+                <Play size={16} />
+                Train This Today
+              </button>
+              {!hasBenchmarkTest(selectedDayData) && (
+                <button
+                  onClick={() => handleLogAsDone(selectedDayData)}
+                  disabled={isLogging}
+                  className="flex-1 bg-gray-600 text-white py-2 rounded-lg font-semibold flex items-center justify-center gap-2 disabled:opacity-50"
+                >
+                  {isLogging ? <LoadingSpinner /> : <CheckCircle size={16} />}
+                  Mark as Done
+                </button>
+              )}
+            </div>
+          )}
         </div>
       </div>
     </div>
   );
 };
-const CreatePlanView = ({ db, auth, userId, appId, activeProfileId, showDashboard, defaultView = 'ai' }) => {
-  const [goal, setGoal] = useState('');
+const CreatePlanView = ({ db, auth, userId, appId, activeProfileId, unitSystem = 'metric', showDashboard, defaultView = 'ai', initialGoal = '' }) => {
+  const [goal, setGoal] = useState(initialGoal);
   const [isLoading, setIsLoading] = useState(false);
   const [error, setError] = useState(null);
   const [view, setView] = useState(defaultView); // 'ai' or 'manual'
@@ -1857,9 +6329,12 @@ const CreatePlanView = ({ db, auth, userId, appId, activeProfileId, showDashboar
       throw new Error("Invalid plan structure. baseWeek must have a days array.");
     }
     
+    // The prompt asks for progression values in kg/km (note 11), so they're stored as written
     const planWithTimestamp = {
       ...planObject,
-      createdAt: serverTimestamp() // Add the creation timestamp
+      progressionUnits: 'metric',
+      createdAt: serverTimestamp(), // Add the creation timestamp
+      timeline: { startDate: toDateKey(new Date()), events: [], weekOverride: null }
     };
 
     const planDocRef = doc(db, 'artifacts', appId, 'users', userId, 'profiles', activeProfileId, 'plan', 'mainPlan');
@@ -1878,7 +6353,9 @@ const CreatePlanView = ({ db, auth, userId, appId, activeProfileId, showDashboar
     setError(null);
 
     try {
-      const jsonResponse = await callGeminiApi(goal, AI_PLAN_SYSTEM_PROMPT);
+      const units = getUnitLabels(unitSystem);
+      const userQuery = `${goal}\n\nPreferred units: ${units.weight} for weight, ${units.distance} for distance (the app converts; write the plan in kg and km).`;
+      const jsonResponse = await callGeminiApi(userQuery, AI_PLAN_SYSTEM_PROMPT);
 
       let parsedPlan;
       try {
@@ -2039,15 +6516,437 @@ const CreatePlanView = ({ db, auth, userId, appId, activeProfileId, showDashboar
   );
 };
 
+/**
+ * HistoryEntryEditor
+ * Corrects a logged workout: its date, plan week and what was done in each set.
+ */
+const HistoryEntryEditor = ({ log, history = [], unitSystem = 'metric', onSave, onCancel }) => {
+  const [date, setDate] = useState(toDateKey(log.completedAt));
+  const [weekNumber, setWeekNumber] = useState(String(log.weekNumber || 1));
+  // Each set row gets a rowKey that stays with it when a set above is removed; it isn't saved
+  const nextRowKey = useRef(0);
+  const withRowKey = (setLog) => ({ ...setLog, rowKey: nextRowKey.current++ });
+  const [exerciseLogs, setExerciseLogs] = useState(() => (log.exerciseLogs || []).map(exLog => ({ ...exLog, sets: (exLog.sets || []).map(withRowKey) })));
+  const [isSaving, setIsSaving] = useState(false);
+  const distanceUnit = getUnitLabels(unitSystem).distance;
+
+  const updateSets = (exIdx, update) => {
+    setExerciseLogs(exerciseLogs.map((exLog, idx) => (idx === exIdx ? { ...exLog, sets: update(exLog.sets) } : exLog)));
+  };
+
+  const updateSet = (exIdx, setIdx, field, value) => {
+    updateSets(exIdx, sets => sets.map((setLog, idx) => (idx === setIdx ? { ...setLog, [field]: value } : setLog)));
+  };
+
+  // New sets copy the last one, or the prescription when there is none
+  const addSet = (exIdx) => {
+    updateSets(exIdx, (sets) => {
+      const exLog = exerciseLogs[exIdx];
+      const template = sets[sets.length - 1]
+        || buildPrescribedSetLogs({ name: exLog.name, type: exLog.type, details: exLog.prescribed })[0]
+        || { completed: true };
+      return [...sets, withRowKey({ ...template, set: sets.length + 1 })];
+    });
+  };
+
+  const removeSet = (exIdx, setIdx) => {
+    updateSets(exIdx, sets => sets.filter((_, idx) => idx !== setIdx).map((setLog, idx) => ({ ...setLog, set: idx + 1 })));
+  };
+
+  const save = async () => {
+    const [year, month, day] = date.split('-').map(Number);
+    // Keep the time of day; only the calendar date changes
+    const completedAt = new Date(log.completedAt);
+    completedAt.setFullYear(year, month - 1, day);
+
+    if (findDuplicateLog(history, log.day, completedAt, log.id)) {
+      alert(`${log.day}'s session is already logged on ${completedAt.toLocaleDateString()}.`);
+      return;
+    }
+
+    setIsSaving(true);
+    await onSave({
+      completedAt,
+      weekNumber: Math.max(1, parseInt(weekNumber) || 1),
+      // Outcomes follow the edited sets; a substitution is kept as recorded, and so is a skip nothing was added to
+      exerciseLogs: exerciseLogs.map((exLog) => {
+        const sets = exLog.sets.map(({ rowKey, ...setLog }) => setLog);
+        const { status, ...rest } = { ...exLog, sets };
+        const keepsStatus = status === 'substituted' || (status === 'skipped' && sets.length === 0);
+        return { ...rest, ...getExerciseOutcome(keepsStatus ? { ...rest, status } : rest) };
+      })
+    });
+    setIsSaving(false);
+  };
+
+  const inputClass = 'bg-gray-700 text-white px-2 py-1 rounded border border-gray-600 focus:border-indigo-500 focus:outline-none';
+
+  return (
+    <div className="mt-3 space-y-4">
+      <div className="flex gap-3">
+        <div className="flex-1">
+          <label className="text-xs text-gray-400 mb-1 block">Date</label>
+          <input type="date" value={date} onChange={(e) => setDate(e.target.value)} className={`w-full ${inputClass}`} />
+        </div>
+        <div className="w-24">
+          <label className="text-xs text-gray-400 mb-1 block">Plan Week</label>
+          <input type="number" min="1" value={weekNumber} onChange={(e) => setWeekNumber(e.target.value)} className={`w-full ${inputClass}`} />
+        </div>
+      </div>
+
+      {exerciseLogs.map((exLog, exIdx) => (
+        <div key={exIdx} className="border-t border-gray-700 pt-3">
+          <div className="text-sm font-semibold mb-2">{exLog.name}</div>
+          <div className="space-y-2">
+            {exLog.sets.map((setLog, setIdx) => (
+              <div key={setLog.rowKey} className="flex flex-wrap items-center gap-2 text-xs">
+                <button
+                  onClick={() => updateSet(exIdx, setIdx, 'completed', !setLog.completed)}
+                  className={`w-7 h-7 rounded-full flex items-center justify-center ${setLog.completed ? 'bg-green-600' : 'bg-gray-700'}`}
+                  title={setLog.completed ? 'Completed' : 'Missed'}
+                >
+                  {setLog.completed ? <CheckCircle size={14} /> : setLog.set}
+                </button>
+                {typeof setLog.reps === 'number' && (
+                  <input
+                    type="number"
+                    value={setLog.reps}
+                    onChange={(e) => updateSet(exIdx, setIdx, 'reps', parseFloat(e.target.value) || 0)}
+                    className={`w-14 ${inputClass}`}
+                    title="Reps"
+                  />
+                )}
+                {typeof setLog.reps === 'number' && <span className="text-gray-500">{typeof setLog.work === 'number' ? `× ${setLog.work}s` : 'reps'}</span>}
+                {typeof setLog.weight === 'string' && (
+                  <LoadInput
+                    value={setLog.weight}
+                    unitSystem={unitSystem}
+                    onChange={(weight) => updateSet(exIdx, setIdx, 'weight', weight)}
+                    className={`w-20 ${inputClass}`}
+                  />
+                )}
+                {typeof setLog.duration === 'number' && (
+                  <>
+                    <input
+                      type="number"
+                      value={setLog.duration}
+                      onChange={(e) => updateSet(exIdx, setIdx, 'duration', parseFloat(e.target.value) || 0)}
+                      className={`w-16 ${inputClass}`}
+                    />
+                    <span className="text-gray-500">s</span>
+                  </>
+                )}
+                {typeof setLog.distance === 'number' && (
+                  <>
+                    <input
+                      type="number"
+                      step="any"
+                      defaultValue={formatUnitNumber(kmToDisplayDistance(setLog.distance, unitSystem))}
+                      onBlur={(e) => updateSet(exIdx, setIdx, 'distance', Math.round(displayDistanceToKm(parseFloat(e.target.value) || 0, unitSystem) * 100) / 100)}
+                      className={`w-16 ${inputClass}`}
+                    />
+                    <span className="text-gray-500">{distanceUnit} in</span>
+                    <input
+                      type="text"
+                      defaultValue={setLog.time ? formatTimer(Math.round(setLog.time)) : ''}
+                      onBlur={(e) => updateSet(exIdx, setIdx, 'time', parseClockTime(e.target.value) || 0)}
+                      className={`w-20 ${inputClass}`}
+                      placeholder="mm:ss"
+                    />
+                  </>
+                )}
+                {typeof setLog.grade === 'string' && <span className="text-gray-300">{toGradeScale(setLog.grade, 'v')} · {CLIMB_STYLES[setLog.style] || setLog.style}</span>}
+                <button onClick={() => removeSet(exIdx, setIdx)} className="ml-auto text-gray-500 hover:text-red-400">
+                  <X size={16} />
+                </button>
+              </div>
+            ))}
+          </div>
+          {exLog.type !== 'climbing' && (
+            <button onClick={() => addSet(exIdx)} className="mt-2 text-xs text-indigo-400 flex items-center gap-1">
+              <Plus size={14} /> Add set
+            </button>
+          )}
+        </div>
+      ))}
+
+      <div className="flex gap-2">
+        <button
+          onClick={save}
+          disabled={isSaving || !date}
+          className="flex-1 py-2 bg-indigo-600 text-white rounded-lg font-semibold flex items-center justify-center gap-2 disabled:opacity-50"
+        >
+          {isSaving ? <LoadingSpinner /> : <Save size={16} />}
+          Save
+        </button>
+        <button onClick={onCancel} className="px-4 py-2 bg-gray-700 text-gray-300 rounded-lg">
+          Cancel
+        </button>
+      </div>
+    </div>
+  );
+};
+
+/**
+ * BackfillWorkoutForm
+ * Adds a workout done on an earlier date (e.g. while the phone was dead), logged as prescribed for that plan week.
+ */
+const BackfillWorkoutForm = ({ plan, history = [], profile = null, onSave, onCancel }) => {
+  const trainingDays = (plan?.baseWeek?.days || []).filter(day => day.exercises?.length > 0);
+  const yesterday = new Date(Date.now() - 24 * 60 * 60 * 1000);
+
+  const getWeekdayDay = (dateKey) => {
+    const weekday = toScheduleDate(dateKey).toLocaleDateString('en-US', { weekday: 'long' });
+    return trainingDays.find(day => day.day === weekday)?.day || trainingDays[0]?.day || '';
+  };
+
+  const [date, setDate] = useState(toDateKey(yesterday));
+  const [weekNumber, setWeekNumber] = useState(String(resolvePlanWeek(plan, yesterday).week));
+  const [dayName, setDayName] = useState(() => getWeekdayDay(toDateKey(yesterday)));
+  const [isSaving, setIsSaving] = useState(false);
+
+  // The week and day follow the date until they're changed by hand
+  const changeDate = (dateKey) => {
+    setDate(dateKey);
+    const picked = toScheduleDate(dateKey);
+    if (!picked) return;
+    setWeekNumber(String(resolvePlanWeek(plan, picked).week));
+    setDayName(getWeekdayDay(dateKey));
+  };
+
+  const save = async () => {
+    const completedAt = toScheduleDate(date);
+    if (!completedAt || completedAt > new Date()) {
+      alert('Pick a date in the past.');
+      return;
+    }
+    // Midday, so small time zone shifts don't move it onto a neighbouring date
+    completedAt.setHours(12);
+
+    if (findDuplicateLog(history, dayName, completedAt)) {
+      alert(`${dayName}'s session is already logged on ${completedAt.toLocaleDateString()}.`);
+      return;
+    }
+
+    const week = Math.max(1, Math.min(plan.durationWeeks || 1, parseInt(weekNumber) || 1));
+    const builtDay = buildWeekWorkouts(plan, week, history, profile).days.find(day => day.day === dayName);
+    if (!builtDay) return;
+    // Without a measured result a benchmark test has nothing to record, so it's left out
+    const dayData = { ...builtDay, exercises: builtDay.exercises.filter(ex => ex.type !== 'test') };
+
+    const entry = {
+      completedAt,
+      planName: plan.planName,
+      weekNumber: week,
+      cycle: plan.cycle || 1,
+      day: dayData.day,
+      focus: dayData.focus,
+      exercises: dayData.exercises.map(e => e.name),
+      exerciseLogs: dayData.exercises.map(ex => buildExerciseLog(ex, buildPrescribedSetLogs(ex))),
+      backfilled: true
+    };
+    // A week picked by hand has no scheduled date to look up; the timeline only knows the week the date is in
+    const scheduledDate = resolvePlanWeek(plan, completedAt).week === week ? getScheduledDateKey(plan, dayData.day, completedAt) : null;
+    if (scheduledDate) entry.scheduledDate = scheduledDate;
+
+    setIsSaving(true);
+    await onSave(entry);
+    setIsSaving(false);
+  };
+
+  const inputClass = 'w-full bg-gray-700 text-white px-3 py-2 rounded border border-gray-600 focus:border-indigo-500 focus:outline-none';
+
+  return (
+    <div className="bg-gray-800 rounded-lg p-4 mb-6 space-y-3">
+      <h3 className="font-semibold text-lg flex items-center gap-2">
+        <CalendarDays size={20} className="text-indigo-400" />
+        Add Past Workout
+      </h3>
+      <div className="flex gap-3">
+        <div className="flex-1">
+          <label className="text-xs text-gray-400 mb-1 block">Date</label>
+          <input type="date" value={date} max={toDateKey(new Date())} onChange={(e) => changeDate(e.target.value)} className={inputClass} />
+        </div>
+        <div className="w-24">
+          <label className="text-xs text-gray-400 mb-1 block">Plan Week</label>
+          <input
+            type="number"
+            min="1"
+            max={plan.durationWeeks}
+            value={weekNumber}
+            onChange={(e) => setWeekNumber(e.target.value)}
+            className={inputClass}
+          />
+        </div>
+      </div>
+      <div>
+        <label className="text-xs text-gray-400 mb-1 block">Session</label>
+        <select value={dayName} onChange={(e) => setDayName(e.target.value)} className={inputClass}>
+          {trainingDays.map(day => (
+            <option key={day.day} value={day.day}>{day.day} · {day.focus}</option>
+          ))}
+        </select>
+      </div>
+      <p className="text-xs text-gray-500">
+        It's logged as prescribed; edit it afterwards to record what you actually did.
+        {hasBenchmarkTest(trainingDays.find(day => day.day === dayName)) && ' Benchmark tests are left out, since they need a measured result.'}
+      </p>
+      <div className="flex gap-2">
+        <button
+          onClick={save}
+          disabled={isSaving || !dayName}
+          className="flex-1 py-2 bg-indigo-600 text-white rounded-lg font-semibold flex items-center justify-center gap-2 disabled:opacity-50"
+        >
+          {isSaving ? <LoadingSpinner /> : <Plus size={16} />}
+          Add Workout
+        </button>
+        <button onClick={onCancel} className="px-4 py-2 bg-gray-700 text-gray-300 rounded-lg">
+          Cancel
+        </button>
+      </div>
+    </div>
+  );
+};
+
 /**
  * HistoryView
- * Displays a log of completed workouts.
+ * Displays a log of completed workouts, which can be corrected, deleted or backfilled.
  */
-const HistoryView = ({ history, plan }) => {
+const HistoryView = ({ db, userId, appId, activeProfileId, profile = null, history, plan, unitSystem = 'metric', gradeScale = 'v', bodyweight = null }) => {
+  const [editingId, setEditingId] = useState(null);
+  const [isBackfilling, setIsBackfilling] = useState(false);
+  const climbingStats = useMemo(() => getClimbingStats(history), [history]);
+  const mostClimbsAtGrade = Math.max(1, ...climbingStats.pyramid.map(row => row.sends + row.attempts));
+  const maxHangs = useMemo(() => getMaxHangHistory(history, bodyweight), [history, bodyweight]);
+
+  // Total load when bodyweight is known, otherwise what was added or removed
+  const formatHangStrength = (session) => {
+    if (session.percent !== null) return `${formatLoad(`${formatKgNumber(session.load)}kg`, unitSystem)} (${session.percent}% BW)`;
+    if (session.load === 0) return 'Bodyweight';
+    return formatLoad(`${session.load > 0 ? '+' : ''}${formatKgNumber(session.load)}kg`, unitSystem);
+  };
+
+  const getHistoryDocRef = (logId) => doc(db, 'artifacts', appId, 'users', userId, 'history', logId);
+
+  const handleSaveEdit = async (log, updates) => {
+    try {
+      await setDoc(getHistoryDocRef(log.id), updates, { mergeFields: Object.keys(updates) });
+      setEditingId(null);
+    } catch (error) {
+      console.error("Error updating workout:", error);
+      alert("Failed to save changes. Please try again.");
+    }
+  };
+
+  const handleDelete = async (log) => {
+    if (!confirm(`Delete ${log.focus || log.day} from ${log.completedAt.toLocaleDateString()}? This cannot be undone.`)) return;
+
+    try {
+      await deleteDoc(getHistoryDocRef(log.id));
+    } catch (error) {
+      console.error("Error deleting workout:", error);
+      alert("Failed to delete workout. Please try again.");
+    }
+  };
+
+  // Backfilled entries open in the editor straight away so the actual numbers can be filled in
+  const handleBackfill = async (entry) => {
+    try {
+      const historyColRef = collection(db, 'artifacts', appId, 'users', userId, 'history');
+      const docRef = await addDoc(historyColRef, { ...entry, profileId: activeProfileId });
+      setIsBackfilling(false);
+      setEditingId(docRef.id);
+    } catch (error) {
+      console.error("Error adding past workout:", error);
+      alert("Failed to add workout. Please try again.");
+    }
+  };
+
   return (
     <div className="p-4 pt-10">
-      <h2 className="text-3xl font-bold mb-6">Workout History</h2>
-      
+      <div className="flex justify-between items-center mb-6">
+        <h2 className="text-3xl font-bold">Workout History</h2>
+        {plan && !isBackfilling && (
+          <button
+            onClick={() => setIsBackfilling(true)}
+            className="bg-gray-700 text-white px-3 py-2 rounded-lg text-sm font-semibold flex items-center gap-1"
+          >
+            <Plus size={16} />
+            Past Workout
+          </button>
+        )}
+      </div>
+
+      {isBackfilling && (
+        <BackfillWorkoutForm
+          plan={plan}
+          history={history}
+          profile={profile}
+          onSave={handleBackfill}
+          onCancel={() => setIsBackfilling(false)}
+        />
+      )}
+
+      {climbingStats.pyramid.length > 0 && (
+        <div className="bg-gray-800 rounded-lg p-4 mb-6">
+          <div className="flex items-center justify-between mb-3">
+            <h3 className="font-semibold text-lg flex items-center gap-2">
+              <Mountain size={20} className="text-orange-400" />
+              Grade Pyramid
+            </h3>
+            {climbingStats.best !== null && (
+              <span className="text-sm text-gray-400">Best send <span className="text-white font-semibold">{formatGrade(climbingStats.best, gradeScale)}</span></span>
+            )}
+          </div>
+          <div className="space-y-1 mb-4">
+            {climbingStats.pyramid.map(row => (
+              <div key={row.value} className="flex items-center gap-2 text-xs">
+                <span className="w-10 text-right text-gray-300">{formatGrade(row.value, gradeScale)}</span>
+                <div className="flex-grow flex h-4">
+                  <div className="bg-green-500 rounded-l" style={{ width: `${(row.sends / mostClimbsAtGrade) * 100}%` }} />
+                  <div className="bg-gray-600 rounded-r" style={{ width: `${(row.attempts / mostClimbsAtGrade) * 100}%` }} />
+                </div>
+                <span className="w-16 text-gray-400">{row.sends} / {row.sends + row.attempts}</span>
+              </div>
+            ))}
+          </div>
+          {climbingStats.trend.length > 1 && (
+            <div className="flex items-center justify-between border-t border-gray-700 pt-3">
+              <span className="text-sm text-gray-400">Max grade per session</span>
+              <div className="flex items-center gap-2">
+                <Sparkline values={climbingStats.trend.map(point => point.value)} className="text-orange-400" />
+                <span className="text-sm font-semibold">{formatGrade(climbingStats.trend[climbingStats.trend.length - 1].value, gradeScale)}</span>
+              </div>
+            </div>
+          )}
+        </div>
+      )}
+
+      {maxHangs.length > 0 && (
+        <div className="bg-gray-800 rounded-lg p-4 mb-6">
+          <h3 className="font-semibold text-lg flex items-center gap-2 mb-3">
+            <Hand size={20} className="text-indigo-400" />
+            Max Hang Strength
+          </h3>
+          <div className="space-y-3">
+            {maxHangs.map(entry => (
+              <div key={entry.key} className="flex items-center justify-between gap-2 text-sm">
+                <div>
+                  <div>{HANG_GRIPS[entry.grip] || 'Other grips'}{entry.arms === 1 ? ' · One arm' : ''}</div>
+                  <div className="text-xs text-gray-500">
+                    {entry.best.edge ? `${entry.best.edge}mm · ` : ''}{entry.best.duration}s · {entry.best.date.toLocaleDateString()}
+                  </div>
+                </div>
+                <div className="flex items-center gap-2">
+                  <Sparkline values={entry.sessions.map(session => session.load)} />
+                  <span className="font-semibold text-right">{formatHangStrength(entry.best)}</span>
+                </div>
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+
       {history.length === 0 ? (
         <div className="text-center text-gray-400 mt-20">
           <History size={48} className="mx-auto mb-4" />
@@ -2060,16 +6959,87 @@ const HistoryView = ({ history, plan }) => {
             <div key={log.id} className="bg-gray-800 rounded-lg p-4">
               <div className="flex justify-between items-center mb-2">
                 <h3 className="font-semibold text-lg">{log.focus || log.day}</h3>
-                <span className="text-xs text-gray-400">
-                  {log.completedAt.toLocaleDateString()}
-                </span>
+                <div className="flex items-center gap-3">
+                  <span className="text-xs text-gray-400">
+                    {log.completedAt.toLocaleDateString()}
+                  </span>
+                  {editingId !== log.id && (
+                    <>
+                      <button onClick={() => setEditingId(log.id)} className="text-gray-400 hover:text-white" title="Edit">
+                        <Edit3 size={16} />
+                      </button>
+                      <button onClick={() => handleDelete(log)} className="text-gray-400 hover:text-red-400" title="Delete">
+                        <Trash2 size={16} />
+                      </button>
+                    </>
+                  )}
+                </div>
               </div>
               <p className="text-sm text-gray-300">
                 {log.planName} - Week {log.weekNumber}
+                {log.backfilled && <span className="text-gray-500"> · Added later</span>}
+                {isMakeUpSession(log) && <span className="text-gray-400"> · {log.day}'s session</span>}
+                {log.exerciseLogs?.length > 0 && getWorkoutCompletion(log) < 1 && (
+                  <span className="text-yellow-400"> · {Math.round(getWorkoutCompletion(log) * 100)}% complete</span>
+                )}
               </p>
-              <p className="text-xs text-gray-500 mt-2">
-                Completed {log.exercises?.length || 0} exercises.
-              </p>
+              {log.readiness && (
+                <p className="text-xs text-gray-400 mt-1">
+                  Readiness {log.readiness.score}
+                  {log.readiness.restingHr ? ` · ${log.readiness.restingHr} bpm` : ''}
+                  {log.readiness.adjustment && log.readiness.adjustment !== 'none' && ` · ${READINESS_ADJUSTMENTS[log.readiness.adjustment]?.label}`}
+                </p>
+              )}
+              {editingId === log.id ? (
+                <HistoryEntryEditor
+                  log={log}
+                  history={history}
+                  unitSystem={unitSystem}
+                  onSave={(updates) => handleSaveEdit(log, updates)}
+                  onCancel={() => setEditingId(null)}
+                />
+              ) : log.exerciseLogs?.length > 0 ? (
+                <div className="mt-3 space-y-1">
+                  {log.exerciseLogs.map((exLog, idx) => {
+                    const outcome = getExerciseOutcome(exLog);
+                    const statusStyle = EXERCISE_STATUSES[outcome.status];
+                    return (
+                      <div key={idx} className="flex justify-between gap-2 text-xs">
+                        <span className="text-gray-300">
+                          {exLog.name}
+                          {outcome.status !== 'completed' && (
+                            <span className={`block ${statusStyle.className}`}>
+                              {outcome.status === 'substituted' && exLog.substitute ? `${statusStyle.label}: ${exLog.substitute}` : statusStyle.label}
+                              {outcome.status === 'partial' && typeof exLog.prescribed?.sets === 'number' && ` · ${outcome.setsCompleted}/${exLog.prescribed.sets} sets`}
+                              {exLog.skipReason && <span className="text-gray-500"> · {exLog.skipReason}</span>}
+                            </span>
+                          )}
+                        </span>
+                        <span className="text-gray-500 text-right">
+                          {exLog.test ? (
+                            <span className="text-yellow-400">{formatTestResult(exLog.test, unitSystem)}</span>
+                          ) : exLog.type === 'block' && exLog.sets?.length ? (
+                            formatBlockResult(exLog)
+                          ) : exLog.type === 'climbing' && exLog.sets?.length ? (
+                            formatClimbingSession(exLog, gradeScale)
+                          ) : exLog.sets?.length
+                            ? exLog.sets.map((setLog, setIdx) => (
+                                <span key={setIdx} className={setLog.completed ? '' : 'text-red-400'}>
+                                  {setIdx > 0 && ', '}
+                                  {formatSetLog(setLog, unitSystem)}
+                                </span>
+                              ))
+                            : null}
+                        </span>
+                      </div>
+                    );
+                  })}
+                </div>
+              ) : (
+                <p className="text-xs text-gray-500 mt-2">
+                  Completed {log.exercises?.length || 0} exercises.
+                </p>
+              )}
             </div>
           ))}
         </div>
@@ -2165,12 +7135,44 @@ const PlanView = ({ plan, showCreatePlan, showEditPlan }) => {
   );
 };
 
+/**
+ * LoadInput
+ * Text input for a load stored in kg but edited in the user's unit.
+ * Converts on blur so typing isn't interrupted by rounding.
+ */
+const LoadInput = ({ value, unitSystem = 'metric', onChange, ...inputProps }) => {
+  const [text, setText] = useState(formatLoad(value, unitSystem) || '');
+
+  useEffect(() => {
+    setText(formatLoad(value, unitSystem) || '');
+  }, [value, unitSystem]);
+
+  return (
+    <input
+      type="text"
+      {...inputProps}
+      value={text}
+      onChange={(e) => setText(e.target.value)}
+      onBlur={() => onChange(toCanonicalLoad(text, unitSystem))}
+    />
+  );
+};
+
 /**
  * EditPlanView
  * Allows editing of the current training plan
  */
-const EditPlanView = ({ db, userId, appId, plan, activeProfileId, showPlanView }) => {
-  const [editedPlan, setEditedPlan] = useState(JSON.parse(JSON.stringify(plan))); // Deep copy
+const EditPlanView = ({ db, userId, appId, plan, activeProfileId, profile = null, history = [], unitSystem = 'metric', showPlanView }) => {
+  const weightUnit = getUnitLabels(unitSystem).weight;
+  const distanceUnit = getUnitLabels(unitSystem).distance;
+  // Deep copy, with progression values in the unit the user edits in
+  const [editedPlan, setEditedPlan] = useState(() => {
+    const copy = JSON.parse(JSON.stringify(plan));
+    return copy.progressionUnits === 'metric'
+      ? convertPlanProgression(copy, settings => toDisplayProgressionSettings(settings, unitSystem))
+      : copy;
+  });
+  const canonicalPlan = useMemo(() => toCanonicalPlanProgression(editedPlan, unitSystem), [editedPlan, unitSystem]);
   const [selectedDay, setSelectedDay] = useState(0);
   const [isSaving, setIsSaving] = useState(false);
   const [expandedExercise, setExpandedExercise] = useState(null);
@@ -2183,7 +7185,7 @@ const EditPlanView = ({ db, userId, appId, plan, activeProfileId, showPlanView }
     try {
       const planDocRef = doc(db, 'artifacts', appId, 'users', userId, 'profiles', activeProfileId, 'plan', 'mainPlan');
       await setDoc(planDocRef, {
-        ...editedPlan,
+        ...canonicalPlan,
         createdAt: plan.createdAt // Preserve original creation date
       });
       showPlanView();
@@ -2195,12 +7197,74 @@ const EditPlanView = ({ db, userId, appId, plan, activeProfileId, showPlanView }
     }
   };
 
+  const planTimeline = getPlanTimeline(editedPlan);
+  const planSchedule = resolvePlanWeek({ ...editedPlan, timeline: planTimeline });
+  const [weekOverrideInput, setWeekOverrideInput] = useState(String(planSchedule.week));
+
+  const updateTimeline = (changes) => {
+    setEditedPlan({ ...editedPlan, timeline: { ...planTimeline, ...changes } });
+  };
+
+  // Numeric fields are dropped when cleared so the model's default applies instead of NaN
+  const updatePeriodization = (field, value) => {
+    const periodization = { ...editedPlan.progressionSettings?.periodization };
+    if (field === 'model') {
+      periodization.model = value;
+    } else if (isNaN(parseFloat(value))) {
+      delete periodization[field];
+    } else {
+      periodization[field] = parseFloat(value);
+    }
+    setEditedPlan({
+      ...editedPlan,
+      progressionSettings: {
+        ...editedPlan.progressionSettings,
+        periodization
+      }
+    });
+  };
+
+  // Empty input removes the cap (Firestore rejects undefined values)
+  const updateCap = (field, value) => {
+    const max = { ...editedPlan.progressionSettings?.max };
+    const parsed = parseFloat(value);
+    if (isNaN(parsed)) {
+      delete max[field];
+    } else {
+      max[field] = parsed;
+    }
+    setEditedPlan({
+      ...editedPlan,
+      progressionSettings: { ...editedPlan.progressionSettings, max }
+    });
+  };
+
+  const updateStallSetting = (field, value) => {
+    setEditedPlan({
+      ...editedPlan,
+      progressionSettings: {
+        ...editedPlan.progressionSettings,
+        stall: {
+          ...DEFAULT_STALL_SETTINGS,
+          ...editedPlan.progressionSettings?.stall,
+          [field]: value
+        }
+      }
+    });
+  };
+
   const updateExercise = (exerciseIndex, field, value) => {
     const newPlan = { ...editedPlan };
     const exercise = newPlan.baseWeek.days[selectedDay].exercises[exerciseIndex];
 
     if (field === 'name') {
       exercise.name = value;
+    } else if (field === 'equipment' || field === 'supersetGroup') {
+      if (value) {
+        exercise[field] = value;
+      } else {
+        delete exercise[field];
+      }
     } else if (field.startsWith('details.') || field.startsWith('baselineDetails.')) {
       const detailField = field.split('.')[1];
       // Support both details and baselineDetails for compatibility
@@ -2214,6 +7278,37 @@ const EditPlanView = ({ db, userId, appId, plan, activeProfileId, showPlanView }
     setEditedPlan(newPlan);
   };
 
+  const toggleExerciseProgression = (exerciseIndex, enabled) => {
+    const newPlan = { ...editedPlan };
+    const exercise = newPlan.baseWeek.days[selectedDay].exercises[exerciseIndex];
+    if (enabled) {
+      exercise.progression = { increments: {}, min: {}, max: {} };
+    } else {
+      delete exercise.progression;
+    }
+    setEditedPlan(newPlan);
+  };
+
+  // section: 'increments' | 'min' | 'max', or null for top-level fields (strategy, roundingStep)
+  const updateExerciseProgression = (exerciseIndex, section, field, value) => {
+    const newPlan = { ...editedPlan };
+    const exercise = newPlan.baseWeek.days[selectedDay].exercises[exerciseIndex];
+    const progression = { ...exercise.progression };
+    const target = section ? { ...progression[section] } : progression;
+    const isEmpty = value === '' || value === null || (typeof value === 'number' && isNaN(value));
+
+    // Empty inputs fall back to the plan-wide value
+    if (isEmpty) {
+      delete target[field];
+    } else {
+      target[field] = value;
+    }
+
+    if (section) progression[section] = target;
+    exercise.progression = progression;
+    setEditedPlan(newPlan);
+  };
+
   const addExercise = () => {
     const newPlan = { ...editedPlan };
     newPlan.baseWeek.days[selectedDay].exercises.push({
@@ -2237,6 +7332,46 @@ const EditPlanView = ({ db, userId, appId, plan, activeProfileId, showPlanView }
     setEditedPlan(newPlan);
   };
 
+  const updateExerciseTest = (exerciseIndex, changes) => {
+    const newPlan = { ...editedPlan };
+    const exercise = newPlan.baseWeek.days[selectedDay].exercises[exerciseIndex];
+    exercise.test = { ...exercise.test, ...changes };
+    setEditedPlan(newPlan);
+  };
+
+  const updateTestDrive = (exerciseIndex, driveIndex, field, value) => {
+    const drives = [...(currentDay.exercises[exerciseIndex].test?.drives || [])];
+    drives[driveIndex] = { ...drives[driveIndex], [field]: value };
+    updateExerciseTest(exerciseIndex, { drives });
+  };
+
+  // Exercises a test can be linked to (anything in the plan that isn't itself a test)
+  const drivableExercises = [...new Set((editedPlan.baseWeek?.days || [])
+    .flatMap(day => day.exercises)
+    .filter(ex => ex.type !== 'test')
+    .map(ex => ex.name))];
+
+  // Switching format swaps in that format's defaults but keeps the description
+  const changeBlockFormat = (exerciseIndex, format) => {
+    const newPlan = { ...editedPlan };
+    const exercise = newPlan.baseWeek.days[selectedDay].exercises[exerciseIndex];
+    exercise.baselineDetails = { ...BLOCK_FORMATS[format].defaults, description: exercise.baselineDetails?.description || "" };
+    delete exercise.details;
+    setEditedPlan(newPlan);
+  };
+
+  const updateBlockMovements = (exerciseIndex, movements) => {
+    const newPlan = { ...editedPlan };
+    newPlan.baseWeek.days[selectedDay].exercises[exerciseIndex].movements = movements;
+    setEditedPlan(newPlan);
+  };
+
+  const updateBlockMovement = (exerciseIndex, movementIndex, field, value) => {
+    const movements = [...(currentDay.exercises[exerciseIndex].movements || [])];
+    movements[movementIndex] = { ...movements[movementIndex], [field]: value };
+    updateBlockMovements(exerciseIndex, movements);
+  };
+
   const changeExerciseType = (exerciseIndex, newType) => {
     const newPlan = { ...editedPlan };
     const exercise = newPlan.baseWeek.days[selectedDay].exercises[exerciseIndex];
@@ -2246,10 +7381,25 @@ const EditPlanView = ({ db, userId, appId, plan, activeProfileId, showPlanView }
     if (newType === 'timer') {
       exercise.baselineDetails = { sets: 1, duration: 600, rest: 0, description: "Exercise description" };
     } else if (newType === 'hangboard') {
-      exercise.baselineDetails = { sets: 5, duration: 10, rest: 30, description: "Hangboard exercise" };
+      exercise.baselineDetails = { sets: 5, duration: 10, rest: 180, edge: 20, grip: 'halfCrimp', arms: 2, weight: "Bodyweight", description: "" };
+    } else if (newType === 'interval') {
+      exercise.baselineDetails = { sets: 6, reps: 6, duration: 7, off: 3, rest: 180, description: "Repeaters: 7s on / 3s off" };
+    } else if (newType === 'distance') {
+      exercise.baselineDetails = { distance: 5, pace: 360, description: "Easy pace" };
+    } else if (newType === 'climbing') {
+      exercise.baselineDetails = { duration: 1800, targetGrade: "V4", angle: 30, description: "Limit problems, full rest between attempts" };
+    } else if (newType === 'block') {
+      exercise.baselineDetails = { ...BLOCK_FORMATS.circuit.defaults, description: "" };
+      exercise.movements = DEFAULT_BLOCK_MOVEMENTS.map(movement => ({ ...movement }));
+    } else if (newType === 'test') {
+      exercise.baselineDetails = { sets: 1, description: "Test instructions" };
+      exercise.test = { metric: 'maxReps', weeks: [1], drives: [] };
     } else {
       exercise.baselineDetails = { sets: 3, reps: "10", weight: "Bodyweight", rest: 60 };
     }
+    if (newType !== 'test') delete exercise.test;
+    if (newType !== 'block') delete exercise.movements;
+    if (newType !== 'repsSetsWeight') delete exercise.supersetGroup;
     // Remove old details field if it exists
     delete exercise.details;
 
@@ -2285,6 +7435,85 @@ const EditPlanView = ({ db, userId, appId, plan, activeProfileId, showPlanView }
         />
       </div>
 
+      {/* Schedule */}
+      <div className="bg-gray-800 rounded-lg p-4 mb-4">
+        <div className="flex items-center gap-2 mb-3">
+          <CalendarDays size={18} className="text-indigo-400" />
+          <h3 className="text-lg font-semibold">Schedule</h3>
+        </div>
+        <p className="text-xs text-gray-400 mb-4">
+          Currently in week {planSchedule.week} of {editedPlan.durationWeeks}{planSchedule.isPaused ? ' (paused)' : ''}. Paused time doesn't count towards the week.
+        </p>
+
+        <div className="grid grid-cols-2 gap-4">
+          <div>
+            <label className="text-xs text-gray-400 mb-1 block">Start Date</label>
+            <input
+              type="date"
+              value={planTimeline.startDate}
+              onChange={(e) => e.target.value && updateTimeline({ startDate: e.target.value, weekOverride: null })}
+              className="w-full bg-gray-700 text-white px-3 py-2 rounded border border-gray-600 focus:border-indigo-500 focus:outline-none"
+            />
+          </div>
+
+          <div>
+            <label className="text-xs text-gray-400 mb-1 block">Set Current Week</label>
+            <div className="flex gap-2">
+              <input
+                type="number"
+                min="1"
+                max={editedPlan.durationWeeks}
+                value={weekOverrideInput}
+                onChange={(e) => setWeekOverrideInput(e.target.value)}
+                className="w-full bg-gray-700 text-white px-3 py-2 rounded border border-gray-600 focus:border-indigo-500 focus:outline-none"
+              />
+              <button
+                onClick={() => {
+                  const week = parseInt(weekOverrideInput);
+                  if (!week || week < 1 || week > editedPlan.durationWeeks) {
+                    alert(`Please enter a week between 1 and ${editedPlan.durationWeeks}`);
+                    return;
+                  }
+                  updateTimeline({ weekOverride: { week, setAt: new Date().toISOString() } });
+                }}
+                className="bg-indigo-600 text-white px-3 py-2 rounded text-sm"
+              >
+                Set
+              </button>
+            </div>
+          </div>
+        </div>
+
+        {planTimeline.weekOverride && (
+          <div className="flex items-center justify-between mt-3 text-xs text-gray-400">
+            <span>
+              Set to week {planTimeline.weekOverride.week} on {toScheduleDate(planTimeline.weekOverride.setAt).toLocaleDateString()}
+            </span>
+            <button onClick={() => updateTimeline({ weekOverride: null })} className="text-indigo-400">
+              Count from start date
+            </button>
+          </div>
+        )}
+
+        {planTimeline.events.length > 0 && (
+          <div className="mt-3 border-t border-gray-700 pt-3">
+            <div className="flex items-center justify-between mb-2">
+              <span className="text-xs font-semibold text-gray-400">Pause History</span>
+              <button onClick={() => updateTimeline({ events: [] })} className="text-xs text-red-400">
+                Clear
+              </button>
+            </div>
+            <ul className="text-xs text-gray-500 space-y-1">
+              {planTimeline.events.map((event, idx) => (
+                <li key={idx}>
+                  {event.type === 'pause' ? 'Paused' : 'Resumed'} {toScheduleDate(event.at).toLocaleDateString()}
+                </li>
+              ))}
+            </ul>
+          </div>
+        )}
+      </div>
+
       {/* Progression Settings */}
       <div className="bg-gray-800 rounded-lg p-4 mb-4">
         <div className="flex items-center gap-2 mb-3">
@@ -2345,7 +7574,7 @@ const EditPlanView = ({ db, userId, appId, plan, activeProfileId, showPlanView }
           <div>
             <label className="text-xs text-gray-400 mb-1 block">
               Weight Increment
-              <span className="text-gray-500 ml-1">(kg/lb per week)</span>
+              <span className="text-gray-500 ml-1">({weightUnit} per week)</span>
             </label>
             <input
               type="number"
@@ -2387,6 +7616,52 @@ const EditPlanView = ({ db, userId, appId, plan, activeProfileId, showPlanView }
               className="w-full bg-gray-700 text-white px-3 py-2 rounded border border-gray-600 focus:border-indigo-500 focus:outline-none"
             />
           </div>
+
+          <div>
+            <label className="text-xs text-gray-400 mb-1 block">
+              Distance Increment
+              <span className="text-gray-500 ml-1">({distanceUnit} per week)</span>
+            </label>
+            <input
+              type="number"
+              step="0.1"
+              value={editedPlan.progressionSettings?.increments?.distance || 0}
+              onChange={(e) => setEditedPlan({
+                ...editedPlan,
+                progressionSettings: {
+                  ...editedPlan.progressionSettings,
+                  increments: {
+                    ...editedPlan.progressionSettings?.increments,
+                    distance: parseFloat(e.target.value)
+                  }
+                }
+              })}
+              className="w-full bg-gray-700 text-white px-3 py-2 rounded border border-gray-600 focus:border-indigo-500 focus:outline-none"
+            />
+          </div>
+
+          <div>
+            <label className="text-xs text-gray-400 mb-1 block">
+              Pace Change
+              <span className="text-gray-500 ml-1">(s/{distanceUnit} per week)</span>
+            </label>
+            <input
+              type="number"
+              step="1"
+              value={editedPlan.progressionSettings?.increments?.pace || 0}
+              onChange={(e) => setEditedPlan({
+                ...editedPlan,
+                progressionSettings: {
+                  ...editedPlan.progressionSettings,
+                  increments: {
+                    ...editedPlan.progressionSettings?.increments,
+                    pace: parseFloat(e.target.value)
+                  }
+                }
+              })}
+              className="w-full bg-gray-700 text-white px-3 py-2 rounded border border-gray-600 focus:border-indigo-500 focus:outline-none"
+            />
+          </div>
         </div>
 
         <div className="mt-4 p-3 bg-gray-900 rounded border border-gray-700">
@@ -2395,13 +7670,191 @@ const EditPlanView = ({ db, userId, appId, plan, activeProfileId, showPlanView }
             <ul className="list-disc list-inside space-y-1 text-gray-500">
               <li>Sets: 0.5 = +1 set every 2 weeks</li>
               <li>Reps: 1 = +1 rep per week</li>
-              <li>Weight: 2.5 = +2.5kg per week</li>
+              <li>Weight: 2.5 = +2.5{weightUnit} per week</li>
               <li>Duration: 10 = +10 seconds per week</li>
+              <li>Pace: -3 = 3 seconds per {distanceUnit} faster each week</li>
             </ul>
           </div>
         </div>
       </div>
 
+      {/* Periodization */}
+      <div className="bg-gray-800 rounded-lg p-4 mb-4">
+        <div className="flex items-center gap-2 mb-3">
+          <Activity size={18} className="text-blue-400" />
+          <h3 className="text-lg font-semibold">Periodization</h3>
+        </div>
+        <p className="text-xs text-gray-400 mb-4">
+          Structure the weeks into phases so the plan backs off periodically instead of climbing every week.
+        </p>
+
+        <div className="mb-4">
+          <label className="text-xs text-gray-400 mb-1 block">Model</label>
+          <select
+            value={editedPlan.progressionSettings?.periodization?.model || 'none'}
+            onChange={(e) => updatePeriodization('model', e.target.value)}
+            className="w-full bg-gray-700 text-white px-3 py-2 rounded border border-gray-600 focus:border-indigo-500 focus:outline-none"
+          >
+            <option value="none">None (progress every week)</option>
+            <option value="block">Block (loading weeks + deload)</option>
+            <option value="wave">Wave (rising intensity waves)</option>
+            <option value="undulating">Undulating (heavy / light / medium weeks)</option>
+          </select>
+        </div>
+
+        {editedPlan.progressionSettings?.periodization?.model === 'block' && (
+          <div className="grid grid-cols-2 gap-4">
+            <div>
+              <label className="text-xs text-gray-400 mb-1 block">Loading Weeks</label>
+              <input
+                type="number"
+                min="1"
+                value={editedPlan.progressionSettings.periodization.loadingWeeks ?? 3}
+                onChange={(e) => updatePeriodization('loadingWeeks', e.target.value)}
+                className="w-full bg-gray-700 text-white px-3 py-2 rounded border border-gray-600 focus:border-indigo-500 focus:outline-none"
+              />
+            </div>
+            <div>
+              <label className="text-xs text-gray-400 mb-1 block">
+                Deload
+                <span className="text-gray-500 ml-1">(% of loading)</span>
+              </label>
+              <input
+                type="number"
+                min="0"
+                max="100"
+                value={editedPlan.progressionSettings.periodization.deloadPercent ?? 60}
+                onChange={(e) => updatePeriodization('deloadPercent', e.target.value)}
+                className="w-full bg-gray-700 text-white px-3 py-2 rounded border border-gray-600 focus:border-indigo-500 focus:outline-none"
+              />
+            </div>
+          </div>
+        )}
+
+        {editedPlan.progressionSettings?.periodization?.model === 'wave' && (
+          <div className="grid grid-cols-2 gap-4">
+            <div>
+              <label className="text-xs text-gray-400 mb-1 block">Weeks per Wave</label>
+              <input
+                type="number"
+                min="2"
+                value={editedPlan.progressionSettings.periodization.waveLength ?? 3}
+                onChange={(e) => updatePeriodization('waveLength', e.target.value)}
+                className="w-full bg-gray-700 text-white px-3 py-2 rounded border border-gray-600 focus:border-indigo-500 focus:outline-none"
+              />
+            </div>
+            <div>
+              <label className="text-xs text-gray-400 mb-1 block">
+                Step
+                <span className="text-gray-500 ml-1">(% per week)</span>
+              </label>
+              <input
+                type="number"
+                step="0.5"
+                value={editedPlan.progressionSettings.periodization.waveStep ?? 5}
+                onChange={(e) => updatePeriodization('waveStep', e.target.value)}
+                className="w-full bg-gray-700 text-white px-3 py-2 rounded border border-gray-600 focus:border-indigo-500 focus:outline-none"
+              />
+            </div>
+          </div>
+        )}
+
+        {editedPlan.progressionSettings?.periodization?.model === 'undulating' && (
+          <div className="text-xs text-gray-500 space-y-1">
+            {(editedPlan.progressionSettings.periodization.pattern || DEFAULT_UNDULATING_PATTERN).map((entry, idx) => (
+              <div key={idx}>
+                Week {idx + 1}: {entry.label} — {entry.intensity}% load, {entry.volume}% volume
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+
+      {/* Caps & Stalls */}
+      <div className="bg-gray-800 rounded-lg p-4 mb-4">
+        <div className="flex items-center gap-2 mb-3">
+          <Target size={18} className="text-yellow-400" />
+          <h3 className="text-lg font-semibold">Ceilings & Plateaus</h3>
+        </div>
+        <p className="text-xs text-gray-400 mb-4">
+          Progression stops at these ceilings (leave empty for no limit). Exercises can set their own below.
+        </p>
+
+        <div className="grid grid-cols-2 gap-4 mb-4">
+          {[
+            { field: 'sets', label: 'Max Sets' },
+            { field: 'reps', label: 'Max Reps' },
+            { field: 'weight', label: `Max Weight (${weightUnit})` },
+            { field: 'duration', label: 'Max Duration (s)' },
+            { field: 'distance', label: `Max Distance (${distanceUnit})` }
+          ].map(({ field, label }) => (
+            <div key={field}>
+              <label className="text-xs text-gray-400 mb-1 block">{label}</label>
+              <input
+                type="number"
+                value={editedPlan.progressionSettings?.max?.[field] ?? ''}
+                onChange={(e) => updateCap(field, e.target.value)}
+                placeholder="No limit"
+                className="w-full bg-gray-700 text-white px-3 py-2 rounded border border-gray-600 focus:border-indigo-500 focus:outline-none"
+              />
+            </div>
+          ))}
+        </div>
+
+        <div className="mb-4">
+          <label className="text-xs text-gray-400 mb-1 block">Weekly Mileage Cap (% over the biggest week so far)</label>
+          <input
+            type="number"
+            min="0"
+            value={editedPlan.progressionSettings?.mileageCap ?? DEFAULT_MILEAGE_CAP}
+            onChange={(e) => setEditedPlan({
+              ...editedPlan,
+              progressionSettings: { ...editedPlan.progressionSettings, mileageCap: Math.max(0, parseFloat(e.target.value) || 0) }
+            })}
+            className="w-full bg-gray-700 text-white px-3 py-2 rounded border border-gray-600 focus:border-indigo-500 focus:outline-none"
+          />
+          <p className="text-xs text-gray-500 mt-1">Distance exercises are scaled back when a week would grow faster than this. 0 turns the cap off.</p>
+        </div>
+
+        <div className="grid grid-cols-2 gap-4">
+          <div>
+            <label className="text-xs text-gray-400 mb-1 block">Stall After Missed Sessions</label>
+            <input
+              type="number"
+              min="1"
+              value={editedPlan.progressionSettings?.stall?.sessions ?? DEFAULT_STALL_SETTINGS.sessions}
+              onChange={(e) => updateStallSetting('sessions', Math.max(1, parseInt(e.target.value) || 1))}
+              className="w-full bg-gray-700 text-white px-3 py-2 rounded border border-gray-600 focus:border-indigo-500 focus:outline-none"
+            />
+          </div>
+          <div>
+            <label className="text-xs text-gray-400 mb-1 block">When Stalled</label>
+            <select
+              value={editedPlan.progressionSettings?.stall?.action || DEFAULT_STALL_SETTINGS.action}
+              onChange={(e) => updateStallSetting('action', e.target.value)}
+              className="w-full bg-gray-700 text-white px-3 py-2 rounded border border-gray-600 focus:border-indigo-500 focus:outline-none"
+            >
+              <option value="flag">Flag for review</option>
+              <option value="reset">Reset load</option>
+              <option value="changeScheme">Change rep scheme</option>
+            </select>
+          </div>
+          {editedPlan.progressionSettings?.stall?.action === 'reset' && (
+            <div>
+              <label className="text-xs text-gray-400 mb-1 block">Reset By (%)</label>
+              <input
+                type="number"
+                min="1"
+                max="50"
+                value={editedPlan.progressionSettings.stall.resetPercent ?? DEFAULT_STALL_SETTINGS.resetPercent}
+                onChange={(e) => updateStallSetting('resetPercent', parseFloat(e.target.value) || DEFAULT_STALL_SETTINGS.resetPercent)}
+                className="w-full bg-gray-700 text-white px-3 py-2 rounded border border-gray-600 focus:border-indigo-500 focus:outline-none"
+              />
+            </div>
+          )}
+        </div>
+      </div>
+
       {/* Info Box about Base Week */}
       <div className="bg-blue-900/30 border border-blue-500/50 rounded-lg p-3 mb-4">
         <p className="text-sm text-blue-200">
@@ -2488,12 +7941,448 @@ const EditPlanView = ({ db, userId, appId, plan, activeProfileId, showPlanView }
                     <option value="repsSetsWeight">Reps/Sets/Weight</option>
                     <option value="timer">Timer</option>
                     <option value="hangboard">Hangboard</option>
+                    <option value="interval">Intervals / Repeaters</option>
+                    <option value="block">Circuit / EMOM / AMRAP / Tabata</option>
+                    <option value="distance">Distance / Pace</option>
+                    <option value="climbing">Climbing Session</option>
+                    <option value="test">Benchmark Test</option>
                   </select>
                 </div>
 
                 {(() => {
                   // Support both details and baselineDetails for compatibility
                   const exDetails = exercise.baselineDetails || exercise.details || {};
+                  if (exercise.type === 'test') {
+                    const test = exercise.test || {};
+                    return (
+                      <>
+                        <div className="grid grid-cols-2 gap-3">
+                          <div>
+                            <label className="text-xs text-gray-400 mb-1 block">Measures</label>
+                            <select
+                              value={test.metric || 'maxReps'}
+                              onChange={(e) => updateExerciseTest(idx, { metric: e.target.value })}
+                              className="w-full bg-gray-700 text-white px-3 py-2 rounded border border-gray-600 focus:border-indigo-500 focus:outline-none"
+                            >
+                              {Object.entries(TEST_METRICS).map(([key, metric]) => (
+                                <option key={key} value={key}>{metric.label}</option>
+                              ))}
+                            </select>
+                          </div>
+                          <div>
+                            <label className="text-xs text-gray-400 mb-1 block">In Weeks</label>
+                            <input
+                              key={`weeks-${selectedDay}-${idx}`}
+                              type="text"
+                              defaultValue={(test.weeks || [1]).join(', ')}
+                              onBlur={(e) => {
+                                const weeks = e.target.value.split(',').map(w => parseInt(w)).filter(w => w > 0);
+                                updateExerciseTest(idx, { weeks: weeks.length ? weeks : [1] });
+                              }}
+                              placeholder="e.g. 1, 7"
+                              className="w-full bg-gray-700 text-white px-3 py-2 rounded border border-gray-600 focus:border-indigo-500 focus:outline-none"
+                            />
+                          </div>
+                        </div>
+                        {test.metric === 'timeTrial' && (
+                          <div>
+                            <label className="text-xs text-gray-400 mb-1 block">Distance ({getUnitLabels(unitSystem).distance})</label>
+                            <input
+                              type="number"
+                              step="0.1"
+                              value={test.distance ? formatUnitNumber(kmToDisplayDistance(test.distance, unitSystem)) : ''}
+                              onChange={(e) => updateExerciseTest(idx, { distance: displayDistanceToKm(parseFloat(e.target.value) || 0, unitSystem) })}
+                              className="w-full bg-gray-700 text-white px-3 py-2 rounded border border-gray-600 focus:border-indigo-500 focus:outline-none"
+                            />
+                          </div>
+                        )}
+                        <div>
+                          <label className="text-xs text-gray-400 mb-1 block">Instructions</label>
+                          <textarea
+                            value={exDetails.description || ''}
+                            onChange={(e) => updateExercise(idx, 'details.description', e.target.value)}
+                            className="w-full bg-gray-700 text-white px-3 py-2 rounded border border-gray-600 focus:border-indigo-500 focus:outline-none"
+                            rows="2"
+                          />
+                        </div>
+                        <div>
+                          <div className="flex items-center justify-between mb-1">
+                            <label className="text-xs text-gray-400">Sets Baselines For</label>
+                            <button
+                              onClick={() => updateExerciseTest(idx, {
+                                drives: [...(test.drives || []), { exercise: drivableExercises[0] || '', field: 'reps', percent: 80 }]
+                              })}
+                              className="text-xs text-green-400 flex items-center gap-1"
+                            >
+                              <Plus size={14} /> Link Exercise
+                            </button>
+                          </div>
+                          {(test.drives || []).length === 0 && (
+                            <p className="text-xs text-gray-500">Not linked yet; the result is only logged.</p>
+                          )}
+                          {(test.drives || []).map((drive, driveIdx) => (
+                            <div key={driveIdx} className="flex gap-2 mb-2">
+                              <select
+                                value={drive.exercise}
+                                onChange={(e) => updateTestDrive(idx, driveIdx, 'exercise', e.target.value)}
+                                className="flex-1 min-w-0 bg-gray-700 text-white px-2 py-2 rounded border border-gray-600 text-sm"
+                              >
+                                {drivableExercises.map(name => (
+                                  <option key={name} value={name}>{name}</option>
+                                ))}
+                              </select>
+                              <select
+                                value={drive.field}
+                                onChange={(e) => updateTestDrive(idx, driveIdx, 'field', e.target.value)}
+                                className="bg-gray-700 text-white px-2 py-2 rounded border border-gray-600 text-sm"
+                              >
+                                {TEST_DRIVE_FIELDS.map(field => (
+                                  <option key={field} value={field}>{field}</option>
+                                ))}
+                              </select>
+                              <input
+                                type="number"
+                                value={drive.percent ?? 100}
+                                onChange={(e) => updateTestDrive(idx, driveIdx, 'percent', parseFloat(e.target.value) || 0)}
+                                className="w-16 bg-gray-700 text-white px-2 py-2 rounded border border-gray-600 text-sm"
+                              />
+                              <span className="self-center text-xs text-gray-400">%</span>
+                              <button
+                                onClick={() => updateExerciseTest(idx, { drives: test.drives.filter((_, i) => i !== driveIdx) })}
+                                className="text-red-400"
+                              >
+                                <X size={16} />
+                              </button>
+                            </div>
+                          ))}
+                        </div>
+                      </>
+                    );
+                  }
+                  if (exercise.type === 'distance') {
+                    return (
+                      <>
+                        <div className="grid grid-cols-2 gap-3">
+                          <div>
+                            <label className="text-xs text-gray-400 mb-1 block">Distance ({distanceUnit})</label>
+                            <input
+                              type="number"
+                              step="0.1"
+                              value={exDetails.distance ? formatUnitNumber(kmToDisplayDistance(exDetails.distance, unitSystem)) : ''}
+                              onChange={(e) => updateExercise(idx, 'details.distance', displayDistanceToKm(parseFloat(e.target.value) || 0, unitSystem))}
+                              className="w-full bg-gray-700 text-white px-3 py-2 rounded border border-gray-600 focus:border-indigo-500 focus:outline-none"
+                            />
+                          </div>
+                          <div>
+                            <label className="text-xs text-gray-400 mb-1 block">Target Pace (min/{distanceUnit})</label>
+                            <input
+                              key={`pace-${selectedDay}-${idx}-${unitSystem}`}
+                              type="text"
+                              defaultValue={exDetails.pace ? formatPace(exDetails.pace, unitSystem).split('/')[0] : ''}
+                              onBlur={(e) => {
+                                const secondsPerUnit = parseClockTime(e.target.value);
+                                updateExercise(idx, 'details.pace', secondsPerUnit ? Math.round(secondsPerUnit / displayDistanceToKm(1, unitSystem)) : 0);
+                              }}
+                              placeholder="e.g. 5:30"
+                              className="w-full bg-gray-700 text-white px-3 py-2 rounded border border-gray-600 focus:border-indigo-500 focus:outline-none"
+                            />
+                          </div>
+                        </div>
+                        <div>
+                          <label className="text-xs text-gray-400 mb-1 block">Zone</label>
+                          <input
+                            type="text"
+                            value={exDetails.zone || ''}
+                            onChange={(e) => updateExercise(idx, 'details.zone', e.target.value)}
+                            placeholder="Optional, e.g. Z2 or Tempo"
+                            className="w-full bg-gray-700 text-white px-3 py-2 rounded border border-gray-600 focus:border-indigo-500 focus:outline-none"
+                          />
+                        </div>
+                        <div>
+                          <label className="text-xs text-gray-400 mb-1 block">Description</label>
+                          <textarea
+                            value={exDetails.description || ''}
+                            onChange={(e) => updateExercise(idx, 'details.description', e.target.value)}
+                            className="w-full bg-gray-700 text-white px-3 py-2 rounded border border-gray-600 focus:border-indigo-500 focus:outline-none"
+                            rows="2"
+                          />
+                        </div>
+                      </>
+                    );
+                  }
+                  if (exercise.type === 'hangboard') {
+                    return (
+                      <>
+                        <div className="grid grid-cols-3 gap-3">
+                          <div>
+                            <label className="text-xs text-gray-400 mb-1 block">Sets</label>
+                            <input
+                              type="number"
+                              value={exDetails.sets || 0}
+                              onChange={(e) => updateExercise(idx, 'details.sets', parseInt(e.target.value))}
+                              className="w-full bg-gray-700 text-white px-3 py-2 rounded border border-gray-600 focus:border-indigo-500 focus:outline-none"
+                            />
+                          </div>
+                          <div>
+                            <label className="text-xs text-gray-400 mb-1 block">Hang (sec)</label>
+                            <input
+                              type="number"
+                              value={exDetails.duration || 0}
+                              onChange={(e) => updateExercise(idx, 'details.duration', parseInt(e.target.value))}
+                              className="w-full bg-gray-700 text-white px-3 py-2 rounded border border-gray-600 focus:border-indigo-500 focus:outline-none"
+                            />
+                          </div>
+                          <div>
+                            <label className="text-xs text-gray-400 mb-1 block">Rest (sec)</label>
+                            <input
+                              type="number"
+                              value={exDetails.rest || 0}
+                              onChange={(e) => updateExercise(idx, 'details.rest', parseInt(e.target.value))}
+                              className="w-full bg-gray-700 text-white px-3 py-2 rounded border border-gray-600 focus:border-indigo-500 focus:outline-none"
+                            />
+                          </div>
+                        </div>
+                        <div className="grid grid-cols-3 gap-3">
+                          <div>
+                            <label className="text-xs text-gray-400 mb-1 block">Edge (mm)</label>
+                            <input
+                              type="number"
+                              value={exDetails.edge || ''}
+                              onChange={(e) => updateExercise(idx, 'details.edge', parseInt(e.target.value) || 0)}
+                              placeholder="e.g. 20"
+                              className="w-full bg-gray-700 text-white px-3 py-2 rounded border border-gray-600 focus:border-indigo-500 focus:outline-none"
+                            />
+                          </div>
+                          <div>
+                            <label className="text-xs text-gray-400 mb-1 block">Grip</label>
+                            <select
+                              value={exDetails.grip || ''}
+                              onChange={(e) => updateExercise(idx, 'details.grip', e.target.value)}
+                              className="w-full bg-gray-700 text-white px-3 py-2 rounded border border-gray-600 focus:border-indigo-500 focus:outline-none"
+                            >
+                              <option value="">Any</option>
+                              {Object.entries(HANG_GRIPS).map(([value, label]) => (
+                                <option key={value} value={value}>{label}</option>
+                              ))}
+                            </select>
+                          </div>
+                          <div>
+                            <label className="text-xs text-gray-400 mb-1 block">Arms</label>
+                            <select
+                              value={exDetails.arms === 1 ? 1 : 2}
+                              onChange={(e) => updateExercise(idx, 'details.arms', parseInt(e.target.value))}
+                              className="w-full bg-gray-700 text-white px-3 py-2 rounded border border-gray-600 focus:border-indigo-500 focus:outline-none"
+                            >
+                              <option value={2}>Two</option>
+                              <option value={1}>One</option>
+                            </select>
+                          </div>
+                        </div>
+                        <div>
+                          <label className="text-xs text-gray-400 mb-1 block">Added / Removed Weight</label>
+                          <LoadInput
+                            value={exDetails.weight || ''}
+                            unitSystem={unitSystem}
+                            onChange={(value) => updateExercise(idx, 'details.weight', value)}
+                            className="w-full bg-gray-700 text-white px-3 py-2 rounded border border-gray-600 focus:border-indigo-500 focus:outline-none"
+                            placeholder={`e.g. Bodyweight, +5${weightUnit}, -10${weightUnit}, +10% BW`}
+                          />
+                          {parsePercentOfBodyweight(exDetails.weight) !== null && !profile?.bodyweight && (
+                            <p className="text-xs text-yellow-400 mt-1">Set your bodyweight on the Profiles page to turn % BW into a load.</p>
+                          )}
+                        </div>
+                        <div>
+                          <label className="text-xs text-gray-400 mb-1 block">Description</label>
+                          <textarea
+                            value={exDetails.description || ''}
+                            onChange={(e) => updateExercise(idx, 'details.description', e.target.value)}
+                            className="w-full bg-gray-700 text-white px-3 py-2 rounded border border-gray-600 focus:border-indigo-500 focus:outline-none"
+                            rows="2"
+                          />
+                        </div>
+                      </>
+                    );
+                  }
+                  if (exercise.type === 'climbing') {
+                    const targetValue = getGradeValue(exDetails.targetGrade);
+                    return (
+                      <>
+                        <div className="grid grid-cols-2 gap-3">
+                          <div>
+                            <label className="text-xs text-gray-400 mb-1 block">Session Length (min)</label>
+                            <input
+                              type="number"
+                              value={exDetails.duration ? Math.round(exDetails.duration / 60) : ''}
+                              onChange={(e) => updateExercise(idx, 'details.duration', (parseInt(e.target.value) || 0) * 60)}
+                              className="w-full bg-gray-700 text-white px-3 py-2 rounded border border-gray-600 focus:border-indigo-500 focus:outline-none"
+                            />
+                          </div>
+                          <div>
+                            <label className="text-xs text-gray-400 mb-1 block">Target Grade</label>
+                            <input
+                              type="text"
+                              value={exDetails.targetGrade || ''}
+                              onChange={(e) => updateExercise(idx, 'details.targetGrade', e.target.value.toUpperCase())}
+                              placeholder="e.g. V5 or 6C"
+                              className={`w-full bg-gray-700 text-white px-3 py-2 rounded border focus:outline-none ${
+                                exDetails.targetGrade && targetValue === null ? 'border-red-500' : 'border-gray-600 focus:border-indigo-500'
+                              }`}
+                            />
+                            {targetValue !== null && (
+                              <div className="text-xs text-gray-500 mt-1">{formatGrade(targetValue, 'v')} / {formatGrade(targetValue, 'font')}</div>
+                            )}
+                          </div>
+                        </div>
+                        <div>
+                          <label className="text-xs text-gray-400 mb-1 block">Wall Angle</label>
+                          <select
+                            value={exDetails.angle ?? 0}
+                            onChange={(e) => updateExercise(idx, 'details.angle', parseInt(e.target.value))}
+                            className="w-full bg-gray-700 text-white px-3 py-2 rounded border border-gray-600 focus:border-indigo-500 focus:outline-none"
+                          >
+                            {WALL_ANGLES.map(option => <option key={option.value} value={option.value}>{option.label}</option>)}
+                          </select>
+                        </div>
+                        <div>
+                          <label className="text-xs text-gray-400 mb-1 block">Description</label>
+                          <textarea
+                            value={exDetails.description || ''}
+                            onChange={(e) => updateExercise(idx, 'details.description', e.target.value)}
+                            className="w-full bg-gray-700 text-white px-3 py-2 rounded border border-gray-600 focus:border-indigo-500 focus:outline-none"
+                            rows="2"
+                          />
+                        </div>
+                      </>
+                    );
+                  }
+                  if (exercise.type === 'block') {
+                    const format = BLOCK_FORMATS[exDetails.format] ? exDetails.format : 'circuit';
+                    const blockFields = {
+                      circuit: [{ field: 'sets', label: 'Rounds' }, { field: 'rest', label: 'Rest Between Rounds (sec)' }],
+                      emom: [{ field: 'sets', label: 'Rounds' }, { field: 'interval', label: 'Every (sec)' }],
+                      amrap: [{ field: 'duration', label: 'Time Cap (sec)' }],
+                      tabata: [{ field: 'sets', label: 'Rounds' }, { field: 'work', label: 'Work (sec)' }, { field: 'rest', label: 'Rest (sec)' }]
+                    }[format];
+                    const movements = exercise.movements || [];
+                    return (
+                      <>
+                        <div className="grid grid-cols-2 gap-3">
+                          <div>
+                            <label className="text-xs text-gray-400 mb-1 block">Format</label>
+                            <select
+                              value={format}
+                              onChange={(e) => changeBlockFormat(idx, e.target.value)}
+                              className="w-full bg-gray-700 text-white px-3 py-2 rounded border border-gray-600 focus:border-indigo-500 focus:outline-none"
+                            >
+                              {Object.entries(BLOCK_FORMATS).map(([key, blockFormat]) => (
+                                <option key={key} value={key}>{blockFormat.label}</option>
+                              ))}
+                            </select>
+                          </div>
+                          {blockFields.map(({ field, label }) => (
+                            <div key={field}>
+                              <label className="text-xs text-gray-400 mb-1 block">{label}</label>
+                              <input
+                                type="number"
+                                value={exDetails[field] || 0}
+                                onChange={(e) => updateExercise(idx, `details.${field}`, parseInt(e.target.value) || 0)}
+                                className="w-full bg-gray-700 text-white px-3 py-2 rounded border border-gray-600 focus:border-indigo-500 focus:outline-none"
+                              />
+                            </div>
+                          ))}
+                        </div>
+                        <div>
+                          <div className="flex items-center justify-between mb-1">
+                            <label className="text-xs text-gray-400">Movements{format === 'tabata' ? ' (one per round, in rotation)' : ''}</label>
+                            <button
+                              onClick={() => updateBlockMovements(idx, [...movements, { name: '', reps: '10' }])}
+                              className="text-xs text-green-400 flex items-center gap-1"
+                            >
+                              <Plus size={14} /> Add Movement
+                            </button>
+                          </div>
+                          {movements.map((movement, movementIdx) => (
+                            <div key={movementIdx} className="flex gap-2 mb-2">
+                              <input
+                                type="text"
+                                value={movement.name}
+                                onChange={(e) => updateBlockMovement(idx, movementIdx, 'name', e.target.value)}
+                                className="flex-1 min-w-0 bg-gray-700 text-white px-2 py-2 rounded border border-gray-600 text-sm"
+                                placeholder="Movement"
+                              />
+                              <input
+                                type="text"
+                                value={movement.reps}
+                                onChange={(e) => updateBlockMovement(idx, movementIdx, 'reps', e.target.value)}
+                                className="w-20 bg-gray-700 text-white px-2 py-2 rounded border border-gray-600 text-sm"
+                                placeholder="10, 30s"
+                              />
+                              <button
+                                onClick={() => updateBlockMovements(idx, movements.filter((_, i) => i !== movementIdx))}
+                                className="text-red-400"
+                              >
+                                <X size={16} />
+                              </button>
+                            </div>
+                          ))}
+                        </div>
+                        <div>
+                          <label className="text-xs text-gray-400 mb-1 block">Description</label>
+                          <textarea
+                            value={exDetails.description || ''}
+                            onChange={(e) => updateExercise(idx, 'details.description', e.target.value)}
+                            className="w-full bg-gray-700 text-white px-3 py-2 rounded border border-gray-600 focus:border-indigo-500 focus:outline-none"
+                            rows="2"
+                          />
+                        </div>
+                      </>
+                    );
+                  }
+                  if (exercise.type === 'interval') {
+                    const intervalFields = [
+                      { field: 'sets', label: 'Sets' },
+                      { field: 'reps', label: 'Reps per Set' },
+                      { field: 'duration', label: 'On (sec)' },
+                      { field: 'off', label: 'Off (sec)' },
+                      { field: 'rest', label: 'Rest Between Sets (sec)' }
+                    ];
+                    return (
+                      <>
+                        <div className="grid grid-cols-2 gap-3">
+                          {intervalFields.map(({ field, label }) => (
+                            <div key={field}>
+                              <label className="text-xs text-gray-400 mb-1 block">{label}</label>
+                              <input
+                                type="number"
+                                value={exDetails[field] || 0}
+                                onChange={(e) => updateExercise(idx, `details.${field}`, parseInt(e.target.value) || 0)}
+                                className="w-full bg-gray-700 text-white px-3 py-2 rounded border border-gray-600 focus:border-indigo-500 focus:outline-none"
+                              />
+                            </div>
+                          ))}
+                          <div>
+                            <label className="text-xs text-gray-400 mb-1 block">Added Weight</label>
+                            <LoadInput
+                              value={exDetails.weight || ''}
+                              unitSystem={unitSystem}
+                              onChange={(value) => updateExercise(idx, 'details.weight', value)}
+                              className="w-full bg-gray-700 text-white px-3 py-2 rounded border border-gray-600 focus:border-indigo-500 focus:outline-none"
+                              placeholder={`Optional, e.g. +5${weightUnit}`}
+                            />
+                          </div>
+                        </div>
+                        <div>
+                          <label className="text-xs text-gray-400 mb-1 block">Description</label>
+                          <textarea
+                            value={exDetails.description || ''}
+                            onChange={(e) => updateExercise(idx, 'details.description', e.target.value)}
+                            className="w-full bg-gray-700 text-white px-3 py-2 rounded border border-gray-600 focus:border-indigo-500 focus:outline-none"
+                            rows="2"
+                          />
+                        </div>
+                      </>
+                    );
+                  }
                   return exercise.type === 'repsSetsWeight' ? (
                     <>
                       <div className="grid grid-cols-2 gap-3">
@@ -2510,20 +8399,35 @@ const EditPlanView = ({ db, userId, appId, plan, activeProfileId, showPlanView }
                           <label className="text-xs text-gray-400 mb-1 block">Reps</label>
                           <input
                             type="text"
+                            placeholder="e.g. 10 or 8-12"
                             value={exDetails.reps || ''}
                             onChange={(e) => updateExercise(idx, 'details.reps', e.target.value)}
                             className="w-full bg-gray-700 text-white px-3 py-2 rounded border border-gray-600 focus:border-indigo-500 focus:outline-none"
                           />
                         </div>
                       </div>
+                      <div>
+                        <label className="text-xs text-gray-400 mb-1 block">Loaded With</label>
+                        <select
+                          value={exercise.equipment || ''}
+                          onChange={(e) => updateExercise(idx, 'equipment', e.target.value)}
+                          className="w-full bg-gray-700 text-white px-3 py-2 rounded border border-gray-600 focus:border-indigo-500 focus:outline-none"
+                        >
+                          <option value="">Auto ({getLoadEquipment({ ...exercise, equipment: undefined })})</option>
+                          <option value="barbell">Barbell</option>
+                          <option value="dumbbell">Dumbbells</option>
+                          <option value="machine">Machine / cable stack</option>
+                          <option value="plates">Loose plates (belt, vest)</option>
+                        </select>
+                      </div>
                       <div>
                         <label className="text-xs text-gray-400 mb-1 block">Weight</label>
-                        <input
-                          type="text"
+                        <LoadInput
                           value={exDetails.weight || ''}
-                          onChange={(e) => updateExercise(idx, 'details.weight', e.target.value)}
+                          unitSystem={unitSystem}
+                          onChange={(value) => updateExercise(idx, 'details.weight', value)}
                           className="w-full bg-gray-700 text-white px-3 py-2 rounded border border-gray-600 focus:border-indigo-500 focus:outline-none"
-                          placeholder="e.g., 80kg, Bodyweight, 70% 1RM"
+                          placeholder={`e.g., 80${weightUnit}, Bodyweight, 70% 1RM`}
                         />
                       </div>
                       <div>
@@ -2535,6 +8439,24 @@ const EditPlanView = ({ db, userId, appId, plan, activeProfileId, showPlanView }
                           className="w-full bg-gray-700 text-white px-3 py-2 rounded border border-gray-600 focus:border-indigo-500 focus:outline-none"
                         />
                       </div>
+                      <div>
+                        <label className="text-xs text-gray-400 mb-1 block">Superset</label>
+                        <select
+                          value={exercise.supersetGroup || ''}
+                          onChange={(e) => updateExercise(idx, 'supersetGroup', e.target.value)}
+                          className="w-full bg-gray-700 text-white px-3 py-2 rounded border border-gray-600 focus:border-indigo-500 focus:outline-none"
+                        >
+                          <option value="">None</option>
+                          {SUPERSET_GROUPS.map(group => (
+                            <option key={group} value={group}>Superset {group}</option>
+                          ))}
+                        </select>
+                        {exercise.supersetGroup && (
+                          <p className="text-xs text-gray-500 mt-1">
+                            Alternates sets with the other exercises in superset {exercise.supersetGroup}, resting after each round.
+                          </p>
+                        )}
+                      </div>
                     </>
                   ) : (
                     <>
@@ -2580,6 +8502,82 @@ const EditPlanView = ({ db, userId, appId, plan, activeProfileId, showPlanView }
                     </>
                   );
                 })()}
+
+                {/* Per-exercise progression rules */}
+                {exercise.type !== 'test' && (
+                  <div className="border-t border-gray-700 pt-3">
+                    <label className="flex items-center gap-2 text-sm text-gray-300">
+                      <input
+                        type="checkbox"
+                        checked={!!exercise.progression}
+                        onChange={(e) => toggleExerciseProgression(idx, e.target.checked)}
+                      />
+                      Custom progression for this exercise
+                    </label>
+                    {!exercise.progression ? (
+                      <p className="text-xs text-gray-500 mt-1">Uses the plan-wide increments above.</p>
+                    ) : (
+                      <div className="mt-3 space-y-3">
+                        <div>
+                          <label className="text-xs text-gray-400 mb-1 block">Strategy</label>
+                          <select
+                            value={exercise.progression.strategy || ''}
+                            onChange={(e) => updateExerciseProgression(idx, null, 'strategy', e.target.value)}
+                            className="w-full bg-gray-700 text-white px-3 py-2 rounded border border-gray-600 focus:border-indigo-500 focus:outline-none"
+                          >
+                            <option value="">Plan default ({editedPlan.progressionSettings?.strategy || 'linear'})</option>
+                            <option value="linear">Linear</option>
+                            <option value="percentage">Percentage</option>
+                            <option value="double">Double progression (reps, then load)</option>
+                          </select>
+                        </div>
+
+                        <div className="grid grid-cols-4 gap-2 text-xs text-gray-400">
+                          <div>Field</div>
+                          <div>+/week</div>
+                          <div>Min</div>
+                          <div>Max</div>
+                        </div>
+                        {(PROGRESSION_FIELDS_BY_TYPE[exercise.type] || []).map(field => (
+                          <div key={field} className="grid grid-cols-4 gap-2 items-center">
+                            <div className="text-sm capitalize">
+                              {field}
+                              {field === 'weight' && <span className="text-xs text-gray-500 normal-case"> ({weightUnit})</span>}
+                              {field === 'distance' && <span className="text-xs text-gray-500 normal-case"> ({distanceUnit})</span>}
+                              {field === 'pace' && <span className="text-xs text-gray-500 normal-case"> (s/{distanceUnit})</span>}
+                              {field === 'edge' && <span className="text-xs text-gray-500 normal-case"> (mm, − shrinks)</span>}
+                            </div>
+                            {['increments', 'min', 'max'].map(section => (
+                              <input
+                                key={section}
+                                type="number"
+                                step="any"
+                                value={exercise.progression[section]?.[field] ?? ''}
+                                placeholder={section === 'increments' ? String(editedPlan.progressionSettings?.increments?.[field] ?? 0) : '–'}
+                                onChange={(e) => updateExerciseProgression(idx, section, field, parseFloat(e.target.value))}
+                                className="w-full bg-gray-700 text-white px-2 py-1 rounded border border-gray-600 focus:border-indigo-500 focus:outline-none"
+                              />
+                            ))}
+                          </div>
+                        ))}
+
+                        {(PROGRESSION_FIELDS_BY_TYPE[exercise.type] || []).includes('weight') && (
+                          <div>
+                            <label className="text-xs text-gray-400 mb-1 block">Round weight to nearest ({weightUnit})</label>
+                            <input
+                              type="number"
+                              step="any"
+                              value={exercise.progression.roundingStep ?? ''}
+                              placeholder="e.g. 2.5"
+                              onChange={(e) => updateExerciseProgression(idx, null, 'roundingStep', parseFloat(e.target.value))}
+                              className="w-full bg-gray-700 text-white px-3 py-2 rounded border border-gray-600 focus:border-indigo-500 focus:outline-none"
+                            />
+                          </div>
+                        )}
+                      </div>
+                    )}
+                  </div>
+                )}
               </div>
             )}
           </div>
@@ -2591,17 +8589,381 @@ const EditPlanView = ({ db, userId, appId, plan, activeProfileId, showPlanView }
           </div>
         )}
       </div>
+
+      {/* Progression Preview */}
+      <ProgressionPreview plan={canonicalPlan} dayIndex={selectedDay} history={history} profile={profile} />
+    </div>
+  );
+};
+
+
+/**
+ * Sparkline
+ * Tiny inline line chart for a series of numbers.
+ */
+const Sparkline = ({ values, width = 96, height = 24, className = 'text-indigo-400' }) => {
+  const points = values.filter(value => typeof value === 'number' && !isNaN(value));
+  if (points.length < 2) return null;
+
+  const min = Math.min(...points);
+  const max = Math.max(...points);
+  const range = max - min || 1;
+  const path = points
+    .map((value, idx) => `${(idx / (points.length - 1)) * width},${height - 2 - ((value - min) / range) * (height - 4)}`)
+    .join(' ');
+
+  return (
+    <svg width={width} height={height} className={className}>
+      <polyline points={path} fill="none" stroke="currentColor" strokeWidth="1.5" />
+    </svg>
+  );
+};
+
+const PREVIEW_DEBOUNCE_MS = 400;
+
+/**
+ * ProgressionPreview
+ * Projects every week of the plan for one day's exercises, so runaway increments show up before week 12 does.
+ */
+const ProgressionPreview = ({ plan: editedPlan, dayIndex, history = [], profile = null }) => {
+  const [expandedExercise, setExpandedExercise] = useState(null);
+  const unitSystem = profile?.unitSystem || 'metric';
+  const weightUnit = getUnitLabels(unitSystem).weight;
+
+  // Rebuilding every week is heavy, so the preview catches up once typing pauses
+  const [plan, setPlan] = useState(editedPlan);
+  useEffect(() => {
+    const timeout = setTimeout(() => setPlan(editedPlan), PREVIEW_DEBOUNCE_MS);
+    return () => clearTimeout(timeout);
+  }, [editedPlan]);
+
+  // History-derived inputs don't change while the plan is being edited
+  const estimatedMaxes = useMemo(() => getEstimatedMaxes(history, profile?.oneRepMaxFormula), [history, profile?.oneRepMaxFormula]);
+  const cycleHistory = useMemo(() => getCycleHistory(plan, history), [history, plan.planName, plan.cycle]);
+
+  const projection = useMemo(() => {
+    const weeks = Array.from({ length: plan.durationWeeks || 1 }, (_, idx) => idx + 1);
+    const context = buildProgressionContext(plan, history, profile, { estimatedMaxes, cycleHistory });
+    const builtWeeks = weeks.map(week => buildWeekWorkouts(plan, week, history, profile, context));
+    // Tests don't progress; they only appear in their scheduled weeks
+    const exercises = (plan.baseWeek?.days[dayIndex]?.exercises || []).filter(ex => ex.type !== 'test');
+
+    return exercises.map(exercise => ({
+      exercise,
+      weeks: builtWeeks.map((built, weekIdx) => {
+        const details = built.days[dayIndex]?.exercises.find(builtEx => builtEx.name === exercise.name)?.details || {};
+        const weight = String(details.weight ?? '');
+        const load = /\d/.test(weight) && parsePercentOfMax(weight) === null
+          ? parseFloat(formatLoad(weight, unitSystem).match(LOAD_PATTERN)?.[1])
+          : null;
+        return {
+          week: weeks[weekIdx],
+          phase: getPeriodizationPhase(weeks[weekIdx], plan.progressionSettings?.periodization)?.label,
+          sets: Number.isFinite(details.sets) ? details.sets : null,
+          reps: Number.isFinite(parseFloat(details.reps)) ? parseFloat(details.reps) : null,
+          load: Number.isFinite(load) ? load : null,
+          duration: Number.isFinite(details.duration) ? details.duration : null,
+          distance: Number.isFinite(details.distance) ? parseFloat(formatUnitNumber(kmToDisplayDistance(details.distance, unitSystem))) : null
+        };
+      })
+    }));
+  }, [plan, dayIndex, history, profile, unitSystem, estimatedMaxes, cycleHistory]);
+
+  const metrics = [
+    { key: 'sets', label: 'Sets', suffix: '' },
+    { key: 'reps', label: 'Reps', suffix: '' },
+    { key: 'load', label: 'Load', suffix: weightUnit },
+    { key: 'duration', label: 'Duration', suffix: 's' },
+    { key: 'distance', label: 'Distance', suffix: getUnitLabels(unitSystem).distance }
+  ];
+
+  if (projection.length === 0) return null;
+
+  return (
+    <div className="bg-gray-800 rounded-lg p-4 mb-4">
+      <div className="flex items-center gap-2 mb-3">
+        <BarChart2 size={18} className="text-indigo-400" />
+        <h3 className="text-lg font-semibold">Progression Preview</h3>
+      </div>
+      <p className="text-xs text-gray-400 mb-4">
+        Weeks 1–{plan.durationWeeks} for this day with the settings above. Double progression only moves with logged sessions, so it stays flat here.
+      </p>
+
+      <div className="space-y-3">
+        {projection.map(({ exercise, weeks }, exIdx) => {
+          const shownMetrics = metrics.filter(metric => weeks.some(week => week[metric.key] !== null));
+          const isExpanded = expandedExercise === exIdx;
+
+          return (
+            <div key={exIdx} className="bg-gray-900 rounded p-3">
+              <button
+                onClick={() => setExpandedExercise(isExpanded ? null : exIdx)}
+                className="w-full text-left"
+              >
+                <div className="font-semibold mb-2">{exercise.name || 'Unnamed exercise'}</div>
+                <div className="grid grid-cols-2 gap-2">
+                  {shownMetrics.map(metric => {
+                    const first = weeks[0][metric.key];
+                    const last = weeks[weeks.length - 1][metric.key];
+                    const change = first ? Math.round(((last - first) / first) * 100) : null;
+                    return (
+                      <div key={metric.key} className="text-xs">
+                        <div className="text-gray-400">
+                          {metric.label}: {first ?? '—'} → {last ?? '—'}{metric.suffix}
+                          {change !== null && change !== 0 && (
+                            <span className={change > 50 ? 'text-yellow-400 ml-1' : 'text-gray-500 ml-1'}>
+                              ({change > 0 ? '+' : ''}{change}%)
+                            </span>
+                          )}
+                        </div>
+                        <Sparkline values={weeks.map(week => week[metric.key])} />
+                      </div>
+                    );
+                  })}
+                </div>
+              </button>
+
+              {isExpanded && (
+                <div className="overflow-x-auto mt-3">
+                  <table className="w-full text-xs">
+                    <thead>
+                      <tr className="text-left text-gray-500">
+                        <th className="pb-1 pr-2">Week</th>
+                        {shownMetrics.map(metric => (
+                          <th key={metric.key} className="pb-1 pr-2">{metric.label}</th>
+                        ))}
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {weeks.map(week => (
+                        <tr key={week.week} className="border-t border-gray-800">
+                          <td className="py-1 pr-2 text-gray-400">
+                            {week.week}{week.phase ? ` · ${week.phase}` : ''}
+                          </td>
+                          {shownMetrics.map(metric => (
+                            <td key={metric.key} className="py-1 pr-2">
+                              {week[metric.key] ?? '—'}{week[metric.key] !== null ? metric.suffix : ''}
+                            </td>
+                          ))}
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+              )}
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+};
+
+/**
+ * EquipmentEditor
+ * Edits the bar, plates and dumbbell steps used to round loads to something you can actually lift.
+ */
+const EquipmentEditor = ({ db, userId, appId, profile }) => {
+  const equipment = getProfileEquipment(profile);
+  const weightUnit = getUnitLabels(profile.unitSystem).weight;
+  const [draft, setDraft] = useState({
+    barWeight: String(equipment.barWeight),
+    plates: equipment.plates.join(', '),
+    microplates: equipment.microplates.join(', '),
+    dumbbellIncrement: String(equipment.dumbbellIncrement),
+    machineIncrement: String(equipment.machineIncrement)
+  });
+  const [isSaving, setIsSaving] = useState(false);
+
+  const parsePlateList = (text) => text
+    .split(/[,\s]+/)
+    .map(value => parseFloat(value))
+    .filter(value => !isNaN(value) && value > 0)
+    .sort((a, b) => b - a);
+
+  const saveEquipment = async () => {
+    const plates = parsePlateList(draft.plates);
+    if (plates.length === 0) {
+      alert('Please enter at least one plate size');
+      return;
+    }
+
+    setIsSaving(true);
+    try {
+      const profileRef = doc(db, 'artifacts', appId, 'users', userId, 'profiles', profile.id);
+      const unitFactor = profile.unitSystem === 'imperial' ? KG_PER_LB : 1;
+      const equipment = convertEquipment({
+        barWeight: parseFloat(draft.barWeight) || 0,
+        plates,
+        microplates: parsePlateList(draft.microplates),
+        dumbbellIncrement: parseFloat(draft.dumbbellIncrement) || 0,
+        machineIncrement: parseFloat(draft.machineIncrement) || 0
+      }, value => value * unitFactor);
+      await setDoc(profileRef, { equipment: { ...equipment, unit: 'kg' } }, { mergeFields: ['equipment'] });
+    } catch (error) {
+      console.error('Error saving equipment:', error);
+      alert('Failed to save equipment');
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const fields = [
+    { key: 'barWeight', label: `Bar weight (${weightUnit})` },
+    { key: 'plates', label: `Plates (${weightUnit}, comma separated)` },
+    { key: 'microplates', label: `Microplates (${weightUnit})` },
+    { key: 'dumbbellIncrement', label: `Dumbbell steps (${weightUnit})` },
+    { key: 'machineIncrement', label: `Machine stack steps (${weightUnit})` }
+  ];
+
+  return (
+    <div className="space-y-3">
+      {fields.map(field => (
+        <div key={field.key}>
+          <label className="block text-xs text-gray-400 mb-1">{field.label}</label>
+          <input
+            type="text"
+            inputMode="decimal"
+            value={draft[field.key]}
+            onChange={(e) => setDraft({ ...draft, [field.key]: e.target.value })}
+            className="w-full px-2 py-1 bg-gray-900 border border-gray-700 rounded focus:outline-none focus:border-purple-500"
+          />
+        </div>
+      ))}
+      <button
+        onClick={saveEquipment}
+        disabled={isSaving}
+        className="w-full px-4 py-2 bg-purple-600 hover:bg-purple-700 rounded-lg text-sm font-medium disabled:opacity-50"
+      >
+        {isSaving ? 'Saving...' : 'Save Equipment'}
+      </button>
     </div>
   );
 };
 
+/**
+ * TrainingMaxEditor
+ * Edits per-lift training maxes for a profile, alongside 1RMs estimated from logged sets.
+ */
+const TrainingMaxEditor = ({ db, userId, appId, profile, plan, history }) => {
+  // Maxes are stored in kg but edited in the profile's unit
+  const unitSystem = profile.unitSystem || 'metric';
+  const weightUnit = getUnitLabels(unitSystem).weight;
+  const kgToDisplay = (kg) => formatUnitNumber(unitSystem === 'imperial' ? kg / KG_PER_LB : kg);
+
+  const [draftMaxes, setDraftMaxes] = useState(() =>
+    Object.fromEntries(Object.entries(profile.trainingMaxes || {}).map(([lift, value]) => [lift, kgToDisplay(value)]))
+  );
+  const [formula, setFormula] = useState(profile.oneRepMaxFormula || 'epley');
+  const [isSaving, setIsSaving] = useState(false);
+
+  const estimatedMaxes = useMemo(() => getEstimatedMaxes(history, formula), [history, formula]);
+
+  // Lifts loaded with weights in the plan, plus any that already have a max
+  const lifts = useMemo(() => {
+    const names = new Set(Object.keys(profile.trainingMaxes || {}));
+    (plan?.baseWeek?.days || []).forEach(day => {
+      day.exercises.forEach(ex => {
+        const weight = (ex.baselineDetails || ex.details || {}).weight;
+        if (ex.type === 'repsSetsWeight' && /\d/.test(String(weight ?? '')) && !String(weight).trim().startsWith('+')) {
+          names.add(ex.lift || ex.name);
+        }
+      });
+    });
+    return [...names].sort();
+  }, [plan, profile.trainingMaxes]);
+
+  const saveMaxes = async () => {
+    setIsSaving(true);
+    try {
+      const trainingMaxes = {};
+      Object.entries(draftMaxes).forEach(([lift, value]) => {
+        const parsed = parseFloat(value);
+        if (!isNaN(parsed) && parsed > 0) {
+          trainingMaxes[lift] = unitSystem === 'imperial' ? parsed * KG_PER_LB : parsed;
+        }
+      });
+      const profileRef = doc(db, 'artifacts', appId, 'users', userId, 'profiles', profile.id);
+      await setDoc(profileRef, { trainingMaxes, oneRepMaxFormula: formula }, { mergeFields: ['trainingMaxes', 'oneRepMaxFormula'] });
+    } catch (error) {
+      console.error('Error saving training maxes:', error);
+      alert('Failed to save training maxes');
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  if (lifts.length === 0) {
+    return (
+      <p className="text-xs text-gray-500">No weighted lifts in this profile's plan yet.</p>
+    );
+  }
+
+  return (
+    <div className="space-y-3">
+      <div className="flex items-center justify-between">
+        <label className="text-xs text-gray-400">1RM estimate formula</label>
+        <select
+          value={formula}
+          onChange={(e) => setFormula(e.target.value)}
+          className="bg-gray-900 border border-gray-700 rounded px-2 py-1 text-sm"
+        >
+          <option value="epley">Epley</option>
+          <option value="brzycki">Brzycki</option>
+        </select>
+      </div>
+
+      {lifts.map(lift => {
+        const estimate = estimatedMaxes[lift];
+        return (
+          <div key={lift} className="flex items-center gap-2">
+            <div className="flex-1 min-w-0">
+              <div className="text-sm truncate">{lift}</div>
+              {estimate && (
+                <div className="text-xs text-gray-500">
+                  est. {kgToDisplay(estimate.estimate)}{weightUnit} ({kgToDisplay(estimate.weight)}{weightUnit} × {estimate.reps})
+                </div>
+              )}
+            </div>
+            {estimate && (
+              <button
+                onClick={() => setDraftMaxes({ ...draftMaxes, [lift]: kgToDisplay(estimate.estimate) })}
+                className="text-xs text-purple-400"
+              >
+                Use
+              </button>
+            )}
+            <input
+              type="number"
+              step="any"
+              value={draftMaxes[lift] ?? ''}
+              placeholder={weightUnit}
+              onChange={(e) => setDraftMaxes({ ...draftMaxes, [lift]: e.target.value })}
+              className="w-24 px-2 py-1 bg-gray-900 border border-gray-700 rounded focus:outline-none focus:border-purple-500"
+            />
+          </div>
+        );
+      })}
+
+      <button
+        onClick={saveMaxes}
+        disabled={isSaving}
+        className="w-full px-4 py-2 bg-purple-600 hover:bg-purple-700 rounded-lg text-sm font-medium disabled:opacity-50"
+      >
+        {isSaving ? 'Saving...' : 'Save Training Maxes'}
+      </button>
+    </div>
+  );
+};
 
 /**
  * ProfilesView Component
  * Manage user profiles - create, switch, edit, delete
  */
-const ProfilesView = ({ db, userId, appId, profiles, activeProfileId, showDashboard }) => {
+const ProfilesView = ({ db, userId, appId, profiles, activeProfileId, plan, history, showDashboard }) => {
   const [isCreating, setIsCreating] = useState(false);
+  const [showTrainingMaxes, setShowTrainingMaxes] = useState(false);
+  const [showEquipment, setShowEquipment] = useState(false);
   const [newProfileName, setNewProfileName] = useState('');
   const [newProfileSport, setNewProfileSport] = useState('strength');
   const [editingProfile, setEditingProfile] = useState(null);
@@ -2632,6 +8994,7 @@ const ProfilesView = ({ db, userId, appId, profiles, activeProfileId, showDashbo
       await setDoc(profileRef, {
         name: newProfileName,
         sport: newProfileSport,
+        unitSystem: 'metric',
         createdAt: serverTimestamp(),
         lastUsed: serverTimestamp()
       });
@@ -2731,6 +9094,50 @@ const ProfilesView = ({ db, userId, appId, profiles, activeProfileId, showDashbo
     }
   };
 
+  const setUnitSystem = async (profileId, unitSystem) => {
+    try {
+      const profileRef = doc(db, 'artifacts', appId, 'users', userId, 'profiles', profileId);
+      await setDoc(profileRef, { unitSystem }, { merge: true });
+    } catch (error) {
+      console.error('Error updating units:', error);
+      alert('Failed to update units');
+    }
+  };
+
+  const setGradeScale = async (profileId, gradeScale) => {
+    try {
+      const profileRef = doc(db, 'artifacts', appId, 'users', userId, 'profiles', profileId);
+      await setDoc(profileRef, { gradeScale }, { merge: true });
+    } catch (error) {
+      console.error('Error updating grade scale:', error);
+      alert('Failed to update grade scale');
+    }
+  };
+
+  // Mirrors the workout in progress to Firestore so it can be resumed even if the app's storage is lost
+  const setSyncActiveWorkout = async (profileId, syncActiveWorkout) => {
+    try {
+      const profileRef = doc(db, 'artifacts', appId, 'users', userId, 'profiles', profileId);
+      await setDoc(profileRef, { syncActiveWorkout }, { merge: true });
+    } catch (error) {
+      console.error('Error updating workout sync:', error);
+      alert('Failed to update workout sync');
+    }
+  };
+
+  // Stored in kg; used for hangs written as a percentage of bodyweight and for max-hang strength
+  const setBodyweight = async (profile, value) => {
+    const parsed = parseFloat(value);
+    const bodyweight = parsed > 0 ? (profile.unitSystem === 'imperial' ? parsed * KG_PER_LB : parsed) : null;
+    try {
+      const profileRef = doc(db, 'artifacts', appId, 'users', userId, 'profiles', profile.id);
+      await setDoc(profileRef, { bodyweight }, { merge: true });
+    } catch (error) {
+      console.error('Error updating bodyweight:', error);
+      alert('Failed to update bodyweight');
+    }
+  };
+
   const getSportIcon = (sport) => {
     const option = sportOptions.find(opt => opt.value === sport);
     return option ? option.icon : Target;
@@ -2928,6 +9335,134 @@ const ProfilesView = ({ db, userId, appId, profiles, activeProfileId, showDashbo
                       <span className="text-sm text-purple-400 font-medium">Active Profile</span>
                     </div>
                   )}
+
+                  {isActive && (
+                    <div className="mt-3 border-t border-gray-700 pt-3 flex items-center justify-between">
+                      <span className="text-sm text-gray-300">Units</span>
+                      <div className="flex rounded-lg bg-gray-900 p-1">
+                        {[
+                          { value: 'metric', label: 'kg / km' },
+                          { value: 'imperial', label: 'lb / mi' }
+                        ].map(option => (
+                          <button
+                            key={option.value}
+                            onClick={() => setUnitSystem(profile.id, option.value)}
+                            className={`px-3 py-1 rounded-md text-sm ${
+                              (profile.unitSystem || 'metric') === option.value ? 'bg-purple-600 text-white' : 'text-gray-400'
+                            }`}
+                          >
+                            {option.label}
+                          </button>
+                        ))}
+                      </div>
+                    </div>
+                  )}
+
+                  {isActive && (
+                    <div className="mt-3 border-t border-gray-700 pt-3 flex items-center justify-between">
+                      <span className="text-sm text-gray-300">Boulder Grades</span>
+                      <div className="flex rounded-lg bg-gray-900 p-1">
+                        {Object.entries(GRADE_SCALES).map(([value, scale]) => (
+                          <button
+                            key={value}
+                            onClick={() => setGradeScale(profile.id, value)}
+                            className={`px-3 py-1 rounded-md text-sm ${
+                              (profile.gradeScale || 'v') === value ? 'bg-purple-600 text-white' : 'text-gray-400'
+                            }`}
+                          >
+                            {scale.label}
+                          </button>
+                        ))}
+                      </div>
+                    </div>
+                  )}
+
+                  {isActive && (
+                    <div className="mt-3 border-t border-gray-700 pt-3 flex items-center justify-between">
+                      <span className="text-sm text-gray-300">Sync Workout in Progress</span>
+                      <div className="flex rounded-lg bg-gray-900 p-1">
+                        {[
+                          { value: false, label: 'This device' },
+                          { value: true, label: 'Cloud' }
+                        ].map(option => (
+                          <button
+                            key={option.label}
+                            onClick={() => setSyncActiveWorkout(profile.id, option.value)}
+                            className={`px-3 py-1 rounded-md text-sm ${
+                              !!profile.syncActiveWorkout === option.value ? 'bg-purple-600 text-white' : 'text-gray-400'
+                            }`}
+                          >
+                            {option.label}
+                          </button>
+                        ))}
+                      </div>
+                    </div>
+                  )}
+
+                  {isActive && (
+                    <div className="mt-3 border-t border-gray-700 pt-3 flex items-center justify-between">
+                      <span className="text-sm text-gray-300">Bodyweight</span>
+                      <div className="flex items-center gap-2">
+                        <input
+                          key={`${profile.id}-${profile.unitSystem || 'metric'}-${profile.bodyweight ?? ''}`}
+                          type="number"
+                          step="any"
+                          defaultValue={profile.bodyweight ? formatLoad(`${profile.bodyweight}kg`, profile.unitSystem).match(LOAD_PATTERN)[1] : ''}
+                          onBlur={(e) => setBodyweight(profile, e.target.value)}
+                          className="w-20 px-2 py-1 bg-gray-900 border border-gray-700 rounded focus:outline-none focus:border-purple-500"
+                        />
+                        <span className="text-sm text-gray-400">{getUnitLabels(profile.unitSystem).weight}</span>
+                      </div>
+                    </div>
+                  )}
+
+                  {isActive && (
+                    <div className="mt-3 border-t border-gray-700 pt-3">
+                      <button
+                        onClick={() => setShowEquipment(!showEquipment)}
+                        className="flex items-center gap-2 text-sm text-gray-300"
+                      >
+                        <Dumbbell size={16} className="text-purple-400" />
+                        Equipment
+                      </button>
+                      {showEquipment && (
+                        <div className="mt-3">
+                          <EquipmentEditor
+                            key={`${profile.id}-${profile.unitSystem || 'metric'}`}
+                            db={db}
+                            userId={userId}
+                            appId={appId}
+                            profile={profile}
+                          />
+                        </div>
+                      )}
+                    </div>
+                  )}
+
+                  {isActive && (
+                    <div className="mt-3 border-t border-gray-700 pt-3">
+                      <button
+                        onClick={() => setShowTrainingMaxes(!showTrainingMaxes)}
+                        className="flex items-center gap-2 text-sm text-gray-300"
+                      >
+                        <Target size={16} className="text-purple-400" />
+                        Training Maxes
+                      </button>
+                      {showTrainingMaxes && (
+                        <div className="mt-3">
+                          <TrainingMaxEditor
+                            key={`${profile.id}-${profile.unitSystem || 'metric'}`}
+                            db={db}
+                            userId={userId}
+                            appId={appId}
+                            profile={profile}
+                            plan={plan}
+                            history={history}
+                          />
+                        </div>
+                      )}
+                    </div>
+                  )}
                 </div>
               );
             })}
@@ -2970,6 +9505,7 @@ export default function App() {
   const [history, setHistory] = useState([]);
   const [isLoadingPlan, setIsLoadingPlan] = useState(true);
   const [createPlanDefaultView, setCreatePlanDefaultView] = useState('ai');
+  const [createPlanInitialGoal, setCreatePlanInitialGoal] = useState('');
 
   // Profile state
   const [profiles, setProfiles] = useState([]);
@@ -2978,6 +9514,9 @@ export default function App() {
 
   // Data for active views
   const [activeWorkoutDay, setActiveWorkoutDay] = useState(null);
+  // An unfinished workout found on startup, and the one being resumed
+  const [pendingResume, setPendingResume] = useState(null);
+  const [resumeSession, setResumeSession] = useState(null);
 
   // --- Firebase Initialization and Auth ---
   useEffect(() => {
@@ -3176,14 +9715,32 @@ export default function App() {
     };
   }, [isAuthReady, db, userId, appId, activeProfileId]);
 
+  const activeProfile = profiles.find(p => p.id === activeProfileId) || null;
+  const workoutCloud = activeProfile?.syncActiveWorkout ? { db, appId, userId } : null;
+
+  // --- Unfinished Workout: offered for resume whenever the dashboard opens ---
+  useEffect(() => {
+    if (!isAuthReady || !activeProfileId || currentView !== 'dashboard') return;
+
+    let cancelled = false;
+    loadActiveWorkout(activeProfileId, workoutCloud).then((session) => {
+      if (!cancelled) setPendingResume(session);
+    });
+    return () => {
+      cancelled = true;
+    };
+  }, [isAuthReady, activeProfileId, currentView, activeProfile?.syncActiveWorkout]);
+
   // --- Navigation Handlers ---
   const showDashboard = () => {
     setCurrentView('dashboard');
     setActiveWorkoutDay(null);
+    setResumeSession(null);
   };
 
-  const showCreatePlan = (defaultView = 'ai') => {
+  const showCreatePlan = (defaultView = 'ai', initialGoal = '') => {
     setCreatePlanDefaultView(defaultView);
+    setCreatePlanInitialGoal(initialGoal);
     setCurrentView('createPlan');
   };
 
@@ -3204,10 +9761,26 @@ export default function App() {
   };
 
   const startWorkout = (dayData) => {
+    // Starting afresh replaces whatever was left unfinished
+    clearActiveWorkout(activeProfileId, workoutCloud);
+    setPendingResume(null);
+    setResumeSession(null);
     setActiveWorkoutDay(dayData);
     setCurrentView('activeWorkout');
   };
-  
+
+  const resumeWorkout = () => {
+    setResumeSession(pendingResume);
+    setActiveWorkoutDay(pendingResume.dayData);
+    setPendingResume(null);
+    setCurrentView('activeWorkout');
+  };
+
+  const discardWorkout = () => {
+    clearActiveWorkout(activeProfileId, workoutCloud);
+    setPendingResume(null);
+  };
+
   // --- Render Logic ---
 
   const renderView = () => {
@@ -3228,8 +9801,10 @@ export default function App() {
                   userId={userId}
                   appId={appId}
                   activeProfileId={activeProfileId}
+                  unitSystem={activeProfile?.unitSystem}
                   showDashboard={showDashboard}
                   defaultView={createPlanDefaultView}
+                  initialGoal={createPlanInitialGoal}
                 />;
       case 'activeWorkout':
         return <ActiveWorkoutView
@@ -3239,13 +9814,24 @@ export default function App() {
                   appId={appId}
                   plan={plan}
                   activeProfileId={activeProfileId}
+                  profile={activeProfile}
+                  history={history}
                   dayData={activeWorkoutDay}
+                  resumeSession={resumeSession}
                   showDashboard={showDashboard}
                 />;
       case 'history':
         return <HistoryView
+                  db={db}
+                  userId={userId}
+                  appId={appId}
+                  activeProfileId={activeProfileId}
+                  profile={activeProfile}
                   history={history}
                   plan={plan}
+                  unitSystem={activeProfile?.unitSystem}
+                  gradeScale={activeProfile?.gradeScale}
+                  bodyweight={activeProfile?.bodyweight}
                 />;
       case 'plan':
         return <PlanView
@@ -3260,6 +9846,9 @@ export default function App() {
                   appId={appId}
                   plan={plan}
                   activeProfileId={activeProfileId}
+                  profile={activeProfile}
+                  history={history}
+                  unitSystem={activeProfile?.unitSystem}
                   showPlanView={showPlan}
                 />;
       case 'profiles':
@@ -3269,6 +9858,8 @@ export default function App() {
                   appId={appId}
                   profiles={profiles}
                   activeProfileId={activeProfileId}
+                  plan={plan}
+                  history={history}
                   showDashboard={showDashboard}
                 />;
       case 'dashboard':
@@ -3279,6 +9870,8 @@ export default function App() {
                   userId={userId}
                   appId={appId}
                   plan={plan} 
+                  activeProfileId={activeProfileId}
+                  profile={activeProfile}
                   history={history} 
                   showCreatePlan={showCreatePlan}
                   showPlanManagement={showPlan}
@@ -3292,6 +9885,9 @@ export default function App() {
     <div className="h-screen w-full bg-gray-900 text-white font-sans">
       <div className="max-w-lg mx-auto h-full flex flex-col">
         <main className="flex-grow overflow-y-auto pb-20">
+          {currentView === 'dashboard' && pendingResume && !isLoadingPlan && (
+            <ResumeWorkoutBanner session={pendingResume} onResume={resumeWorkout} onDiscard={discardWorkout} />
+          )}
           {renderView()}
         </main>
         